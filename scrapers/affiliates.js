@@ -0,0 +1,284 @@
+/**
+ * Affiliate Links for eTravelogs
+ * Every affiliate link - scraped deals, the GetYourGuide tool and the calculator CTAs -
+ * is built here, so partner IDs and URL formats live in one place.
+ *
+ * Partners: Expedia, Booking.com, Skyscanner, GetYourGuide. Link kinds:
+ *   flight-search - { origin, destination, departDate, returnDate, adults }
+ *   hotel-search  - { destination, checkin, checkout, adults, rooms }
+ *   property      - { propertyId, checkin, checkout, adults } (Expedia property IDs)
+ *   activity      - { url } of a GetYourGuide activity, or { query }
+ *   landing       - { lob: 'flights' | 'hotels' } partner home page
+ *
+ * Each partner also lists the hosts its links point at; getPartnerForUrl() uses them to
+ * tell partner links from anything else (see link-audit.js and sanitize.js).
+ *
+ * Which partner a link goes to is decided by config/affiliates.json (per deal rule,
+ * per market, default), skipping partners whose credentials aren't in .env.
+ *
+ * Encoding rules:
+ *   - Query values are encoded exactly once; values that arrive encoded are decoded
+ *     first, so "Lisbon%20Portugal" can't become "Lisbon%2520Portugal"
+ *   - Expedia leg parameters keep ":", "," and "/" literal - Expedia rejects
+ *     leg1=from%3AJFK (and the double-encoded %253A) with a "wrong turn" page
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format, parseISO } = require('date-fns');
+const { getMarket } = require('./markets');
+
+const POLICY_PATH = path.join(__dirname, '..', 'config', 'affiliates.json');
+const POLICY = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+
+const LINK_KINDS = ['flight-search', 'hotel-search', 'property', 'activity', 'landing'];
+
+// Deal type whose policy picks the partner for a link kind
+const KIND_TYPES = { 'flight-search': 'flights', 'hotel-search': 'hotels', property: 'hotels', activity: 'activities' };
+
+/**
+ * Encode a query value exactly once
+ */
+function encodeOnce(value) {
+  let decoded = String(value);
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch (e) {
+    // A literal "%" (e.g. "100% Hotels") - nothing to decode
+  }
+  return encodeURIComponent(decoded);
+}
+
+function toDate(value) {
+  return value instanceof Date ? value : parseISO(value);
+}
+
+function requireAirport(code, field) {
+  if (!/^[A-Z]{3}$/.test(code || '')) {
+    throw new Error(`Flight search link needs a 3-letter ${field} code (got "${code}")`);
+  }
+  return code;
+}
+
+function requireDates(params, from, to, kind) {
+  if (!params[from] || !params[to]) {
+    throw new Error(`${kind} link needs ${from} and ${to}`);
+  }
+  return [toDate(params[from]), toDate(params[to])];
+}
+
+/**
+ * Partner definitions: credentials (from .env, with defaults for always-on partners)
+ * and one builder per supported link kind
+ */
+const PARTNERS = {
+  expedia: {
+    name: 'Expedia',
+    hosts: /(^|\.)expedia\.(com|co\.uk|ca|ie)$/,
+    credentials: {
+      publisherId: { env: 'EXPEDIA_PUBLISHER_ID', default: '1011l387199' },
+      affiliateTag: { env: 'EXPEDIA_AFFILIATE_TAG', default: 'etravelogs' }
+    },
+    links: {
+      'flight-search'(params, market, ids) {
+        const origin = requireAirport(params.origin, 'origin');
+        const destination = requireAirport(params.destination, 'destination');
+        const [depart, ret] = requireDates(params, 'departDate', 'returnDate', 'Flight search');
+
+        // Built by hand - Expedia expects ":", "," and "/" unencoded in leg params
+        const leg1 = `from:${origin},to:${destination},departure:${format(depart, 'MM/dd/yyyy')}TANYT`;
+        const leg2 = `from:${destination},to:${origin},departure:${format(ret, 'MM/dd/yyyy')}TANYT`;
+        return `https://${market.expedia.domain}/Flights-Search?trip=roundtrip&leg1=${leg1}&leg2=${leg2}&passengers=adults:${params.adults || 1}&AFFCID=${getExpediaAffcid(market, ids)}`;
+      },
+      'hotel-search'(params, market, ids) {
+        const [checkin, checkout] = requireDates(params, 'checkin', 'checkout', 'Hotel search');
+        return `https://${market.expedia.domain}/Hotel-Search?destination=${encodeOnce(params.destination)}&startDate=${format(checkin, 'MM/dd/yyyy')}&endDate=${format(checkout, 'MM/dd/yyyy')}&rooms=${params.rooms || 1}&adults=${params.adults || 2}&AFFCID=${getExpediaAffcid(market, ids)}`;
+      },
+      property(params, market, ids) {
+        if (!/^\d+$/.test(String(params.propertyId || ''))) {
+          throw new Error(`Property link needs a numeric Expedia property ID (got "${params.propertyId}")`);
+        }
+        const [checkin, checkout] = requireDates(params, 'checkin', 'checkout', 'Property');
+        return `https://${market.expedia.domain}/h${params.propertyId}.Hotel-Information?chkin=${format(checkin, 'yyyy-MM-dd')}&chkout=${format(checkout, 'yyyy-MM-dd')}&rm1=a${params.adults || 2}&AFFCID=${getExpediaAffcid(market, ids)}`;
+      },
+      landing(params, market, ids) {
+        return `https://${market.expedia.domain}/${params.lob === 'hotels' ? 'Hotels' : 'Flights'}?AFFCID=${getExpediaAffcid(market, ids)}`;
+      }
+    }
+  },
+
+  booking: {
+    name: 'Booking.com',
+    hosts: /(^|\.)booking\.com$/,
+    credentials: {
+      affiliateId: { env: 'BOOKING_AFFILIATE_ID' }
+    },
+    links: {
+      'hotel-search'(params, market, ids) {
+        const [checkin, checkout] = requireDates(params, 'checkin', 'checkout', 'Hotel search');
+        return `https://www.booking.com/searchresults.html?ss=${encodeOnce(params.destination)}&checkin=${format(checkin, 'yyyy-MM-dd')}&checkout=${format(checkout, 'yyyy-MM-dd')}&group_adults=${params.adults || 2}&no_rooms=${params.rooms || 1}&selected_currency=${market.currency}&lang=${market.booking.lang}&aid=${encodeOnce(ids.affiliateId)}`;
+      },
+      landing(params, market, ids) {
+        return `https://www.booking.com/index.html?selected_currency=${market.currency}&lang=${market.booking.lang}&aid=${encodeOnce(ids.affiliateId)}`;
+      }
+    }
+  },
+
+  skyscanner: {
+    name: 'Skyscanner',
+    hosts: /(^|\.)skyscanner\.(com|net|ca|ie)$/,
+    credentials: {
+      associateId: { env: 'SKYSCANNER_ASSOCIATE_ID' }
+    },
+    links: {
+      'flight-search'(params, market, ids) {
+        const origin = requireAirport(params.origin, 'origin').toLowerCase();
+        const destination = requireAirport(params.destination, 'destination').toLowerCase();
+        const [depart, ret] = requireDates(params, 'departDate', 'returnDate', 'Flight search');
+        return `https://${market.skyscanner.domain}/transport/flights/${origin}/${destination}/${format(depart, 'yyMMdd')}/${format(ret, 'yyMMdd')}/?adults=${params.adults || 1}&currency=${market.currency}&associateid=${encodeOnce(ids.associateId)}`;
+      },
+      landing(params, market, ids) {
+        return `https://${market.skyscanner.domain}/?currency=${market.currency}&associateid=${encodeOnce(ids.associateId)}`;
+      }
+    }
+  },
+
+  getyourguide: {
+    name: 'GetYourGuide',
+    hosts: /(^|\.)getyourguide\.com$/,
+    credentials: {
+      partnerId: { env: 'GYG_PARTNER_ID', optional: true }
+    },
+    links: {
+      activity(params, market, ids) {
+        const url = params.url
+          ? new URL(params.url, 'https://www.getyourguide.com')
+          : new URL(`https://www.getyourguide.com/s/?q=${encodeOnce(params.query)}&searchSource=3`);
+        if (url.hostname !== 'www.getyourguide.com') {
+          throw new Error(`Activity link must point at getyourguide.com (got ${url.hostname})`);
+        }
+        if (ids.partnerId) url.searchParams.set('partner_id', ids.partnerId);
+        return url.toString();
+      }
+    }
+  }
+};
+
+/**
+ * Expedia AFFCID for a market's point of sale, e.g. "US.DIRECT.PHG.1011l387199.etravelogs"
+ */
+function getExpediaAffcid(market, ids = getCredentials('expedia')) {
+  return `${market.expedia.pointOfSale}.DIRECT.PHG.${ids.publisherId}.${ids.affiliateTag}`;
+}
+
+/**
+ * Partner a URL points at, or null for any other link (our own pages, bad URLs)
+ */
+function getPartnerForUrl(raw) {
+  try {
+    const { hostname } = new URL(raw);
+    return Object.keys(PARTNERS).find(partnerId => PARTNERS[partnerId].hosts.test(hostname)) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * A partner's credentials from the environment, or null when a required one is missing
+ */
+function getCredentials(partnerId) {
+  const ids = {};
+  for (const [key, setting] of Object.entries(PARTNERS[partnerId].credentials)) {
+    const value = process.env[setting.env] || setting.default;
+    if (!value && !setting.optional) return null;
+    ids[key] = value || null;
+  }
+  return ids;
+}
+
+/**
+ * Partners to try for a deal type, in order: deal rules, market override, default
+ */
+function getPartnerOrder(type, market, deal, policy) {
+  const rule = (policy.deals || []).find(({ when }) =>
+    Object.entries(when).every(([field, value]) => (field === 'type' ? type : deal && deal[field]) === value));
+  if (deal && rule) return rule.partners;
+
+  const marketPolicy = (policy.markets || {})[market.code];
+  return (marketPolicy && marketPolicy[type]) || policy.default[type] || [];
+}
+
+/**
+ * Pick the partner a link goes to
+ *
+ * @param {string} kind - one of LINK_KINDS
+ * @param {Object} options - { market, deal, lob (for landing links), policy (default: config/affiliates.json) }
+ * @returns {string|null} partner id, or null when no configured partner builds this kind
+ */
+function selectPartner(kind, { market = getMarket(), deal = null, lob, policy = POLICY } = {}) {
+  const type = kind === 'landing' ? lob : KIND_TYPES[kind];
+  return getPartnerOrder(type, market, deal, policy).find(partnerId =>
+    PARTNERS[partnerId] && PARTNERS[partnerId].links[kind] && getCredentials(partnerId)) || null;
+}
+
+/**
+ * Build an affiliate link
+ *
+ * @param {string} kind - one of LINK_KINDS
+ * @param {Object} params - the kind's parameters (see the top of this file)
+ * @param {Object} options - { market, deal (for deal rules), partner (skip the policy), policy }
+ * @returns {{ partner: string, url: string }}
+ */
+function buildLink(kind, params, options = {}) {
+  if (!LINK_KINDS.includes(kind)) {
+    throw new Error(`Unknown link kind "${kind}" (expected ${LINK_KINDS.join(', ')})`);
+  }
+  const market = options.market || getMarket();
+  const partner = options.partner || selectPartner(kind, { market, deal: options.deal, lob: params.lob, policy: options.policy });
+  const definition = PARTNERS[partner];
+  if (!definition || !definition.links[kind]) {
+    throw new Error(`No partner for ${kind} links${partner ? ` (${partner} doesn't build them)` : ''}`);
+  }
+
+  const ids = getCredentials(partner);
+  if (!ids) {
+    throw new Error(`${definition.name} links need ${Object.values(definition.credentials).map(c => c.env).join(', ')} in .env`);
+  }
+
+  return { partner, url: definition.links[kind](params, market, ids) };
+}
+
+function buildFlightSearchLink(params, options) {
+  return buildLink('flight-search', params, options);
+}
+
+function buildHotelSearchLink(params, options) {
+  return buildLink('hotel-search', params, options);
+}
+
+function buildPropertyLink(params, options) {
+  return buildLink('property', params, options);
+}
+
+function buildActivityLink(params, options) {
+  return buildLink('activity', params, options);
+}
+
+function buildLandingLink(params, options) {
+  return buildLink('landing', params, options);
+}
+
+module.exports = {
+  PARTNERS,
+  LINK_KINDS,
+  encodeOnce,
+  getExpediaAffcid,
+  getPartnerForUrl,
+  selectPartner,
+  buildLink,
+  buildFlightSearchLink,
+  buildHotelSearchLink,
+  buildPropertyLink,
+  buildActivityLink,
+  buildLandingLink
+};
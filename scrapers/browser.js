@@ -0,0 +1,35 @@
+/**
+ * Shared Playwright browser setup for the scrapers
+ */
+
+const { chromium } = require('playwright');
+
+const BROWSER_CONFIG = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  viewport: { width: 1920, height: 1080 }
+};
+
+/**
+ * Launch headless Chromium with a desktop context
+ * `page` is the first of `pages`; open more with options.pages for concurrent workers
+ */
+async function launchBrowser(options = {}) {
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  const context = await browser.newContext({
+    userAgent: BROWSER_CONFIG.userAgent,
+    viewport: BROWSER_CONFIG.viewport
+  });
+
+  const pages = [];
+  for (let i = 0; i < Math.max(1, options.pages || 1); i++) {
+    pages.push(await context.newPage());
+  }
+
+  return { browser, context, page: pages[0], pages };
+}
+
+module.exports = { launchBrowser, BROWSER_CONFIG };
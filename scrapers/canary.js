@@ -0,0 +1,235 @@
+/**
+ * Selector Health Canary for eTravelogs scrapers
+ * Loads one known search per source (health.canary in each source module, plus
+ * GetYourGuide) and counts the elements every selector the scrapers depend on matches
+ *
+ * Selector groups like 'span[data-gs], .gws-flights-results__price' are "any of": each
+ * alternative is reported, but a source only fails when a whole group matches nothing.
+ * Exits 1 when any source fails, so the workflow can stop before publishing.
+ *
+ * Usage:
+ *   npm run canary
+ *   npm run canary -- --replay     (against saved pages, see page-fixtures.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getSources, describeTarget } = require('./sources');
+const { launchBrowser } = require('./browser');
+const { createPageLoader } = require('./page-fixtures');
+const { loadRouteConfig } = require('./route-config');
+const { getDefaultItinerary } = require('./date-matrix');
+const { getMarket } = require('./markets');
+const { SELECTORS: GYG_SELECTORS, getSearchUrl: getGygSearchUrl } = require('../tools/gyg-link-generator');
+
+const GYG_CANARY_QUERY = 'tokyo';
+
+/**
+ * Split a selector list on top-level commas (not those inside [...] or quotes)
+ */
+function splitSelectorList(selectorList) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+  let quote = null;
+
+  for (const char of selectorList) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Count matches for each group and each alternative in it
+ *
+ * @returns {Promise<Array<{ group: string, matched: number, alternatives: Object }>>}
+ */
+async function checkSelectors(page, selectorGroups) {
+  const results = [];
+
+  for (const group of selectorGroups) {
+    const alternatives = {};
+    for (const selector of splitSelectorList(group)) {
+      try {
+        alternatives[selector] = (await page.$$(selector)).length;
+      } catch (error) {
+        alternatives[selector] = 0;
+      }
+    }
+    const matched = Object.values(alternatives).reduce((sum, count) => sum + count, 0);
+    results.push({ group, matched, alternatives });
+  }
+
+  return results;
+}
+
+/**
+ * Turn a source's health.canary codes into a search target
+ */
+function buildCanaryTarget(source, routes) {
+  const { origin, destination } = source.health.canary;
+  const target = {};
+
+  if (origin) {
+    target.origin = routes.flights.origins.find(o => o.code === origin);
+    if (!target.origin) throw new Error(`Unknown canary origin ${origin}`);
+  }
+  if (destination) {
+    const list = source.type === 'flights' ? routes.flights.destinations : routes.hotels.destinations;
+    target.destination = list.find(d => d.code === destination);
+    if (!target.destination) throw new Error(`Unknown canary destination ${destination}`);
+  }
+
+  return target;
+}
+
+/**
+ * Run the known search for one source, then check its selectors on the page it left behind
+ */
+async function checkSource(source, page, routes, pageMode) {
+  const target = buildCanaryTarget(source, routes);
+  const route = describeTarget(target);
+  const diagnostics = { candidates: 0, prices: [] };
+  const ctx = {
+    page,
+    loadPage: createPageLoader(page, { source: source.name, route, mode: pageMode }),
+    throttle: async () => {},
+    diagnostics,
+    market: getMarket(),
+    itineraries: [getDefaultItinerary()],
+    deadline: null
+  };
+
+  let deals = [];
+  let error = null;
+  try {
+    deals = await source.search(ctx, target);
+  } catch (err) {
+    error = err.message;
+  }
+
+  return {
+    source: source.name,
+    route,
+    error,
+    deals: deals.length,
+    selectors: await checkSelectors(page, source.health.selectors)
+  };
+}
+
+async function checkGetYourGuide(page, pageMode) {
+  let error = null;
+  try {
+    const loadPage = createPageLoader(page, { source: 'GetYourGuide', route: GYG_CANARY_QUERY, mode: pageMode });
+    await loadPage(getGygSearchUrl(GYG_CANARY_QUERY), { waitUntil: 'networkidle', timeout: 30000, settleMs: 3000 });
+  } catch (err) {
+    error = err.message;
+  }
+
+  return {
+    source: 'GetYourGuide',
+    route: GYG_CANARY_QUERY,
+    error,
+    deals: null,
+    selectors: await checkSelectors(page, Object.values(GYG_SELECTORS))
+  };
+}
+
+/**
+ * Check every browser source plus GetYourGuide
+ *
+ * @param {Object} options - { pageMode }
+ * @returns {Promise<{ checkedAt: string, healthy: boolean, sources: Array }>}
+ */
+async function runCanary(options = {}) {
+  const routes = loadRouteConfig();
+  const sources = getSources('flights').concat(getSources('hotels'))
+    .filter(source => source.needsBrowser && source.health.canary && source.health.selectors.length > 0);
+
+  const session = await launchBrowser();
+  const results = [];
+
+  try {
+    for (const source of sources) {
+      console.log(`Checking ${source.name}...`);
+      results.push(await checkSource(source, session.page, routes, options.pageMode));
+    }
+    console.log('Checking GetYourGuide...');
+    results.push(await checkGetYourGuide(session.page, options.pageMode));
+  } finally {
+    await session.browser.close();
+  }
+
+  for (const result of results) {
+    result.healthy = result.selectors.every(s => s.matched > 0);
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    healthy: results.every(r => r.healthy),
+    sources: results
+  };
+}
+
+function printCanaryReport(report) {
+  console.log('\n' + '='.repeat(60));
+  console.log('SELECTOR HEALTH');
+  console.log('='.repeat(60));
+
+  for (const result of report.sources) {
+    console.log(`\n${result.healthy ? 'OK  ' : 'FAIL'} ${result.source} (${result.route})${result.deals !== null ? ` - ${result.deals} deal(s)` : ''}`);
+    if (result.error) console.log(`     Error: ${result.error}`);
+
+    for (const group of result.selectors) {
+      for (const [selector, count] of Object.entries(group.alternatives)) {
+        const note = count > 0 ? '' : (group.matched > 0 ? '  (unused alternative)' : '  <- NO MATCHES');
+        console.log(`     ${String(count).padStart(4)}  ${selector}${note}`);
+      }
+    }
+  }
+
+  const broken = report.sources.filter(r => !r.healthy).map(r => r.source);
+  console.log('\n' + (broken.length === 0 ? 'All sources healthy' : `Broken: ${broken.join(', ')}`));
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+  const { values } = parseArgs({ options: { replay: { type: 'boolean', default: false } } });
+
+  runCanary({ pageMode: values.replay ? 'replay' : undefined })
+    .then(report => {
+      printCanaryReport(report);
+
+      const outputDir = path.join(__dirname, '..', 'output');
+      if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+      }
+      fs.writeFileSync(path.join(outputDir, 'canary.json'), JSON.stringify(report, null, 2));
+
+      process.exit(report.healthy ? 0 : 1);
+    })
+    .catch(err => {
+      console.error('Canary failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { runCanary, checkSelectors, splitSelectorList, printCanaryReport };
@@ -0,0 +1,79 @@
+/**
+ * Command-line options shared by the scrapers and run-all.js
+ *
+ *   --origin JFK          Only search from these origins (repeat or comma-separate)
+ *   --dest LIS            Only search these destinations (flight or hotel codes)
+ *   --day 3               Use this day's rotation (0 = Sunday ... 6 = Saturday)
+ *   --all-routes          Ignore the rotation and search every configured route
+ *   --concurrency 4       Number of browser pages searching at once (run.concurrency)
+ *   --record              Save every page loaded as a fixture (see page-fixtures.js)
+ *   --replay              Load pages from saved fixtures instead of the live sites
+ *   --flex                Search the flexible-date matrix for flights (flights.flexibleDates)
+ *   --market UK           Reader market to search and link for (config/markets.json, default MARKET or US)
+ */
+
+const { parseArgs } = require('util');
+const { getMarket } = require('./markets');
+
+function toCodeList(values) {
+  if (!values) return undefined;
+  return values
+    .flatMap(value => value.split(','))
+    .map(code => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse scraper CLI flags, throwing on unknown flags or a bad --day
+ */
+function parseCliOptions(argv = process.argv.slice(2)) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      origin: { type: 'string', multiple: true },
+      dest: { type: 'string', multiple: true },
+      day: { type: 'string' },
+      'all-routes': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      record: { type: 'boolean', default: false },
+      replay: { type: 'boolean', default: false },
+      flex: { type: 'boolean', default: false },
+      market: { type: 'string' }
+    }
+  });
+
+  const options = {
+    origins: toCodeList(values.origin),
+    destinations: toCodeList(values.dest),
+    allRoutes: values['all-routes'],
+    flexibleDates: values.flex
+  };
+
+  if (values.day !== undefined) {
+    if (!/^[0-6]$/.test(values.day)) {
+      throw new Error(`--day must be 0 (Sunday) to 6 (Saturday), got "${values.day}"`);
+    }
+    options.day = parseInt(values.day);
+  }
+
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay can\'t be used together');
+  }
+  if (values.record) options.pageMode = 'record';
+  if (values.replay) options.pageMode = 'replay';
+
+  if (values.concurrency !== undefined) {
+    if (!/^[1-8]$/.test(values.concurrency)) {
+      throw new Error(`--concurrency must be 1 to 8, got "${values.concurrency}"`);
+    }
+    options.concurrency = parseInt(values.concurrency);
+  }
+
+  if (values.market !== undefined) {
+    options.market = getMarket(values.market).code; // Throws on an unknown market
+  }
+
+  return options;
+}
+
+module.exports = { parseCliOptions };
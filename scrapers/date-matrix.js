@@ -0,0 +1,109 @@
+/**
+ * Flexible-Date Matrix for flight searches
+ * Builds the departure-window x trip-length combinations to check per route,
+ * trimmed to fit the run-time budget
+ *
+ * Settings: flights.flexibleDates in config/routes.json
+ */
+
+const { addDays, addWeeks, addMonths, format, nextFriday, isFriday } = require('date-fns');
+
+// Used when flexible dates are off: one itinerary, 2 months out, 7 nights
+const DEFAULT_ITINERARY = { monthsOut: 2, nights: 7 };
+
+function toItinerary(departDate, nights, tripLength) {
+  return {
+    departDate: format(departDate, 'yyyy-MM-dd'),
+    returnDate: format(addDays(departDate, nights), 'yyyy-MM-dd'),
+    nights,
+    tripLength
+  };
+}
+
+/**
+ * The single itinerary searched when flexible dates are off
+ */
+function getDefaultItinerary(today = new Date()) {
+  const departDate = addMonths(today, DEFAULT_ITINERARY.monthsOut);
+  return toItinerary(departDate, DEFAULT_ITINERARY.nights, `${DEFAULT_ITINERARY.nights} days`);
+}
+
+/**
+ * Every departure window x trip length combination
+ * "weekend" departs the Friday of that week and returns Sunday
+ */
+function buildDateMatrix(settings, today = new Date()) {
+  const matrix = [];
+  const { from, to, step = 1 } = settings.departureWeeks;
+
+  for (let week = from; week <= to; week += step) {
+    const weekStart = addWeeks(today, week);
+
+    for (const length of settings.tripLengths) {
+      if (length === 'weekend') {
+        const friday = isFriday(weekStart) ? weekStart : nextFriday(weekStart);
+        matrix.push(toItinerary(friday, 2, 'Weekend'));
+      } else {
+        matrix.push(toItinerary(weekStart, length, `${length} days`));
+      }
+    }
+  }
+
+  return matrix;
+}
+
+/**
+ * Number of date combinations each route can afford within the budget,
+ * with `concurrency` pages searching side by side
+ */
+function getSearchesPerRoute(settings, routeCount, concurrency = 1) {
+  const totalSearches = Math.floor((settings.budgetMinutes * 60 * concurrency) / settings.secondsPerSearch);
+  return Math.max(1, Math.floor(totalSearches / Math.max(1, routeCount)));
+}
+
+/**
+ * Pick `limit` combinations that still sample every trip length and near and far departures:
+ * the budget is shared round-robin across trip lengths, then each length's picks are spread
+ * across the departure weeks (staggered, so different lengths don't all land on one week).
+ * With fewer picks than trip lengths, `rotation` (the day, from planItineraries) decides which
+ * lengths go first, so successive runs cover them all.
+ */
+function limitToBudget(matrix, limit, rotation = 0) {
+  if (matrix.length <= limit) return matrix;
+
+  const byLength = new Map();
+  matrix.forEach((itinerary, index) => {
+    if (!byLength.has(itinerary.tripLength)) byLength.set(itinerary.tripLength, []);
+    byLength.get(itinerary.tripLength).push(index);
+  });
+  const groups = [...byLength.values()];
+  const offset = rotation % groups.length;
+  const ordered = groups.slice(offset).concat(groups.slice(0, offset));
+
+  const picked = [];
+  ordered.forEach((group, g) => {
+    const count = Math.min(group.length, Math.floor(limit / ordered.length) + (g < limit % ordered.length ? 1 : 0));
+    for (let k = 0; k < count; k++) {
+      picked.push(group[Math.floor(((k + g / ordered.length) * group.length) / count)]);
+    }
+  });
+
+  // Back in matrix order (by departure week)
+  return picked.sort((a, b) => a - b).map(index => matrix[index]);
+}
+
+/**
+ * Itineraries to search for each route in this run
+ */
+function planItineraries(settings, routeCount, today = new Date(), concurrency = 1) {
+  const matrix = buildDateMatrix(settings, today);
+  const day = Math.floor(today.getTime() / (24 * 60 * 60 * 1000));
+  return limitToBudget(matrix, getSearchesPerRoute(settings, routeCount, concurrency), day);
+}
+
+module.exports = {
+  getDefaultItinerary,
+  buildDateMatrix,
+  getSearchesPerRoute,
+  planItineraries
+};
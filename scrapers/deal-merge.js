@@ -0,0 +1,136 @@
+/**
+ * Cross-run Deal Merging for eTravelogs
+ * Each run's deals are merged with the last 7 days of output, so the same route or
+ * hotel keeps showing up at different prices. mergeDeals() keeps one record per:
+ *
+ *   flights - route and departure month (the price history date window), or route when undated
+ *   hotels  - hotel in a location: same Expedia property ID, or fuzzy name match
+ *             ("Hotel Avenida Palace Lisbon" and "Avenida Palace Hotel" are the same hotel)
+ *
+ * The record is the latest observation, with firstSeen / lastSeen and a priceHistory
+ * of every price seen for it ({ price, seenAt, source }, oldest first).
+ */
+
+const { getFlightKeys } = require('./price-history');
+const { namesMatch } = require('./hotel-identity');
+const { normalizeName } = require('./gazetteer');
+
+const MERGE_CONFIG = {
+  // Observations this close together are from the same run - the cheaper one wins
+  sameObservationMinutes: 60,
+
+  // Most recent prices kept per record
+  maxPriceHistory: 30
+};
+
+const PRICE_FIELDS = { flights: 'price', hotels: 'pricePerNight' };
+
+function isPlaceholderHotel(deal) {
+  return deal.hotelName === `Hotel in ${deal.location}`;
+}
+
+/**
+ * A hotel name without the words of its location ("Hotel X Paris" -> "hotel x")
+ */
+function getDistinctName(hotelName, location) {
+  const locationWords = normalizeName(location).split(' ');
+  return normalizeName(hotelName).split(' ').filter(word => !locationWords.includes(word)).join(' ');
+}
+
+/**
+ * True when two hotel deals are the same property
+ */
+function isSameHotel(a, b) {
+  if (normalizeName(a.location) !== normalizeName(b.location)) return false;
+  if (a.expediaHotelId && b.expediaHotelId) return a.expediaHotelId === b.expediaHotelId;
+
+  // Unnamed hotels can't be told apart, so they only merge with an identical record
+  if (isPlaceholderHotel(a) || isPlaceholderHotel(b)) {
+    return a.hotelName === b.hotelName && a.pricePerNight === b.pricePerNight;
+  }
+  return namesMatch(getDistinctName(a.hotelName, a.location), getDistinctName(b.hotelName, b.location));
+}
+
+/**
+ * Group deals that describe the same route window or hotel
+ */
+function groupDeals(type, deals) {
+  if (type === 'flights') {
+    const groups = new Map();
+    for (const deal of deals) {
+      const key = getFlightKeys(deal.origin, deal.destination, deal.departDate)[0];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(deal);
+    }
+    return [...groups.values()];
+  }
+
+  const groups = [];
+  for (const deal of deals) {
+    const group = groups.find(members => members.some(member => isSameHotel(member, deal)));
+    if (group) {
+      group.push(deal);
+    } else {
+      groups.push([deal]);
+    }
+  }
+  return groups;
+}
+
+function getPriceHistory(type, deal) {
+  return deal.priceHistory || [{ price: deal[PRICE_FIELDS[type]], seenAt: deal.scrapedAt, source: deal.source }];
+}
+
+/**
+ * Pick the observation a merged record is built from: the latest one, or the
+ * cheapest of several seen in the same run
+ */
+function pickLatest(type, deals) {
+  const priceField = PRICE_FIELDS[type];
+  const window = MERGE_CONFIG.sameObservationMinutes * 60 * 1000;
+
+  return deals.reduce((latest, deal) => {
+    const gap = new Date(deal.scrapedAt) - new Date(latest.scrapedAt);
+    if (Math.abs(gap) <= window) return deal[priceField] < latest[priceField] ? deal : latest;
+    return gap > 0 ? deal : latest;
+  });
+}
+
+function mergeGroup(type, deals, latest) {
+  const firstSeen = deals.map(deal => deal.firstSeen || deal.scrapedAt).sort()[0];
+  const lastSeen = deals.map(deal => deal.lastSeen || deal.scrapedAt).sort().pop();
+
+  const seen = new Set();
+  const priceHistory = deals
+    .flatMap(deal => getPriceHistory(type, deal))
+    .filter(entry => {
+      const key = `${entry.seenAt}|${entry.price}|${entry.source}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.seenAt.localeCompare(b.seenAt))
+    .slice(-MERGE_CONFIG.maxPriceHistory);
+
+  return { ...latest, firstSeen, lastSeen, priceHistory };
+}
+
+/**
+ * Merge this run's deals with earlier ones into one record per route window / hotel
+ *
+ * @param {string} type - 'flights' or 'hotels'
+ * @returns {{ deals: Array, merged: Array }} the merged records, and the observations
+ *   folded into a newer one (for the run report)
+ */
+function mergeDeals(type, deals) {
+  const merged = [];
+  const records = groupDeals(type, deals).map(group => {
+    const latest = pickLatest(type, group);
+    merged.push(...group.filter(deal => deal !== latest));
+    return mergeGroup(type, group, latest);
+  });
+
+  return { deals: records, merged };
+}
+
+module.exports = { MERGE_CONFIG, mergeDeals, isSameHotel };
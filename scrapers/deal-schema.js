@@ -0,0 +1,151 @@
+/**
+ * Deal Schema Validation for eTravelogs
+ * Checks deal records and deals.json against the versioned JSON Schemas in schemas/
+ *
+ * Used on write (scrapers) and on load (post generator). Records that fail are
+ * repaired where the missing data can be derived (e.g. destination name from the
+ * IATA code), otherwise rejected with a report of what was wrong.
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+const { resolveCity } = require('./gazetteer');
+
+const SCHEMA_VERSION = 1;
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+for (const file of ['flight-deal.v1.schema.json', 'hotel-deal.v1.schema.json', 'deals.v1.schema.json']) {
+  ajv.addSchema(require(path.join(SCHEMA_DIR, file)), file);
+}
+
+const validators = {
+  flights: ajv.getSchema('flight-deal.v1.schema.json'),
+  hotels: ajv.getSchema('hotel-deal.v1.schema.json'),
+  deals: ajv.getSchema('deals.v1.schema.json')
+};
+
+function formatErrors(errors) {
+  return (errors || []).map(err => `${err.instancePath || '(record)'} ${err.message}`);
+}
+
+function describeDeal(type, deal) {
+  return type === 'flights'
+    ? `${deal.origin || '?'} → ${deal.destination || '?'} $${deal.price}`
+    : `${deal.hotelName || '?'} (${deal.location || '?'}) $${deal.pricePerNight}`;
+}
+
+/**
+ * Fill in fields that can be derived from the rest of the record
+ * Returns the list of repairs made (empty if nothing changed)
+ */
+function repairDeal(type, deal) {
+  const repairs = [];
+  const set = (field, value) => {
+    if (value === undefined || value === null) return;
+    deal[field] = value;
+    repairs.push(field);
+  };
+
+  const priceField = type === 'flights' ? 'price' : 'pricePerNight';
+  if (typeof deal[priceField] === 'string' && /^\d+(\.\d+)?$/.test(deal[priceField])) {
+    set(priceField, parseFloat(deal[priceField]));
+  }
+
+  if (type === 'flights') {
+    const origin = resolveCity(deal.origin);
+    const destination = resolveCity(deal.destination);
+    if (!deal.originName && origin) set('originName', origin.name);
+    if (!deal.destinationName && destination) set('destinationName', destination.name);
+    if (!deal.destinationCountry && destination) set('destinationCountry', destination.country);
+
+    if (deal.percentOff === undefined && deal.typicalPrice > 0 && deal.price > 0) {
+      set('percentOff', Math.round(((deal.typicalPrice - deal.price) / deal.typicalPrice) * 100));
+    }
+    if (!deal.tripLength && deal.departDate && deal.returnDate) {
+      set('tripLength', `${differenceInCalendarDays(parseISO(deal.returnDate), parseISO(deal.departDate))} days`);
+    }
+  } else {
+    if (!deal.nights && deal.checkinDate && deal.checkoutDate) {
+      set('nights', differenceInCalendarDays(parseISO(deal.checkoutDate), parseISO(deal.checkinDate)));
+    }
+    if (deal.percentOff === undefined) {
+      const baseline = deal.typicalPrice || deal.originalPrice;
+      set('percentOff', baseline > deal.pricePerNight
+        ? Math.round(((baseline - deal.pricePerNight) / baseline) * 100)
+        : 0);
+    }
+  }
+
+  return repairs;
+}
+
+/**
+ * Validate deal records against the flight or hotel deal schema
+ *
+ * @param {'flights'|'hotels'} type
+ * @param {Array} deals
+ * @param {Object} options - { repair: true } to attempt repairs on failing records
+ * @returns {{ valid: Array, invalid: Array<{ deal, errors }>, repaired: Array<{ deal, repairs }> }}
+ */
+function validateRecords(type, deals, options = {}) {
+  const validate = validators[type];
+  const result = { valid: [], invalid: [], repaired: [] };
+
+  for (const original of deals) {
+    if (validate(original)) {
+      result.valid.push(original);
+      continue;
+    }
+
+    let errors = formatErrors(validate.errors);
+
+    if (options.repair) {
+      const deal = { ...original };
+      const repairs = repairDeal(type, deal);
+      if (repairs.length > 0 && validate(deal)) {
+        result.valid.push(deal);
+        result.repaired.push({ deal, repairs });
+        continue;
+      }
+      errors = formatErrors(validate.errors);
+    }
+
+    result.invalid.push({ deal: original, errors });
+  }
+
+  return result;
+}
+
+/**
+ * Validate a whole deals.json document, returns a list of error messages
+ */
+function validateDealsDocument(doc) {
+  return validators.deals(doc) ? [] : formatErrors(validators.deals.errors);
+}
+
+/**
+ * Print a human-readable summary of a validateRecords() result
+ */
+function printValidationReport(type, result, context = '') {
+  if (result.invalid.length === 0 && result.repaired.length === 0) return;
+
+  console.log(`Schema check (${type}${context ? `, ${context}` : ''}): ${result.valid.length} valid, ${result.repaired.length} repaired, ${result.invalid.length} rejected`);
+  for (const { deal, repairs } of result.repaired) {
+    console.log(`  repaired ${describeDeal(type, deal)}: filled ${repairs.join(', ')}`);
+  }
+  for (const { deal, errors } of result.invalid) {
+    console.log(`  rejected ${describeDeal(type, deal)}: ${errors.join('; ')}`);
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  validateRecords,
+  validateDealsDocument,
+  printValidationReport
+};
@@ -0,0 +1,142 @@
+/**
+ * Deal Scoring for eTravelogs
+ * Ranks deals by a composite score instead of percentOff alone, so a $500 saving on
+ * a long-haul flight can outrank $30 off a regional hotel, and hotels without a
+ * baseline still compete on their rating and practicality
+ *
+ * Components (each 0-1, weighted in config/scoring.json):
+ *   savings           - money saved against the baseline (whole stay for hotels)
+ *   percentOff        - % off the baseline, discounted for less trustworthy baselines
+ *   rating            - guest rating (hotels only)
+ *   recency           - how recently the price was seen or re-verified
+ *   practicality      - bookable dates, stops and trip length (flights), property link (hotels)
+ *   sourceReliability - how often the source's prices hold up
+ *
+ * The score is the weighted average of the components that apply, from 0 to 100.
+ * scoreBreakdown holds each component's points; they add up to the score.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+
+const SCORING_PATH = path.join(__dirname, '..', 'config', 'scoring.json');
+const SCORING = JSON.parse(fs.readFileSync(SCORING_PATH, 'utf8'));
+
+function clamp(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function getSavings(type, deal) {
+  if (!deal.typicalPrice) return 0;
+  return type === 'flights'
+    ? deal.typicalPrice - deal.price
+    : (deal.typicalPrice - deal.pricePerNight) * (deal.nights || 1);
+}
+
+function scoreSavings(type, deal) {
+  return clamp(getSavings(type, deal) / SCORING.savings.fullScoreAt[type]);
+}
+
+function scorePercentOff(type, deal) {
+  const { fullScoreAt, baselineConfidence } = SCORING.percentOff;
+  const confidence = deal.baselineSource in baselineConfidence ? baselineConfidence[deal.baselineSource] : 1;
+  return clamp((deal.percentOff || 0) / fullScoreAt) * confidence;
+}
+
+function scoreRating(type, deal) {
+  if (type !== 'hotels') return null;
+  if (!deal.rating) return SCORING.rating.unrated;
+  const { scale, floor } = SCORING.rating;
+  return clamp((deal.rating - floor) / (scale - floor));
+}
+
+function scoreRecency(type, deal, now) {
+  // A fresh verification counts as seeing the price again
+  const seen = [deal.scrapedAt, deal.verificationStatus === 'verified' ? deal.verifiedAt : null]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  if (seen.length === 0) return 0;
+
+  const ageHours = Math.max(now - Math.max(...seen), 0) / (60 * 60 * 1000);
+  return Math.pow(0.5, ageHours / SCORING.recency.halfLifeHours);
+}
+
+function scorePracticality(type, deal) {
+  const rules = SCORING.practicality;
+
+  if (type === 'hotels') {
+    if (!deal.checkinDate || !deal.checkoutDate) return rules.noDates;
+    return deal.specificHotel === false ? rules.searchLinkOnly : 1;
+  }
+
+  if (!deal.departDate || !deal.returnDate) return rules.noDates;
+
+  const stops = typeof deal.stops === 'number'
+    ? rules.stops[Math.min(deal.stops, 2)]
+    : rules.unknownStops;
+  const nights = differenceInCalendarDays(parseISO(deal.returnDate), parseISO(deal.departDate));
+  const length = nights >= rules.idealNights.min && nights <= rules.idealNights.max ? 1 : rules.outsideIdealNights;
+  return stops * length;
+}
+
+function scoreSourceReliability(type, deal) {
+  const { sources } = SCORING.sourceReliability;
+  return deal.source in sources ? sources[deal.source] : SCORING.sourceReliability.default;
+}
+
+const COMPONENTS = {
+  savings: scoreSavings,
+  percentOff: scorePercentOff,
+  rating: scoreRating,
+  recency: scoreRecency,
+  practicality: scorePracticality,
+  sourceReliability: scoreSourceReliability
+};
+
+/**
+ * Score one deal
+ *
+ * @param {string} type - 'flights' or 'hotels'
+ * @returns {Object} the deal with score (0-100) and scoreBreakdown ({ component: points | null })
+ */
+function scoreDeal(type, deal, now = new Date()) {
+  const values = {};
+  let totalWeight = 0;
+  for (const [name, scoreComponent] of Object.entries(COMPONENTS)) {
+    values[name] = scoreComponent(type, deal, now);
+    if (values[name] !== null) totalWeight += SCORING.weights[name];
+  }
+
+  const scoreBreakdown = {};
+  let score = 0;
+  for (const [name, value] of Object.entries(values)) {
+    const points = value === null ? null : (value * SCORING.weights[name] / totalWeight) * 100;
+    scoreBreakdown[name] = points === null ? null : round(points);
+    score += points || 0;
+  }
+
+  return { ...deal, score: round(score), scoreBreakdown };
+}
+
+/**
+ * Highest score first; deals without a score keep their order after scored ones
+ */
+function compareByScore(a, b) {
+  const scoreA = typeof a.score === 'number' ? a.score : -1;
+  const scoreB = typeof b.score === 'number' ? b.score : -1;
+  return scoreB - scoreA;
+}
+
+/**
+ * Score every deal and sort them best first
+ */
+function scoreDeals(type, deals, now = new Date()) {
+  return deals.map(deal => scoreDeal(type, deal, now)).sort(compareByScore);
+}
+
+module.exports = { SCORING, scoreDeal, scoreDeals, compareByScore };
@@ -0,0 +1,282 @@
+/**
+ * Deal Validator for eTravelogs
+ * Sanity-checks scraped deals before they are written to flights.json / hotels.json
+ *
+ * Checks: required fields, per-route/per-destination price bounds, and
+ * outliers against the price history (price-history.js). Rejected deals are moved to
+ * output/quarantine.json together with the reason they were rejected.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const QUARANTINE_PATH = path.join(__dirname, '..', 'output', 'quarantine.json');
+
+// Validation rules per deal type
+const VALIDATION_CONFIG = {
+  flights: {
+    priceField: 'price',
+    requiredFields: ['origin', 'destination', 'price', 'source', 'scrapedAt'],
+
+    // Round-trip economy fares from the US; anything outside is a scrape error
+    defaultBounds: { min: 100, max: 5000 },
+
+    // Keyed by destination code
+    destinationBounds: {
+      'CUN': { min: 80, max: 2000 },
+      'TYO': { min: 350, max: 6000 },
+      'ICN': { min: 350, max: 6000 },
+      'BKK': { min: 350, max: 6000 },
+      'SIN': { min: 350, max: 6000 }
+    },
+
+    // Keyed by ORIGIN-DEST, takes precedence over destination bounds
+    routeBounds: {
+      'MIA-CUN': { min: 60, max: 1500 },
+      'DFW-CUN': { min: 60, max: 1500 },
+      'ATL-CUN': { min: 60, max: 1500 }
+    }
+  },
+
+  hotels: {
+    priceField: 'pricePerNight',
+    requiredFields: ['hotelName', 'location', 'pricePerNight', 'source', 'scrapedAt'],
+
+    defaultBounds: { min: 40, max: 2500 },
+
+    // Keyed by destination name
+    destinationBounds: {
+      'Bangkok': { min: 15, max: 1500 },
+      'Bali': { min: 15, max: 2000 },
+      'Phuket': { min: 15, max: 2000 },
+      'New York': { min: 80, max: 3000 },
+      'Maldives': { min: 120, max: 10000 }
+    }
+  },
+
+  // A price is an outlier when it is far from the median of recent observations
+  outliers: {
+    minSamples: 3,
+    lowRatio: 0.35,   // Below 35% of the recent median
+    highRatio: 3      // Above 3x the recent median
+  },
+
+  // How long quarantined entries are kept
+  quarantineRetentionDays: 7
+};
+
+/**
+ * Key used to group observations of the same route / hotel
+ */
+function getDealKey(type, deal) {
+  if (type === 'flights') {
+    return `${deal.origin}-${deal.destination}`;
+  }
+  return `${deal.hotelName}|${deal.location}`;
+}
+
+/**
+ * Resolve min/max price bounds for a deal (route > destination > default)
+ */
+function getPriceBounds(type, deal) {
+  const rules = VALIDATION_CONFIG[type];
+
+  if (type === 'flights' && rules.routeBounds[`${deal.origin}-${deal.destination}`]) {
+    return rules.routeBounds[`${deal.origin}-${deal.destination}`];
+  }
+
+  const destinationKey = type === 'flights' ? deal.destination : deal.location;
+  return rules.destinationBounds[destinationKey] || rules.defaultBounds;
+}
+
+/**
+ * Check a deal's price against its bounds
+ * Returns a rejection reason, or null if the price is plausible
+ */
+function checkPriceBounds(type, deal) {
+  const price = deal[VALIDATION_CONFIG[type].priceField];
+  const bounds = getPriceBounds(type, deal);
+
+  if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+    return `Invalid price: ${price}`;
+  }
+  if (price < bounds.min) {
+    return `Price $${price} below minimum $${bounds.min}`;
+  }
+  if (price > bounds.max) {
+    return `Price $${price} above maximum $${bounds.max}`;
+  }
+  return null;
+}
+
+/**
+ * Return the name of the first missing required field, or null
+ */
+function findMissingField(type, deal) {
+  for (const field of VALIDATION_CONFIG[type].requiredFields) {
+    if (deal[field] === undefined || deal[field] === null || deal[field] === '') {
+      return field;
+    }
+  }
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Recent prices by route / hotel for outlier detection, from the price history index
+ * (loadPriceHistory() in price-history.js). Only in-bounds prices are recorded there,
+ * and it's loaded before this run's observations, so a bad scrape can't set the median.
+ */
+function buildRecentPrices(type, priceHistory) {
+  const recentPrices = {};
+
+  for (const [key, prices] of Object.entries(priceHistory)) {
+    // Flights are also indexed per departure month; outliers compare the whole route
+    if (type === 'flights' && key.includes('|')) continue;
+    recentPrices[key] = prices.filter(price => typeof price === 'number');
+  }
+
+  return recentPrices;
+}
+
+/**
+ * Check a deal's price against recent observations for the same route / hotel
+ * Returns a rejection reason, or null if there is not enough history or it fits
+ */
+function checkOutlier(type, deal, recentPrices) {
+  const samples = recentPrices[getDealKey(type, deal)] || [];
+  const { minSamples, lowRatio, highRatio } = VALIDATION_CONFIG.outliers;
+
+  if (samples.length < minSamples) return null;
+
+  const price = deal[VALIDATION_CONFIG[type].priceField];
+  const recentMedian = median(samples);
+
+  if (price < recentMedian * lowRatio) {
+    return `Price $${price} is an outlier (recent median $${Math.round(recentMedian)})`;
+  }
+  if (price > recentMedian * highRatio) {
+    return `Price $${price} is an outlier (recent median $${Math.round(recentMedian)})`;
+  }
+  return null;
+}
+
+/**
+ * Validate a list of deals
+ *
+ * @param {'flights'|'hotels'} type
+ * @param {Array} deals
+ * @param {Object} options - { recentPrices } as returned by buildRecentPrices()
+ * @returns {{ accepted: Array, rejected: Array<{ deal, rule, reason }> }}
+ */
+function validateDeals(type, deals, options = {}) {
+  const recentPrices = options.recentPrices || {};
+  const accepted = [];
+  const rejected = [];
+
+  for (const deal of deals) {
+    const missingField = findMissingField(type, deal);
+    if (missingField) {
+      rejected.push({ deal, rule: 'required-field', reason: `Missing required field: ${missingField}` });
+      continue;
+    }
+
+    const boundsReason = checkPriceBounds(type, deal);
+    if (boundsReason) {
+      rejected.push({ deal, rule: 'price-bounds', reason: boundsReason });
+      continue;
+    }
+
+    const outlierReason = checkOutlier(type, deal, recentPrices);
+    if (outlierReason) {
+      rejected.push({ deal, rule: 'outlier', reason: outlierReason });
+      continue;
+    }
+
+    accepted.push(deal);
+  }
+
+  return { accepted, rejected };
+}
+
+/**
+ * Load quarantine entries (empty list if no file yet)
+ */
+function loadQuarantine(filePath = QUARANTINE_PATH) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return data.entries || [];
+    }
+  } catch (err) {
+    console.log('Could not read quarantine file, starting a new one');
+  }
+  return [];
+}
+
+/**
+ * Append rejected deals to output/quarantine.json
+ * Entries older than the retention window are dropped, repeats are skipped
+ *
+ * @param {Object} options - { path: quarantine file (default output/quarantine.json), now }
+ */
+function quarantineDeals(type, rejected, { path: filePath = QUARANTINE_PATH, now = new Date() } = {}) {
+  const retentionCutoff = new Date(now.getTime() - VALIDATION_CONFIG.quarantineRetentionDays * 24 * 60 * 60 * 1000);
+  const entries = loadQuarantine(filePath).filter(entry => new Date(entry.quarantinedAt) > retentionCutoff);
+
+  const entryKey = entry => `${entry.type}|${getDealKey(entry.type, entry.deal)}|${entry.deal.scrapedAt}|${entry.reason}`;
+  const seen = new Set(entries.map(entryKey));
+
+  for (const { deal, rule, reason } of rejected) {
+    const entry = { type, rule, reason, quarantinedAt: now.toISOString(), deal };
+    if (seen.has(entryKey(entry))) continue;
+    seen.add(entryKey(entry));
+    entries.push(entry);
+  }
+
+  const outputDir = path.dirname(filePath);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  fs.writeFileSync(filePath, JSON.stringify({
+    updated: now.toISOString(),
+    count: entries.length,
+    entries
+  }, null, 2));
+
+  if (rejected.length > 0) {
+    console.log(`Quarantined ${rejected.length} ${type} deal(s) to ${filePath}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Count quarantine entries per type and rule since a given time
+ */
+function summarizeQuarantine(since) {
+  const summary = { flights: 0, hotels: 0, byRule: {} };
+
+  for (const entry of loadQuarantine()) {
+    if (since && new Date(entry.quarantinedAt) < since) continue;
+    summary[entry.type] = (summary[entry.type] || 0) + 1;
+    summary.byRule[entry.rule] = (summary.byRule[entry.rule] || 0) + 1;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  VALIDATION_CONFIG,
+  validateDeals,
+  checkPriceBounds,
+  buildRecentPrices,
+  quarantineDeals,
+  summarizeQuarantine
+};
@@ -0,0 +1,165 @@
+/**
+ * Failure artifacts for eTravelogs scrapers
+ * When a search throws or extracts nothing, saves what the page looked like -
+ * full-page screenshot, HTML and how many elements each selector matched - to
+ * output/debug/<run>/<route>/, so a selector break can be diagnosed from the
+ * workflow artifacts without re-running by hand
+ *
+ * Set DEBUG_ARTIFACTS=off to disable, DEBUG_ARTIFACTS_MAX_MB to change the size cap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEBUG_CONFIG = {
+  dir: path.join(__dirname, '..', 'output', 'debug'),
+  enabled: process.env.DEBUG_ARTIFACTS !== 'off',
+  maxTotalBytes: (parseFloat(process.env.DEBUG_ARTIFACTS_MAX_MB) || 50) * 1024 * 1024,
+  keepRuns: 5 // Older run folders are deleted when a new run starts capturing
+};
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/→/g, '-')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '') || 'all';
+}
+
+/**
+ * Folder name for a run, sortable by time
+ */
+function makeRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function getDirSize(dir) {
+  if (!fs.existsSync(dir)) return 0;
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return total + (entry.isDirectory() ? getDirSize(entryPath) : fs.statSync(entryPath).size);
+  }, 0);
+}
+
+/**
+ * Delete all but the newest `keep` run folders
+ */
+function pruneOldRuns(keep, currentRunId) {
+  if (!fs.existsSync(DEBUG_CONFIG.dir)) return;
+
+  const runs = fs.readdirSync(DEBUG_CONFIG.dir)
+    .filter(name => name !== currentRunId)
+    .sort()
+    .reverse();
+
+  for (const name of runs.slice(Math.max(0, keep - 1))) {
+    fs.rmSync(path.join(DEBUG_CONFIG.dir, name), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Count how many elements each selector matches on the page
+ */
+async function countSelectors(page, selectors) {
+  const counts = {};
+  for (const selector of selectors) {
+    try {
+      counts[selector] = (await page.$$(selector)).length;
+    } catch (error) {
+      counts[selector] = `error: ${error.message}`;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Create an artifact store for one run
+ * Stores created with the same runId (flights, then hotels) write to the same
+ * folder and share its size cap
+ *
+ * @param {string} runId - folder name under output/debug (default: now)
+ * @returns {{ runId: string, runDir: string, capture: Function }}
+ */
+function createArtifactStore(runId = makeRunId()) {
+  const runDir = path.join(DEBUG_CONFIG.dir, runId);
+  let initialized = false;
+  let bytesUsed = 0;
+  let capReported = false;
+
+  function init() {
+    if (initialized) return;
+    initialized = true;
+    pruneOldRuns(DEBUG_CONFIG.keepRuns, runId);
+    bytesUsed = getDirSize(DEBUG_CONFIG.dir);
+  }
+
+  // Reserve space for a file, or refuse once the cap is reached
+  function reserve(bytes) {
+    if (bytesUsed + bytes > DEBUG_CONFIG.maxTotalBytes) {
+      if (!capReported) {
+        console.log(`  Debug artifacts: ${Math.round(DEBUG_CONFIG.maxTotalBytes / 1024 / 1024)}MB cap reached, skipping further screenshots/HTML`);
+        capReported = true;
+      }
+      return false;
+    }
+    bytesUsed += bytes;
+    return true;
+  }
+
+  return {
+    runId,
+    runDir,
+
+    /**
+     * Save screenshot, HTML and selector counts for a failed extraction
+     * Never throws - a failed capture must not fail the search
+     *
+     * @param {Object} page - Playwright page
+     * @param {Object} details - { route, source, attempt, selectors, error }
+     * @returns {Promise<string|null>} folder the files went to, relative to the repo root
+     */
+    async capture(page, details) {
+      if (!DEBUG_CONFIG.enabled || !page) return null;
+
+      try {
+        init();
+
+        const routeDir = path.join(runDir, slugify(details.route));
+        const prefix = `${slugify(details.source)}-${details.attempt || 1}`;
+        fs.mkdirSync(routeDir, { recursive: true });
+
+        // Selector counts are tiny and the most useful part, so they're always written
+        const summary = {
+          route: details.route,
+          source: details.source,
+          attempt: details.attempt || 1,
+          url: page.url(),
+          title: await page.title().catch(() => null),
+          error: details.error ? details.error.message : null,
+          selectorCounts: await countSelectors(page, details.selectors || []),
+          capturedAt: new Date().toISOString()
+        };
+        const summaryJson = JSON.stringify(summary, null, 2);
+        bytesUsed += Buffer.byteLength(summaryJson);
+        fs.writeFileSync(path.join(routeDir, `${prefix}-selectors.json`), summaryJson);
+
+        const html = await page.content();
+        if (reserve(Buffer.byteLength(html))) {
+          fs.writeFileSync(path.join(routeDir, `${prefix}-page.html`), html);
+        }
+
+        const screenshot = await page.screenshot({ fullPage: true, timeout: 10000 });
+        if (reserve(screenshot.length)) {
+          fs.writeFileSync(path.join(routeDir, `${prefix}-screenshot.png`), screenshot);
+        }
+
+        return path.relative(path.join(__dirname, '..'), routeDir);
+      } catch (error) {
+        console.error(`  Debug artifacts for ${details.route} failed:`, error.message);
+        return null;
+      }
+    }
+  };
+}
+
+module.exports = { DEBUG_CONFIG, createArtifactStore, makeRunId, slugify };
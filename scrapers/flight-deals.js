@@ -1,283 +1,205 @@
 /**
  * Flight Deals Scraper for eTravelogs
- * Uses Playwright to scrape Google Flights for deals from top 10 US cities
+ * Runs every registered flight source (see scrapers/sources/) for deals from top 10 US cities
  *
- * Strategy: Search for flights 2-3 months out to find best deals
+ * Strategy: Search for flights 2-3 months out to find best deals,
+ * or a budgeted matrix of departure weeks and trip lengths with --flex
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const { format, addDays, addMonths } = require('date-fns');
+const { validateDeals, buildRecentPrices, quarantineDeals, checkPriceBounds } = require('./deal-validator');
+const { recordObservation, loadPriceHistory, getBaseline, getFlightKeys } = require('./price-history');
+const { validateRecords, printValidationReport, SCHEMA_VERSION } = require('./deal-schema');
+const { getSources, getTargets, describeTarget, runSource } = require('./sources');
+const { launchBrowser } = require('./browser');
+const { runPool } = require('./worker-pool');
+const { createRunReport } = require('./run-report');
+const { createArtifactStore } = require('./debug-artifacts');
+const { loadRouteConfig, getRunSettings, selectFlightRoutes } = require('./route-config');
+const { parseCliOptions } = require('./cli-options');
+const { getDefaultItinerary, planItineraries } = require('./date-matrix');
+const { getMarket, getReportingCurrency, normalizeDealCurrency } = require('./markets');
+const { buildFlightSearchLink } = require('./affiliates');
+const { scoreDeals } = require('./deal-scoring');
+const { mergeDeals } = require('./deal-merge');
+
+// Origins, destinations, typical prices and the day rotation live in config/routes.json
+const ROUTES = loadRouteConfig();
 
 // Configuration
 const CONFIG = {
-  // Expedia affiliate info
-  expediaAffiliateTag: process.env.EXPEDIA_AFFILIATE_TAG || 'etravelogs',
-  expediaPublisherId: process.env.EXPEDIA_PUBLISHER_ID || '1011l387199',
-
-  // Top 10 US origin cities
-  originCities: [
-    { code: 'JFK', name: 'New York (JFK)', metro: 'NYC' },
-    { code: 'LAX', name: 'Los Angeles', metro: 'LAX' },
-    { code: 'SFO', name: 'San Francisco', metro: 'SFO' },
-    { code: 'ORD', name: 'Chicago', metro: 'CHI' },
-    { code: 'MIA', name: 'Miami', metro: 'MIA' },
-    { code: 'DFW', name: 'Dallas', metro: 'DFW' },
-    { code: 'BOS', name: 'Boston', metro: 'BOS' },
-    { code: 'SEA', name: 'Seattle', metro: 'SEA' },
-    { code: 'DEN', name: 'Denver', metro: 'DEN' },
-    { code: 'ATL', name: 'Atlanta', metro: 'ATL' }
-  ],
-
-  // Popular international destinations
-  destinations: [
-    { code: 'PAR', name: 'Paris', country: 'France' },
-    { code: 'LON', name: 'London', country: 'UK' },
-    { code: 'TYO', name: 'Tokyo', country: 'Japan' },
-    { code: 'ROM', name: 'Rome', country: 'Italy' },
-    { code: 'BCN', name: 'Barcelona', country: 'Spain' },
-    { code: 'CUN', name: 'Cancun', country: 'Mexico' },
-    { code: 'LIS', name: 'Lisbon', country: 'Portugal' },
-    { code: 'DUB', name: 'Dublin', country: 'Ireland' },
-    { code: 'AMS', name: 'Amsterdam', country: 'Netherlands' },
-    { code: 'ICN', name: 'Seoul', country: 'South Korea' },
-    { code: 'BKK', name: 'Bangkok', country: 'Thailand' },
-    { code: 'SIN', name: 'Singapore', country: 'Singapore' }
-  ],
-
-  // Typical prices for comparison (used to calculate % off)
-  typicalPrices: {
-    'PAR': 800, 'LON': 750, 'TYO': 1200, 'ROM': 850,
-    'BCN': 700, 'CUN': 400, 'LIS': 650, 'DUB': 600,
-    'AMS': 700, 'ICN': 1100, 'BKK': 900, 'SIN': 1000
-  },
-
-  // Day-based rotation: spread cities across days to stay under 15 min
-  // Each day processes 2-3 origin cities with 6 destinations
-  dayRotation: {
-    0: { origins: [0, 1], destinations: [0, 1, 2, 3, 4, 5] },       // Sunday: JFK, LAX -> Europe
-    1: { origins: [2, 3], destinations: [0, 1, 2, 3, 4, 5] },       // Monday: SFO, ORD -> Europe
-    2: { origins: [4, 5], destinations: [6, 7, 8, 9, 10, 11] },     // Tuesday: MIA, DFW -> Asia/Other
-    3: { origins: [6, 7], destinations: [6, 7, 8, 9, 10, 11] },     // Wednesday: BOS, SEA -> Asia/Other
-    4: { origins: [8, 9], destinations: [0, 1, 2, 3, 4, 5] },       // Thursday: DEN, ATL -> Europe
-    5: { origins: [0, 1, 2], destinations: [6, 7, 8, 9, 10, 11] },  // Friday: Top 3 -> Asia
-    6: { origins: [0, 1, 2, 3, 4], destinations: [0, 1, 2, 5] }     // Saturday: Top 5 -> Top 4 destinations
-  }
+  // Static typical prices (reporting currency), used to calculate % off only when price history is too thin
+  typicalPrices: Object.fromEntries(ROUTES.flights.destinations.map(d => [d.code, d.typicalPrice]))
 };
 
 /**
- * Generate Expedia deeplink for a flight search
- * Note: Expedia expects colons, commas, and slashes unencoded in leg parameters
+ * Typical price for a route: rolling baseline from price history,
+ * falling back to the static table when history is too thin
  */
-function generateExpediaLink(origin, dest, departDate, returnDate, passengers = 1) {
-  const baseUrl = 'https://www.expedia.com/Flights-Search';
-  const departStr = format(departDate, 'MM/dd/yyyy');
-  const returnStr = format(returnDate, 'MM/dd/yyyy');
-
-  // Build URL manually - Expedia expects special chars unencoded in leg params
-  const leg1 = `from:${origin},to:${dest},departure:${departStr}TANYT`;
-  const leg2 = `from:${dest},to:${origin},departure:${returnStr}TANYT`;
-  const passengersParam = `adults:${passengers}`;
-  const affcid = `US.DIRECT.PHG.${CONFIG.expediaPublisherId}.${CONFIG.expediaAffiliateTag}`;
-
-  return `${baseUrl}?trip=roundtrip&leg1=${leg1}&leg2=${leg2}&passengers=${passengersParam}&AFFCID=${affcid}`;
+function getTypicalPrice(priceHistory, originCode, destinationCode, departDate) {
+  const baseline = getBaseline(priceHistory, getFlightKeys(originCode, destinationCode, departDate));
+  if (baseline) {
+    return { price: baseline.price, source: 'history', samples: baseline.samples };
+  }
+  return { price: CONFIG.typicalPrices[destinationCode] || 800, source: 'static', samples: 0 };
 }
 
 /**
- * Scrape Google Flights for a specific route
+ * Compare a source deal against its baseline and attach the affiliate link
+ * Records the observation in the price history along the way
+ * Returns null when the price isn't a deal (<= 15% off), noting why in the run report
+ *
+ * Deals whose destination isn't an IATA code pass through unchanged.
+ * Deals without itinerary dates (e.g. undated feed posts) stay undated, but link
+ * to a search for the default itinerary (2 months out, 7 nights)
  */
-async function scrapeGoogleFlights(page, origin, destination) {
-  const deals = [];
-
-  // Calculate travel dates (2-3 months out, 7-day trip)
-  const departDate = addMonths(new Date(), 2);
-  const returnDate = addDays(departDate, 7);
-
-  const departStr = format(departDate, 'yyyy-MM-dd');
-  const returnStr = format(returnDate, 'yyyy-MM-dd');
-
-  // Google Flights URL format
-  const url = `https://www.google.com/travel/flights/search?tfs=CBwQAhojEgoyMDI2LTA0LTAxagcIARIDJHtvcmlnaW59cgcIARIDJHtkZXN0fRojEgoyMDI2LTA0LTA4agcIARIDJHtkZXN0fXIHCAESAyR7b3JpZ2lufUABSAFwAYIBCwj___________8BmAEB`
-    .replace('${origin}', origin.code)
-    .replace('${dest}', destination.code);
-
-  try {
-    // Use a simpler approach: construct the search URL directly
-    const searchUrl = `https://www.google.com/travel/flights?q=flights%20from%20${encodeURIComponent(origin.name)}%20to%20${encodeURIComponent(destination.name)}`;
-
-    await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-    await page.waitForTimeout(2000); // Let prices load
-
-    // Try to find price elements
-    const priceElements = await page.$$('span[data-gs], .gws-flights-results__price, [aria-label*="$"]');
-
-    // Extract the lowest price shown
-    let lowestPrice = null;
-    for (const el of priceElements) {
-      const text = await el.textContent();
-      const priceMatch = text.match(/\$(\d+)/);
-      if (priceMatch) {
-        const price = parseInt(priceMatch[1]);
-        if (!lowestPrice || price < lowestPrice) {
-          lowestPrice = price;
-        }
-      }
-    }
-
-    if (lowestPrice) {
-      const typicalPrice = CONFIG.typicalPrices[destination.code] || 800;
-      const percentOff = Math.round(((typicalPrice - lowestPrice) / typicalPrice) * 100);
-
-      if (percentOff > 15) { // Only include deals with >15% off
-        deals.push({
-          origin: origin.code,
-          originName: origin.name,
-          destination: destination.code,
-          destinationName: destination.name,
-          destinationCountry: destination.country,
-          price: lowestPrice,
-          typicalPrice: typicalPrice,
-          percentOff: percentOff,
-          departDate: departStr,
-          returnDate: returnStr,
-          tripLength: '7 days',
-          source: 'Google Flights',
-          scrapedAt: new Date().toISOString(),
-          expediaLink: generateExpediaLink(origin.code, destination.code, departDate, returnDate)
-        });
-      }
-    }
-  } catch (error) {
-    console.error(`Error scraping ${origin.code} → ${destination.code}:`, error.message);
+function priceFlightDeal(deal, priceHistory, report, market = getMarket()) {
+  if (!/^[A-Z]{3}$/.test(deal.destination)) return deal;
+
+  // Only plausible prices are stored, so scrape errors can't skew baselines
+  if (!checkPriceBounds('flights', deal)) {
+    recordObservation('flights', {
+      origin: deal.origin,
+      destination: deal.destination,
+      departDate: deal.departDate,
+      returnDate: deal.returnDate,
+      price: deal.price,
+      source: deal.source
+    });
   }
 
-  return deals;
-}
-
-/**
- * Alternative: Use Google Flights Explore feature for deals
- */
-async function scrapeGoogleFlightsExplore(page, origin) {
-  const deals = [];
+  const baseline = getTypicalPrice(priceHistory, deal.origin, deal.destination, deal.departDate);
+  const percentOff = Math.round(((baseline.price - deal.price) / baseline.price) * 100);
 
-  try {
-    // Google Flights Explore shows deals from a city
-    const exploreUrl = `https://www.google.com/travel/explore?tfs=CBwQAxoJagcIARIDJHtvcmlnaW59QAFIAXABggELCP___________wGYAQI&tfu=EgYIAhAAGAA&hl=en&gl=us&curr=USD`
-      .replace('${origin}', origin.code);
-
-    await page.goto(`https://www.google.com/travel/explore?tfs=CBwQAxoJagcIARID${origin.code}QAFIAXABggELCP___________wGYAQI`,
-      { waitUntil: 'domcontentloaded', timeout: 25000 });
-
-    await page.waitForTimeout(3000); // Let the map and prices load
-
-    // Look for destination cards with prices
-    const cards = await page.$$('[data-ved] [role="button"]');
-
-    for (const card of cards.slice(0, 10)) { // Limit to top 10 shown
-      try {
-        const text = await card.textContent();
-        const priceMatch = text.match(/\$(\d+)/);
-        const cityMatch = text.match(/([A-Za-z\s]+)\$/);
-
-        if (priceMatch && cityMatch) {
-          const price = parseInt(priceMatch[1]);
-          const city = cityMatch[1].trim();
-
-          deals.push({
-            origin: origin.code,
-            originName: origin.name,
-            destination: city,
-            price: price,
-            source: 'Google Flights Explore',
-            scrapedAt: new Date().toISOString()
-          });
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-  } catch (error) {
-    console.error(`Error exploring from ${origin.code}:`, error.message);
+  // Only include deals with >15% off
+  if (percentOff <= 15) {
+    report.reject('flights', deal, 'below-threshold', `${percentOff}% off $${baseline.price} ${baseline.source} baseline (needs more than 15%)`);
+    return null;
   }
 
-  return deals;
-}
-
-/**
- * Get today's rotation config for day-based scraping
- * This spreads the workload across the week to stay under 15 minutes per run
- */
-function getTodayRotation() {
-  const dayOfWeek = new Date().getDay(); // 0 = Sunday, 6 = Saturday
-  return CONFIG.dayRotation[dayOfWeek];
+  // expediaLink is always Expedia; affiliateLink goes to the partner config/affiliates.json picks
+  const dates = deal.departDate && deal.returnDate ? deal : getDefaultItinerary();
+  const search = { origin: deal.origin, destination: deal.destination, departDate: dates.departDate, returnDate: dates.returnDate };
+  const affiliate = buildFlightSearchLink(search, { market, deal });
+
+  return {
+    ...deal,
+    typicalPrice: baseline.price,
+    baselineSource: baseline.source,
+    baselineSamples: baseline.samples,
+    percentOff: percentOff,
+    expediaLink: buildFlightSearchLink(search, { market, partner: 'expedia' }).url,
+    affiliatePartner: affiliate.partner,
+    affiliateLink: affiliate.url
+  };
 }
 
 /**
  * Main scraper function
- * Uses day-based rotation to process a subset of routes each day
- * Full coverage achieved over a week, each day runs in ~10-15 minutes
+ * Searches every route with a pool of browser pages (run.concurrency), or the
+ * day's rotation when run.coverage is "rotation" or --day is given
+ *
+ * @param {Object} options - from parseCliOptions() ({ origins, destinations, day, allRoutes, flexibleDates, concurrency, pageMode, market })
+ * @param {Object} report - run report from createRunReport(), filled with per-route outcomes
  */
-async function scrapeFlightDeals() {
-  const rotation = getTodayRotation();
-  const todaysOrigins = rotation.origins.map(i => CONFIG.originCities[i]);
-  const todaysDestinations = rotation.destinations.map(i => CONFIG.destinations[i]);
-  const dayOfWeek = new Date().getDay();
+async function scrapeFlightDeals(options = {}, report = createRunReport()) {
+  const selection = selectFlightRoutes(ROUTES, options);
+  const todaysOrigins = selection.origins;
+  const todaysDestinations = selection.destinations;
+  const dayOfWeek = selection.day;
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-  console.log('Starting flight deals scraper (optimized day rotation)...');
-  console.log(`Today is ${dayNames[dayOfWeek]} - Day ${dayOfWeek} rotation`);
+  const { concurrency } = getRunSettings(ROUTES, options);
+
+  console.log(`Starting flight deals scraper (${concurrency} page(s) in parallel)...`);
+  console.log(selection.allRoutes
+    ? `Today is ${dayNames[dayOfWeek]} - full coverage`
+    : `Today is ${dayNames[dayOfWeek]} - Day ${dayOfWeek} rotation`);
+  if (options.origins || options.destinations || options.allRoutes) {
+    console.log('Route overrides from command line are active');
+  }
   console.log(`Scraping from ${todaysOrigins.length} origin cities: ${todaysOrigins.map(o => o.code).join(', ')}`);
   console.log(`Looking at ${todaysDestinations.length} destinations: ${todaysDestinations.map(d => d.code).join(', ')}`);
   console.log(`Total searches today: ${todaysOrigins.length * todaysDestinations.length} routes`);
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
+  // One itinerary per route, or a budgeted matrix of dates when flexible dates are on
+  const flexibleDates = ROUTES.flights.flexibleDates;
+  const useFlexibleDates = options.flexibleDates || (flexibleDates && flexibleDates.enabled);
+  if (useFlexibleDates && !flexibleDates) {
+    throw new Error('Flexible dates need flights.flexibleDates in config/routes.json');
+  }
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-    viewport: { width: 1920, height: 1080 }
-  });
+  const routeCount = todaysOrigins.length * todaysDestinations.length;
+  const itineraries = useFlexibleDates
+    ? planItineraries(flexibleDates, routeCount, new Date(), concurrency)
+    : [getDefaultItinerary()];
+  const deadline = useFlexibleDates ? Date.now() + flexibleDates.budgetMinutes * 60 * 1000 : null;
 
-  const page = await context.newPage();
-  let allDeals = [];
+  if (useFlexibleDates) {
+    console.log(`Flexible dates: ${itineraries.length} date combination(s) per route, ${flexibleDates.budgetMinutes} minute budget`);
+  }
 
-  // Strategy 1: Scrape today's routes (reduced set based on day rotation)
-  for (const origin of todaysOrigins) {
-    console.log(`\nSearching from ${origin.name}...`);
+  const priceHistory = loadPriceHistory('flights');
+  const artifacts = createArtifactStore(report.runId);
+  const market = getMarket(options.market);
+  console.log(`Market: ${market.name} (${market.currency}), prices compared in ${getReportingCurrency()}`);
+  const ctx = { page: null, priceHistory, dayOfWeek, itineraries, deadline, artifacts, pageMode: options.pageMode, market };
+  const sources = getSources('flights').filter(source => !source.isEnabled || source.isEnabled(ctx));
 
-    for (const dest of todaysDestinations) {
-      console.log(`  -> ${dest.name}...`);
-      const deals = await scrapeGoogleFlights(page, origin, dest);
-      allDeals = allDeals.concat(deals);
+  const session = sources.some(source => source.needsBrowser) ? await launchBrowser({ pages: concurrency }) : null;
 
-      // Reduced rate limiting - 1-2 seconds instead of 2-4
-      await page.waitForTimeout(1000 + Math.random() * 1000);
-    }
-  }
+  let allDeals = [];
 
-  // Strategy 2: Check Google Flights Explore for today's origins only (max 2)
-  console.log('\nChecking Google Flights Explore for additional deals...');
-  for (const origin of todaysOrigins.slice(0, 2)) {
-    const exploreDeals = await scrapeGoogleFlightsExplore(page, origin);
-    allDeals = allDeals.concat(exploreDeals);
-    await page.waitForTimeout(2000);
+  // Run every registered flight source over today's routes, one page per worker
+  for (const source of sources) {
+    const targets = getTargets(source, { origins: todaysOrigins, destinations: todaysDestinations });
+    const workers = source.needsBrowser ? concurrency : 1;
+    console.log(`\n[${source.name}] ${targets.length} search(es), ${workers} worker(s)`);
+
+    const results = await runPool(targets, workers, async (target, worker) => {
+      const page = session && source.needsBrowser ? session.pages[worker] : null;
+      const outcome = report.startSearch('flights', source.name, target);
+      const deals = (await runSource(source, { ...ctx, page }, target, outcome))
+        .map(deal => priceFlightDeal(normalizeDealCurrency('flights', deal), priceHistory, report, market))
+        .filter(Boolean);
+      console.log(`  -> ${describeTarget(target)}: ${deals.length} deal(s)`);
+      return deals;
+    }, {
+      // Pricing or linking one target's deals failed: skip them, keep the run going
+      onError: (error, target) => {
+        console.error(`  -> ${describeTarget(target)} failed:`, error.message);
+        return [];
+      }
+    });
+    allDeals = allDeals.concat(results.flat());
   }
 
-  await browser.close();
+  if (session) await session.browser.close();
 
   // Load existing deals from previous days (if any) and merge
   const existingDeals = loadExistingDeals();
   allDeals = allDeals.concat(existingDeals);
 
-  // Deduplicate and sort by best deal
-  const uniqueDeals = deduplicateDeals(allDeals);
-  const sortedDeals = uniqueDeals.sort((a, b) => (b.percentOff || 0) - (a.percentOff || 0));
+  // Reject implausible prices and incomplete records before they reach flights.json
+  const { accepted, rejected } = validateDeals('flights', allDeals, {
+    recentPrices: buildRecentPrices('flights', priceHistory)
+  });
+  quarantineDeals('flights', rejected);
+  for (const { deal, rule, reason } of rejected) report.reject('flights', deal, rule, reason);
+
+  // One record per route and departure month, keeping the latest price, then rank by
+  // composite score (re-scored every run, as recency decays)
+  const { deals: uniqueDeals, merged } = mergeDeals('flights', accepted);
+  const sortedDeals = scoreDeals('flights', uniqueDeals);
+  for (const deal of merged) {
+    report.reject('flights', deal, 'duplicate', 'Merged into a newer observation of the same route and departure month');
+  }
 
   // Take top 20 deals
   const topDeals = sortedDeals.slice(0, 20);
+  for (const deal of sortedDeals.slice(20)) {
+    report.reject('flights', deal, 'not-top-20', `Score ${deal.score} (${deal.percentOff}% off) is below the top 20`);
+  }
 
   console.log(`\nFound ${topDeals.length} great deals (including merged from previous runs)!`);
 
@@ -310,37 +232,32 @@ function loadExistingDeals() {
   return [];
 }
 
-/**
- * Remove duplicate deals
- */
-function deduplicateDeals(deals) {
-  const seen = new Set();
-  return deals.filter(deal => {
-    const key = `${deal.origin}-${deal.destination}-${deal.price}`;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
-}
-
 /**
  * Save deals to JSON file
  */
-async function saveDeals(deals) {
+async function saveDeals(deals, report = createRunReport()) {
   const outputDir = path.join(__dirname, '..', 'output');
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
+  // Only schema-conforming records are written; the rest go to quarantine
+  const result = validateRecords('flights', deals, { repair: true });
+  printValidationReport('flights', result, 'before write');
+  const invalid = result.invalid.map(({ deal, errors }) => ({ deal, rule: 'schema', reason: errors.join('; ') }));
+  quarantineDeals('flights', invalid);
+  for (const { deal, rule, reason } of invalid) report.reject('flights', deal, rule, reason);
+
   const output = {
+    schemaVersion: SCHEMA_VERSION,
     generated: new Date().toISOString(),
-    count: deals.length,
-    deals: deals
+    count: result.valid.length,
+    deals: result.valid
   };
 
   const filePath = path.join(outputDir, 'flights.json');
   fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
-  console.log(`Saved ${deals.length} flight deals to ${filePath}`);
+  console.log(`Saved ${result.valid.length} flight deals to ${filePath}`);
 
   return filePath;
 }
@@ -349,7 +266,8 @@ async function saveDeals(deals) {
 if (require.main === module) {
   require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-  scrapeFlightDeals()
+  Promise.resolve()
+    .then(() => scrapeFlightDeals(parseCliOptions()))
     .then(deals => saveDeals(deals))
     .then(() => {
       console.log('Flight scraping complete!');
@@ -361,4 +279,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { scrapeFlightDeals, saveDeals, generateExpediaLink };
+module.exports = { scrapeFlightDeals, saveDeals, priceFlightDeal };
@@ -0,0 +1,56 @@
+/**
+ * City Gazetteer for eTravelogs
+ * Resolves free-text city names ("Lisbon, Portugal", "NYC") to the IATA codes the scrapers use
+ *
+ * Data: scrapers/cities.json
+ */
+
+const { cities } = require('./cities.json');
+
+/**
+ * Lowercase, strip accents and punctuation so "Cancún" and "cancun" match
+ */
+function normalizeName(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Lookup table: normalized name / alias / code -> city
+const cityIndex = new Map();
+for (const city of cities) {
+  for (const key of [city.name, city.code, ...city.aliases]) {
+    const normalized = normalizeName(key);
+    if (!cityIndex.has(normalized)) cityIndex.set(normalized, city);
+  }
+}
+
+/**
+ * Resolve a city name to { code, name, country }, or null if unknown
+ * Tries the full text, then the part before a comma ("Lisbon, Portugal"),
+ * then the text without parentheses ("New York (JFK)")
+ */
+function resolveCity(text) {
+  if (!text) return null;
+
+  const candidates = [
+    text,
+    text.split(',')[0],
+    text.replace(/\(.*?\)/g, '')
+  ];
+
+  for (const candidate of candidates) {
+    const city = cityIndex.get(normalizeName(candidate));
+    if (city) {
+      return { code: city.code, name: city.name, country: city.country };
+    }
+  }
+
+  return null;
+}
+
+module.exports = { resolveCity, normalizeName };
@@ -1,283 +1,237 @@
 /**
  * Hotel Deals Scraper for eTravelogs
- * Uses Playwright to scrape Google Hotels for deals
+ * Runs every registered hotel source (see scrapers/sources/) for deals
  *
  * Strategy: Find hotels with significant discounts in popular destinations
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const { format, addDays, addMonths } = require('date-fns');
+const { validateDeals, buildRecentPrices, quarantineDeals, checkPriceBounds } = require('./deal-validator');
+const { recordObservation, loadPriceHistory, getBaseline, getHotelKeys } = require('./price-history');
+const { validateRecords, printValidationReport, SCHEMA_VERSION } = require('./deal-schema');
+const { getSources, getTargets, describeTarget, runSource } = require('./sources');
+const { launchBrowser } = require('./browser');
+const { runPool } = require('./worker-pool');
+const { createRunReport } = require('./run-report');
+const { createArtifactStore } = require('./debug-artifacts');
+const { createHotelResolver } = require('./hotel-identity');
+const { getMarket, getReportingCurrency, normalizeDealCurrency } = require('./markets');
+const { buildHotelSearchLink, buildPropertyLink } = require('./affiliates');
+const { loadRouteConfig, getRunSettings, selectHotelDestinations } = require('./route-config');
+const { parseCliOptions } = require('./cli-options');
+const { scoreDeals } = require('./deal-scoring');
+const { mergeDeals } = require('./deal-merge');
+
+// Hotel destinations and the day rotation live in config/routes.json
+const ROUTES = loadRouteConfig();
 
 // Configuration
 const CONFIG = {
-  // Expedia affiliate info
-  expediaAffiliateTag: process.env.EXPEDIA_AFFILIATE_TAG || 'etravelogs',
-  expediaPublisherId: process.env.EXPEDIA_PUBLISHER_ID || '1011l387199',
-
-  // Popular destinations for hotel deals
-  destinations: [
-    { name: 'Paris', country: 'France', searchTerm: 'Paris, France' },
-    { name: 'London', country: 'UK', searchTerm: 'London, England' },
-    { name: 'Tokyo', country: 'Japan', searchTerm: 'Tokyo, Japan' },
-    { name: 'Rome', country: 'Italy', searchTerm: 'Rome, Italy' },
-    { name: 'Barcelona', country: 'Spain', searchTerm: 'Barcelona, Spain' },
-    { name: 'Cancun', country: 'Mexico', searchTerm: 'Cancun, Mexico' },
-    { name: 'New York', country: 'USA', searchTerm: 'New York City' },
-    { name: 'Las Vegas', country: 'USA', searchTerm: 'Las Vegas' },
-    { name: 'Miami', country: 'USA', searchTerm: 'Miami, Florida' },
-    { name: 'Honolulu', country: 'USA', searchTerm: 'Honolulu, Hawaii' },
-    { name: 'San Francisco', country: 'USA', searchTerm: 'San Francisco' },
-    { name: 'Los Angeles', country: 'USA', searchTerm: 'Los Angeles' },
-    { name: 'Amsterdam', country: 'Netherlands', searchTerm: 'Amsterdam, Netherlands' },
-    { name: 'Dublin', country: 'Ireland', searchTerm: 'Dublin, Ireland' },
-    { name: 'Lisbon', country: 'Portugal', searchTerm: 'Lisbon, Portugal' },
-    { name: 'Bangkok', country: 'Thailand', searchTerm: 'Bangkok, Thailand' },
-    { name: 'Singapore', country: 'Singapore', searchTerm: 'Singapore' },
-    { name: 'Bali', country: 'Indonesia', searchTerm: 'Bali, Indonesia' },
-    { name: 'Phuket', country: 'Thailand', searchTerm: 'Phuket, Thailand' },
-    { name: 'Maldives', country: 'Maldives', searchTerm: 'Maldives' }
-  ],
-
   // Minimum discount to include (percentage)
-  minDiscountPercent: 25,
-
-  // Day-based rotation: spread 20 destinations across days to stay under 10 min
-  // Each day processes 5-7 destinations
-  dayRotation: {
-    0: [0, 1, 2, 3, 4, 5, 6],           // Sunday: Paris, London, Tokyo, Rome, Barcelona, Cancun, NYC
-    1: [7, 8, 9, 10, 11, 12],           // Monday: Vegas, Miami, Honolulu, SF, LA, Amsterdam
-    2: [13, 14, 15, 16, 17],            // Tuesday: Dublin, Lisbon, Bangkok, Singapore, Bali
-    3: [18, 19, 0, 1, 2],               // Wednesday: Phuket, Maldives, Paris, London, Tokyo
-    4: [3, 4, 5, 6, 7, 8],              // Thursday: Rome, Barcelona, Cancun, NYC, Vegas, Miami
-    5: [9, 10, 11, 12, 13, 14],         // Friday: Honolulu, SF, LA, Amsterdam, Dublin, Lisbon
-    6: [0, 1, 2, 15, 16, 17, 18, 19]    // Saturday: Top Europe + Asia destinations
-  }
+  minDiscountPercent: 25
 };
 
 /**
- * Generate Expedia deeplink for a hotel search
+ * Typical nightly price for a hotel: rolling baseline from price history,
+ * falling back to the "Usually $X" / "Was $X" price Google shows
  */
-function generateExpediaHotelLink(destination, checkinDate, checkoutDate) {
-  const baseUrl = 'https://www.expedia.com/Hotel-Search';
-  const checkinStr = format(checkinDate, 'MM/dd/yyyy');
-  const checkoutStr = format(checkoutDate, 'MM/dd/yyyy');
-  const destEncoded = encodeURIComponent(destination);
-  const affcid = `US.DIRECT.PHG.${CONFIG.expediaPublisherId}.${CONFIG.expediaAffiliateTag}`;
-
-  return `${baseUrl}?destination=${destEncoded}&startDate=${checkinStr}&endDate=${checkoutStr}&rooms=1&adults=2&AFFCID=${affcid}`;
+function getTypicalPrice(priceHistory, hotelName, location, listedPrice) {
+  const baseline = hotelName ? getBaseline(priceHistory, getHotelKeys(hotelName, location)) : null;
+  if (baseline) {
+    return { price: baseline.price, source: 'history', samples: baseline.samples };
+  }
+  if (listedPrice) {
+    return { price: listedPrice, source: 'listed', samples: 0 };
+  }
+  return { price: null, source: null, samples: 0 };
 }
 
 /**
- * Generate Expedia deeplink for a specific hotel
+ * Compare a source deal against its baseline and attach affiliate links
+ * Records the observation in the price history along the way
+ * Returns null when the hotel isn't a deal, noting why in the run report
+ *
+ * Deals without stay dates (e.g. Kayak cards that show none) are dropped: a hotel deal
+ * is posted with its nights, stay total and a dated search link
  */
-function generateExpediaHotelDirectLink(hotelName, destination, checkinDate, checkoutDate) {
-  const baseUrl = 'https://www.expedia.com/Hotel-Search';
-  const checkinStr = format(checkinDate, 'MM/dd/yyyy');
-  const checkoutStr = format(checkoutDate, 'MM/dd/yyyy');
-  const destEncoded = encodeURIComponent(destination);
-  const hotelEncoded = encodeURIComponent(hotelName);
-  const affcid = `US.DIRECT.PHG.${CONFIG.expediaPublisherId}.${CONFIG.expediaAffiliateTag}`;
-
-  return `${baseUrl}?destination=${destEncoded}&startDate=${checkinStr}&endDate=${checkoutStr}&hotelName=${hotelEncoded}&sort=RECOMMENDED&AFFCID=${affcid}`;
-}
+function priceHotelDeal(deal, priceHistory, report, market = getMarket()) {
+  if (!deal.checkinDate || !deal.checkoutDate) {
+    report.reject('hotels', deal, 'undated', 'No stay dates on the listing');
+    return null;
+  }
 
-/**
- * Scrape Google Hotels for deals in a destination
- */
-async function scrapeGoogleHotels(page, destination) {
-  const deals = [];
+  const destination = ROUTES.hotels.destinations.find(d => d.name === deal.location);
+  const searchTerm = destination ? destination.searchTerm : deal.location;
+  const name = deal.hotelName;
+
+  // Only named hotels with plausible prices are stored in the history
+  if (name && !checkPriceBounds('hotels', deal)) {
+    recordObservation('hotels', {
+      hotelName: name,
+      location: deal.location,
+      checkinDate: deal.checkinDate,
+      price: deal.pricePerNight,
+      source: deal.source
+    });
+  }
 
-  // Calculate stay dates (2 months out, 3-night stay)
-  const checkinDate = addMonths(new Date(), 2);
-  const checkoutDate = addDays(checkinDate, 3);
+  const baseline = getTypicalPrice(priceHistory, name, deal.location, deal.originalPrice);
 
-  const checkinStr = format(checkinDate, 'yyyy-MM-dd');
-  const checkoutStr = format(checkoutDate, 'yyyy-MM-dd');
+  let percentOff = 0;
+  if (baseline.price && baseline.price > deal.pricePerNight) {
+    percentOff = Math.round(((baseline.price - deal.pricePerNight) / baseline.price) * 100);
+  }
 
-  try {
-    // Google Hotels search URL
-    const searchUrl = `https://www.google.com/travel/hotels/${encodeURIComponent(destination.searchTerm)}?q=${encodeURIComponent(destination.searchTerm + ' hotels')}&g2lb=4814050,4874190,4893075,4965990,4969803,72277293,72302247,72317059,72406588,72414906,72421566,72471280,72472051,72481459,72485658,72499705,72513513,72536387,72538597,72549171,72560029,72570850,72592643&hl=en-US&gl=us&cs=1&ssta=1&ts=CAESABogCgIaABIaEhQKBwjoDxAJGBESBwjoDxAJGBIYATICEAAqCQoFOgNVU0QaAA&ap=MAFoAQ`;
-
-    await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 20000 });
-    await page.waitForTimeout(2500); // Let hotel cards load
-
-    // Try to find hotel cards with prices and discounts
-    // Google Hotels shows "Usually $X" with current price
-    const hotelCards = await page.$$('[data-ved] [role="listitem"], .K1smNd, [jsname="mutHjb"]');
-
-    console.log(`  Found ${hotelCards.length} hotel cards`);
-
-    for (const card of hotelCards.slice(0, 15)) { // Check first 15 hotels
-      try {
-        const cardText = await card.textContent();
-
-        // Look for hotel name
-        const nameElement = await card.$('h2, [role="heading"], .QT7m7');
-        const hotelName = nameElement ? await nameElement.textContent() : null;
-
-        // Look for current price
-        const priceMatch = cardText.match(/\$(\d+)/);
-
-        // Look for "Usually" or "was" price (indicates discount)
-        const usuallyMatch = cardText.match(/[Uu]sually\s*\$(\d+)/i);
-        const wasMatch = cardText.match(/[Ww]as\s*\$(\d+)/i);
-
-        // Look for rating
-        const ratingMatch = cardText.match(/(\d\.\d)\s*(?:star|★|\()/);
-
-        if (priceMatch) {
-          const currentPrice = parseInt(priceMatch[1]);
-          const originalPrice = usuallyMatch ? parseInt(usuallyMatch[1]) : (wasMatch ? parseInt(wasMatch[1]) : null);
-
-          let percentOff = 0;
-          if (originalPrice && originalPrice > currentPrice) {
-            percentOff = Math.round(((originalPrice - currentPrice) / originalPrice) * 100);
-          }
-
-          // Only include if good deal (>25% off) or luxury at good price
-          if (percentOff >= CONFIG.minDiscountPercent || (currentPrice < 150 && ratingMatch && parseFloat(ratingMatch[1]) >= 4.0)) {
-            deals.push({
-              hotelName: hotelName ? hotelName.trim() : `Hotel in ${destination.name}`,
-              location: destination.name,
-              country: destination.country,
-              pricePerNight: currentPrice,
-              originalPrice: originalPrice,
-              percentOff: percentOff,
-              rating: ratingMatch ? parseFloat(ratingMatch[1]) : null,
-              checkinDate: checkinStr,
-              checkoutDate: checkoutStr,
-              nights: 3,
-              source: 'Google Hotels',
-              scrapedAt: new Date().toISOString(),
-              expediaSearchLink: generateExpediaHotelLink(destination.searchTerm, checkinDate, checkoutDate),
-              expediaDirectLink: hotelName ? generateExpediaHotelDirectLink(hotelName.trim(), destination.searchTerm, checkinDate, checkoutDate) : null
-            });
-          }
-        }
-      } catch (e) {
-        continue; // Skip this card if parsing fails
-      }
-    }
-  } catch (error) {
-    console.error(`Error scraping hotels in ${destination.name}:`, error.message);
+  // Only include if good deal (>25% off) or luxury at good price
+  if (percentOff < CONFIG.minDiscountPercent && !(deal.pricePerNight < 150 && deal.rating >= 4.0)) {
+    const baselineText = baseline.price ? `$${baseline.price} ${baseline.source} baseline` : 'no baseline';
+    report.reject('hotels', deal, 'below-threshold',
+      `${percentOff}% off ${baselineText} (needs ${CONFIG.minDiscountPercent}%, or under $150 rated 4.0+)`);
+    return null;
   }
 
-  return deals;
+  // expediaSearchLink is always Expedia; affiliateLink goes to the partner config/affiliates.json
+  // picks (replaced by the property link in linkHotelProperty when the hotel resolves)
+  const search = { destination: searchTerm, checkin: deal.checkinDate, checkout: deal.checkoutDate };
+  const affiliate = buildHotelSearchLink(search, { market, deal });
+
+  return {
+    ...deal,
+    hotelName: name || `Hotel in ${deal.location}`,
+    typicalPrice: baseline.price,
+    baselineSource: baseline.source,
+    baselineSamples: baseline.samples,
+    percentOff: percentOff,
+    expediaSearchLink: buildHotelSearchLink(search, { market, partner: 'expedia' }).url,
+    affiliatePartner: affiliate.partner,
+    affiliateLink: affiliate.url
+  };
 }
 
 /**
- * Scrape specific deal pages (kayak, etc.) for flash sales
+ * Attach the Expedia property ID and property-level link when the hotel resolves
+ * Deals without one are flagged specificHotel: false and are only posted as
+ * destination searches, never as a named hotel
  */
-async function scrapeHotelDealPages(page) {
-  const deals = [];
-
-  // Try to scrape Kayak deals page
-  try {
-    await page.goto('https://www.kayak.com/deals', { waitUntil: 'domcontentloaded', timeout: 15000 });
-    await page.waitForTimeout(2000);
-
-    // Look for hotel deal cards
-    const dealCards = await page.$$('[data-resultid], .resultWrapper');
-
-    for (const card of dealCards.slice(0, 10)) {
-      try {
-        const text = await card.textContent();
-        const priceMatch = text.match(/\$(\d+)/);
-        const discountMatch = text.match(/(\d+)%\s*off/i);
-
-        if (priceMatch && discountMatch) {
-          const price = parseInt(priceMatch[1]);
-          const discount = parseInt(discountMatch[1]);
-
-          if (discount >= 30) {
-            deals.push({
-              hotelName: 'Kayak Deal',
-              pricePerNight: price,
-              percentOff: discount,
-              source: 'Kayak Deals',
-              scrapedAt: new Date().toISOString()
-            });
-          }
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-  } catch (error) {
-    console.log('Kayak deals page not accessible, skipping...');
+async function linkHotelProperty(deal, resolver, market = getMarket()) {
+  // Unnamed hotels get a "Hotel in <city>" placeholder in priceHotelDeal - nothing to resolve
+  const named = deal.hotelName && deal.hotelName !== `Hotel in ${deal.location}`;
+  const identity = named && deal.checkinDate && deal.checkoutDate
+    ? await resolver.resolve(deal.hotelName, deal.location)
+    : null;
+
+  if (!identity) {
+    return { ...deal, expediaHotelId: null, hotelIdSource: null, expediaDirectLink: null, specificHotel: false };
   }
 
-  return deals;
-}
-
-/**
- * Get today's rotation config for day-based scraping
- */
-function getTodayRotation() {
-  const dayOfWeek = new Date().getDay();
-  return CONFIG.dayRotation[dayOfWeek];
+  // Property IDs are Expedia's, so the policy only offers partners that build property links
+  const stay = { propertyId: identity.expediaId, checkin: deal.checkinDate, checkout: deal.checkoutDate };
+  const property = buildPropertyLink(stay, { market, deal });
+
+  return {
+    ...deal,
+    expediaHotelId: identity.expediaId,
+    hotelIdSource: identity.source,
+    expediaDirectLink: buildPropertyLink(stay, { market, partner: 'expedia' }).url,
+    affiliatePartner: property.partner,
+    affiliateLink: property.url,
+    specificHotel: true
+  };
 }
 
 /**
  * Main scraper function
- * Uses day-based rotation to process a subset of destinations each day
- * Full coverage achieved over a week, each day runs in ~5-8 minutes
+ * Searches every destination with a pool of browser pages (run.concurrency), or the
+ * day's rotation when run.coverage is "rotation" or --day is given
+ *
+ * @param {Object} options - destination overrides from parseCliOptions() ({ destinations, day, allRoutes, concurrency, pageMode, market })
+ * @param {Object} report - run report from createRunReport(), filled with per-destination outcomes
  */
-async function scrapeHotelDeals() {
-  const rotation = getTodayRotation();
-  const todaysDestinations = rotation.map(i => CONFIG.destinations[i]);
-  const dayOfWeek = new Date().getDay();
+async function scrapeHotelDeals(options = {}, report = createRunReport()) {
+  const selection = selectHotelDestinations(ROUTES, options);
+  const todaysDestinations = selection.destinations;
+  const dayOfWeek = selection.day;
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-  console.log('Starting hotel deals scraper (optimized day rotation)...');
-  console.log(`Today is ${dayNames[dayOfWeek]} - Day ${dayOfWeek} rotation`);
+  const { concurrency } = getRunSettings(ROUTES, options);
+
+  console.log(`Starting hotel deals scraper (${concurrency} page(s) in parallel)...`);
+  console.log(selection.allRoutes
+    ? `Today is ${dayNames[dayOfWeek]} - full coverage`
+    : `Today is ${dayNames[dayOfWeek]} - Day ${dayOfWeek} rotation`);
+  if (options.destinations || options.allRoutes) {
+    console.log('Destination overrides from command line are active');
+  }
   console.log(`Checking ${todaysDestinations.length} destinations: ${todaysDestinations.map(d => d.name).join(', ')}`);
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
-  });
+  const priceHistory = loadPriceHistory('hotels');
+  const artifacts = createArtifactStore(report.runId);
+  const resolver = createHotelResolver(options.pageMode === 'replay' ? { lookup: null } : {});
+  const market = getMarket(options.market);
+  console.log(`Market: ${market.name} (${market.currency}), prices compared in ${getReportingCurrency()}`);
+  const ctx = { page: null, priceHistory, dayOfWeek, artifacts, pageMode: options.pageMode, market };
+  const sources = getSources('hotels').filter(source => !source.isEnabled || source.isEnabled(ctx));
 
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-    viewport: { width: 1920, height: 1080 }
-  });
+  const session = sources.some(source => source.needsBrowser) ? await launchBrowser({ pages: concurrency }) : null;
 
-  const page = await context.newPage();
   let allDeals = [];
 
-  // Scrape Google Hotels for today's destinations only
-  for (const dest of todaysDestinations) {
-    console.log(`\nSearching hotels in ${dest.name}...`);
-    const deals = await scrapeGoogleHotels(page, dest);
-    console.log(`  Found ${deals.length} deals`);
-    allDeals = allDeals.concat(deals);
-
-    // Reduced rate limiting - 1.5-2.5 seconds instead of 3-5
-    await page.waitForTimeout(1500 + Math.random() * 1000);
+  // Run every registered hotel source over today's destinations, one page per worker
+  for (const source of sources) {
+    const targets = getTargets(source, { destinations: todaysDestinations });
+    const workers = source.needsBrowser ? concurrency : 1;
+    console.log(`\n[${source.name}] ${targets.length} search(es), ${workers} worker(s)`);
+
+    const results = await runPool(targets, workers, async (target, worker) => {
+      const page = session && source.needsBrowser ? session.pages[worker] : null;
+      const outcome = report.startSearch('hotels', source.name, target);
+      const priced = (await runSource(source, { ...ctx, page }, target, outcome))
+        .map(deal => priceHotelDeal(normalizeDealCurrency('hotels', deal), priceHistory, report, market))
+        .filter(Boolean);
+      const deals = [];
+      for (const deal of priced) deals.push(await linkHotelProperty(deal, resolver, market));
+      console.log(`  -> ${describeTarget(target)}: ${deals.length} deal(s)`);
+      return deals;
+    }, {
+      // Pricing or linking one target's deals failed: skip them, keep the run going
+      onError: (error, target) => {
+        console.error(`  -> ${describeTarget(target)} failed:`, error.message);
+        return [];
+      }
+    });
+    allDeals = allDeals.concat(results.flat());
   }
 
-  // Check deal aggregator pages (only on weekends when we have more time)
-  if (dayOfWeek === 0 || dayOfWeek === 6) {
-    console.log('\nChecking deal aggregator pages...');
-    const aggregatorDeals = await scrapeHotelDealPages(page);
-    allDeals = allDeals.concat(aggregatorDeals);
-  }
+  if (session) await session.browser.close();
 
-  await browser.close();
+  resolver.save();
+  const { override, cache, lookup, unresolved } = resolver.stats;
+  console.log(`\nHotel IDs: ${override + cache + lookup} resolved (${override} override, ${cache} cached, ${lookup} looked up), ${unresolved} without a property link`);
 
   // Load existing deals from previous days and merge
   const existingDeals = loadExistingDeals();
   allDeals = allDeals.concat(existingDeals);
 
-  // Deduplicate and sort by best discount
-  const uniqueDeals = deduplicateDeals(allDeals);
-  const sortedDeals = uniqueDeals.sort((a, b) => (b.percentOff || 0) - (a.percentOff || 0));
+  // Reject implausible prices and incomplete records before they reach hotels.json
+  const { accepted, rejected } = validateDeals('hotels', allDeals, {
+    recentPrices: buildRecentPrices('hotels', priceHistory)
+  });
+  quarantineDeals('hotels', rejected);
+  for (const { deal, rule, reason } of rejected) report.reject('hotels', deal, rule, reason);
+
+  // One record per hotel, keeping the latest price, then rank by
+  // composite score (re-scored every run, as recency decays)
+  const { deals: uniqueDeals, merged } = mergeDeals('hotels', accepted);
+  const sortedDeals = scoreDeals('hotels', uniqueDeals);
+  for (const deal of merged) {
+    report.reject('hotels', deal, 'duplicate', 'Merged into a newer observation of the same hotel');
+  }
 
   // Take top 20 hotel deals
   const topDeals = sortedDeals.slice(0, 20);
+  for (const deal of sortedDeals.slice(20)) {
+    report.reject('hotels', deal, 'not-top-20', `Score ${deal.score} (${deal.percentOff}% off) is below the top 20`);
+  }
 
   console.log(`\nFound ${topDeals.length} great hotel deals (including merged from previous runs)!`);
 
@@ -310,37 +264,32 @@ function loadExistingDeals() {
   return [];
 }
 
-/**
- * Remove duplicate deals
- */
-function deduplicateDeals(deals) {
-  const seen = new Set();
-  return deals.filter(deal => {
-    const key = `${deal.hotelName}-${deal.location}-${deal.pricePerNight}`;
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
-}
-
 /**
  * Save deals to JSON file
  */
-async function saveDeals(deals) {
+async function saveDeals(deals, report = createRunReport()) {
   const outputDir = path.join(__dirname, '..', 'output');
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
+  // Only schema-conforming records are written; the rest go to quarantine
+  const result = validateRecords('hotels', deals, { repair: true });
+  printValidationReport('hotels', result, 'before write');
+  const invalid = result.invalid.map(({ deal, errors }) => ({ deal, rule: 'schema', reason: errors.join('; ') }));
+  quarantineDeals('hotels', invalid);
+  for (const { deal, rule, reason } of invalid) report.reject('hotels', deal, rule, reason);
+
   const output = {
+    schemaVersion: SCHEMA_VERSION,
     generated: new Date().toISOString(),
-    count: deals.length,
-    deals: deals
+    count: result.valid.length,
+    deals: result.valid
   };
 
   const filePath = path.join(outputDir, 'hotels.json');
   fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
-  console.log(`Saved ${deals.length} hotel deals to ${filePath}`);
+  console.log(`Saved ${result.valid.length} hotel deals to ${filePath}`);
 
   return filePath;
 }
@@ -349,7 +298,8 @@ async function saveDeals(deals) {
 if (require.main === module) {
   require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-  scrapeHotelDeals()
+  Promise.resolve()
+    .then(() => scrapeHotelDeals(parseCliOptions()))
     .then(deals => saveDeals(deals))
     .then(() => {
       console.log('Hotel scraping complete!');
@@ -361,4 +311,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { scrapeHotelDeals, saveDeals, generateExpediaHotelLink };
+module.exports = { scrapeHotelDeals, saveDeals, priceHotelDeal, linkHotelProperty };
@@ -0,0 +1,164 @@
+/**
+ * Hotel Identity Resolver for eTravelogs
+ * Maps a scraped hotel name + location to a stable Expedia property ID, so hotel
+ * deals can link to the property itself instead of a city search
+ *
+ * Resolution order:
+ *   1. Manual overrides in config/hotel-ids.json (always win, expediaId null = never link)
+ *   2. Local cache in data/hotel-ids.json (lookups and misses from earlier runs)
+ *   3. Expedia's typeahead search, accepted only when the property name matches
+ *
+ * Misses are cached too and retried after missRetryDays, so an unknown hotel
+ * doesn't cost a lookup on every run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeName } = require('./gazetteer');
+
+const IDENTITY_CONFIG = {
+  overridesPath: path.join(__dirname, '..', 'config', 'hotel-ids.json'),
+  cachePath: path.join(__dirname, '..', 'data', 'hotel-ids.json'),
+  missRetryDays: 7,
+  lookupTimeoutMs: 8000
+};
+
+// Words too generic to tell two properties apart
+const STOP_WORDS = new Set(['hotel', 'hotels', 'the', 'and', 'by', 'a', 'an', 'of', 'de', 'la', 'le', 'el']);
+
+/**
+ * Cache / override key for a hotel: normalized name and location
+ */
+function getHotelKey(hotelName, location) {
+  return `${normalizeName(hotelName)}|${normalizeName(location)}`;
+}
+
+function getNameTokens(name) {
+  return normalizeName(name).split(' ').filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * True when every distinctive word of the shorter name appears in the longer one
+ * ("Avenida Palace" matches "Hotel Avenida Palace", not "Avenida Suites")
+ */
+function namesMatch(a, b) {
+  const [shorter, longer] = [getNameTokens(a), getNameTokens(b)].sort((x, y) => x.length - y.length);
+  if (shorter.length === 0) return false;
+  return shorter.every(word => longer.includes(word));
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Look a hotel up in Expedia's search suggestions
+ *
+ * @returns {Promise<string|null>} property ID, or null when no suggestion matches the name
+ */
+async function lookupExpediaId(hotelName, location) {
+  const query = encodeURIComponent(`${hotelName} ${location}`);
+  const url = `https://www.expedia.com/api/v4/typeahead/${query}?client=SearchForm&lob=HOTELS&regiontype=128&maxresults=5&locale=en_US`;
+
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+    signal: AbortSignal.timeout(IDENTITY_CONFIG.lookupTimeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Expedia lookup returned ${response.status}`);
+  }
+
+  const data = await response.json();
+  const match = (data.sr || []).find(result => {
+    const names = result.regionNames || {};
+    return result.hotelId && namesMatch(hotelName, names.shortName || names.primaryDisplayName || '');
+  });
+
+  return match ? String(match.hotelId) : null;
+}
+
+/**
+ * Create a resolver for one run
+ *
+ * @param {Object} options - { lookup: async (name, location) => id|null, or null to use
+ *   overrides and cache only (replay mode), overridesPath, cachePath }
+ * @returns {{ resolve: Function, save: Function, stats: Object }}
+ */
+function createHotelResolver(options = {}) {
+  const lookup = options.lookup === undefined ? lookupExpediaId : options.lookup;
+  const cachePath = options.cachePath || IDENTITY_CONFIG.cachePath;
+
+  const overrides = new Map();
+  for (const entry of readJson(options.overridesPath || IDENTITY_CONFIG.overridesPath, {}).hotels || []) {
+    overrides.set(getHotelKey(entry.name, entry.location), entry.expediaId ? String(entry.expediaId) : null);
+  }
+
+  const cache = readJson(cachePath, {});
+  const stats = { override: 0, cache: 0, lookup: 0, unresolved: 0 };
+  let dirty = false;
+
+  function isFreshMiss(entry) {
+    const age = Date.now() - new Date(entry.checkedAt).getTime();
+    return age < IDENTITY_CONFIG.missRetryDays * 24 * 60 * 60 * 1000;
+  }
+
+  function found(expediaId, source) {
+    stats[source]++;
+    return { expediaId, source };
+  }
+
+  return {
+    stats,
+
+    /**
+     * Resolve a hotel to its Expedia property ID
+     * Never throws - a failed lookup just leaves the hotel unresolved
+     *
+     * @returns {Promise<{ expediaId: string, source: 'override'|'cache'|'lookup' } | null>}
+     */
+    async resolve(hotelName, location) {
+      const key = getHotelKey(hotelName, location);
+
+      if (overrides.has(key)) {
+        if (overrides.get(key)) return found(overrides.get(key), 'override');
+        stats.unresolved++;
+        return null;
+      }
+
+      const cached = cache[key];
+      if (cached && cached.expediaId) return found(cached.expediaId, 'cache');
+      if (!lookup || (cached && isFreshMiss(cached))) {
+        stats.unresolved++;
+        return null;
+      }
+
+      try {
+        const expediaId = await lookup(hotelName, location);
+        cache[key] = { name: hotelName, location, expediaId, checkedAt: new Date().toISOString() };
+        dirty = true;
+        if (expediaId) return found(expediaId, 'lookup');
+      } catch (err) {
+        console.error(`  Hotel ID lookup for ${hotelName} failed:`, err.message);
+      }
+
+      stats.unresolved++;
+      return null;
+    },
+
+    /**
+     * Write new lookups and misses back to the cache file
+     */
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+      dirty = false;
+    }
+  };
+}
+
+module.exports = { IDENTITY_CONFIG, createHotelResolver, getHotelKey, namesMatch, lookupExpediaId };
@@ -0,0 +1,45 @@
+/**
+ * Hotel stay pricing for eTravelogs
+ * Sources show hotel prices in different ways - a nightly rate before taxes, a nightly
+ * rate with taxes, or the whole stay - and the post has to say which one it is.
+ * buildStayPrice() turns what a source displayed into separate base rate, taxes/fees
+ * and total stay fields, so the post only claims "taxes included" when it's true.
+ */
+
+const PRICE_DISPLAYS = ['nightly-base', 'nightly-with-taxes', 'total-base', 'total-with-taxes'];
+
+/**
+ * Build the price fields of a hotel deal
+ *
+ * @param {Object} shown - what the source displayed:
+ *   { amount, per: 'nightly'|'total', taxesIncluded, taxesAndFees (for the whole stay, optional), nights }
+ * @returns {{ pricePerNight, baseRatePerNight, taxesAndFees, totalPrice, taxesIncluded, priceDisplayed }}
+ *   pricePerNight is the base rate when it is known, otherwise the nightly price with taxes;
+ *   totalPrice is the tax-inclusive stay price, or null when the taxes aren't known
+ */
+function buildStayPrice({ amount, per = 'nightly', taxesIncluded = false, taxesAndFees = null, nights = 1 }) {
+  const stayAmount = per === 'total' ? amount : amount * nights;
+
+  let baseStay = null;
+  let totalPrice = null;
+  if (taxesIncluded) {
+    totalPrice = stayAmount;
+    if (taxesAndFees !== null) baseStay = stayAmount - taxesAndFees;
+  } else {
+    baseStay = stayAmount;
+    if (taxesAndFees !== null) totalPrice = stayAmount + taxesAndFees;
+  }
+
+  const baseRatePerNight = baseStay !== null ? Math.round(baseStay / nights) : null;
+
+  return {
+    pricePerNight: baseRatePerNight !== null ? baseRatePerNight : Math.round(stayAmount / nights),
+    baseRatePerNight,
+    taxesAndFees,
+    totalPrice,
+    taxesIncluded: totalPrice !== null,
+    priceDisplayed: `${per}-${taxesIncluded ? 'with-taxes' : 'base'}`
+  };
+}
+
+module.exports = { PRICE_DISPLAYS, buildStayPrice };
@@ -0,0 +1,387 @@
+/**
+ * Affiliate Link Audit for eTravelogs
+ * Checks every affiliate link in output/flights.json, output/hotels.json and the
+ * generated posts before anything is published. Broken links have shipped twice
+ * (double-encoded Expedia legs, hotel deals linking to a city search), so each link is
+ * checked for its partner's structure:
+ *
+ *   - required parameters present (AFFCID, aid, associateid, ...)
+ *   - dates in the partner's format, in the future and in order
+ *   - no double encoding (%25XX), and Expedia legs with literal ":", "," and "/"
+ *   - consistent with the deal it belongs to (route, dates, property ID)
+ *
+ * With --request each link is also loaded, from --base-url (or LINK_AUDIT_BASE_URL)
+ * instead of the partner's site when given, so a local stub can stand in for Expedia.
+ *
+ * Usage:
+ *   npm run audit:links
+ *   npm run audit:links -- --request
+ *   npm run audit:links -- --request --base-url http://localhost:8080
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { format, isValid, parse, startOfDay } = require('date-fns');
+const { getPartnerForUrl } = require('./affiliates');
+
+const AUDIT_CONFIG = {
+  outputDir: path.join(__dirname, '..', 'output'),
+  requestTimeoutMs: 10000,
+
+  // Page text partners show instead of an error status for a link they can't read
+  errorPagePattern: /wrong turn|page (?:you requested )?(?:can't|cannot|could not) be found/i
+};
+
+// Deal fields holding affiliate links
+const LINK_FIELDS = {
+  flights: ['expediaLink', 'affiliateLink'],
+  hotels: ['expediaSearchLink', 'expediaDirectLink', 'affiliateLink']
+};
+
+const POST_FILES = { flights: 'flight-deals-content.html', hotels: 'hotel-deals-content.html' };
+
+/**
+ * Raw (still encoded) value of a query parameter, or null
+ */
+function getRawParam(raw, name) {
+  const match = raw.match(new RegExp(`[?&]${name}=([^&#]*)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse a date in the given format strictly, returning yyyy-MM-dd or null
+ */
+function readDate(value, dateFormat) {
+  if (!value) return null;
+  const date = parse(value, dateFormat, new Date());
+  return isValid(date) && format(date, dateFormat) === value ? format(date, 'yyyy-MM-dd') : null;
+}
+
+function requireParams(raw, names, problems) {
+  for (const name of names) {
+    if (!getRawParam(raw, name)) problems.push(`Missing ${name}`);
+  }
+}
+
+function requireDate(raw, name, dateFormat, problems) {
+  const value = getRawParam(raw, name);
+  if (!value) return null;
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (e) {
+    // Malformed escape - reported as a bad date below
+  }
+  const date = readDate(decoded, dateFormat);
+  if (!date) problems.push(`${name} "${value}" isn't a ${dateFormat} date`);
+  return date;
+}
+
+// "from:JFK,to:LIS,departure:12/18/2026TANYT"
+const EXPEDIA_LEG = /^from:([A-Z]{3}),to:([A-Z]{3}),departure:(\d{2}\/\d{2}\/\d{4})TANYT$/;
+const EXPEDIA_AFFCID = /^[A-Z]{2}\.DIRECT\.PHG\.[^.]+\.[^.]+$/;
+
+function checkExpediaLink(url, raw, problems) {
+  const affcid = getRawParam(raw, 'AFFCID');
+  if (!affcid) {
+    problems.push('Missing AFFCID');
+  } else if (!EXPEDIA_AFFCID.test(affcid)) {
+    problems.push(`AFFCID "${affcid}" isn't <POS>.DIRECT.PHG.<publisher>.<tag>`);
+  }
+
+  if (url.pathname === '/Flights-Search') {
+    requireParams(raw, ['trip', 'leg1', 'leg2', 'passengers'], problems);
+    const legs = ['leg1', 'leg2'].map(name => {
+      const value = getRawParam(raw, name);
+      const match = value && value.match(EXPEDIA_LEG);
+      if (value && !match) problems.push(`${name} "${value}" isn't from:XXX,to:XXX,departure:MM/dd/yyyyTANYT with literal separators`);
+      return match ? { from: match[1], to: match[2], date: readDate(match[3], 'MM/dd/yyyy') } : null;
+    });
+    if (legs[0] && legs[1] && (legs[0].from !== legs[1].to || legs[0].to !== legs[1].from)) {
+      problems.push('leg2 isn\'t the return of leg1');
+    }
+    return {
+      kind: 'flight-search',
+      origin: legs[0] && legs[0].from,
+      destination: legs[0] && legs[0].to,
+      departDate: legs[0] && legs[0].date,
+      returnDate: legs[1] && legs[1].date
+    };
+  }
+
+  if (url.pathname === '/Hotel-Search') {
+    requireParams(raw, ['destination', 'startDate', 'endDate'], problems);
+    return {
+      kind: 'hotel-search',
+      checkin: requireDate(raw, 'startDate', 'MM/dd/yyyy', problems),
+      checkout: requireDate(raw, 'endDate', 'MM/dd/yyyy', problems)
+    };
+  }
+
+  const property = url.pathname.match(/^\/h(\d+)\.Hotel-Information$/);
+  if (property) {
+    requireParams(raw, ['chkin', 'chkout'], problems);
+    return {
+      kind: 'property',
+      propertyId: property[1],
+      checkin: requireDate(raw, 'chkin', 'yyyy-MM-dd', problems),
+      checkout: requireDate(raw, 'chkout', 'yyyy-MM-dd', problems)
+    };
+  }
+
+  if (['/Flights', '/Hotels'].includes(url.pathname)) return { kind: 'landing' };
+
+  problems.push(`Unknown Expedia page ${url.pathname}`);
+  return { kind: null };
+}
+
+function checkBookingLink(url, raw, problems) {
+  requireParams(raw, ['aid'], problems);
+  if (url.pathname !== '/searchresults.html') return { kind: 'landing' };
+
+  requireParams(raw, ['ss', 'checkin', 'checkout'], problems);
+  return {
+    kind: 'hotel-search',
+    checkin: requireDate(raw, 'checkin', 'yyyy-MM-dd', problems),
+    checkout: requireDate(raw, 'checkout', 'yyyy-MM-dd', problems)
+  };
+}
+
+function checkSkyscannerLink(url, raw, problems) {
+  requireParams(raw, ['associateid'], problems);
+  if (!url.pathname.startsWith('/transport/flights/')) return { kind: 'landing' };
+
+  const match = url.pathname.match(/^\/transport\/flights\/([a-z]{3})\/([a-z]{3})\/(\d{6})\/(\d{6})\/$/);
+  if (!match) {
+    problems.push(`Path ${url.pathname} isn't /transport/flights/<from>/<to>/<yyMMdd>/<yyMMdd>/`);
+    return { kind: 'flight-search' };
+  }
+  const [departDate, returnDate] = [match[3], match[4]].map(date => readDate(date, 'yyMMdd'));
+  if (!departDate || !returnDate) problems.push(`Dates ${match[3]}/${match[4]} aren't yyMMdd`);
+  return { kind: 'flight-search', origin: match[1].toUpperCase(), destination: match[2].toUpperCase(), departDate, returnDate };
+}
+
+function checkGetYourGuideLink(url, raw, problems) {
+  if (url.pathname === '/' || url.pathname === '') problems.push('Links to the GetYourGuide home page, not an activity');
+  return { kind: 'activity' };
+}
+
+// Structure checks per partner (which hosts belong to a partner is in affiliates.js)
+const PARTNER_CHECKS = {
+  expedia: checkExpediaLink,
+  booking: checkBookingLink,
+  skyscanner: checkSkyscannerLink,
+  getyourguide: checkGetYourGuideLink
+};
+
+function checkDates(details, type, deal, now, problems) {
+  const [start, end] = details.kind === 'flight-search'
+    ? [details.departDate, details.returnDate]
+    : [details.checkin, details.checkout];
+  if (!start || !end) return;
+
+  const today = format(startOfDay(now), 'yyyy-MM-dd');
+  if (start < today) problems.push(`Starts ${start}, in the past`);
+  if (end <= start) problems.push(`Ends ${end}, not after it starts (${start})`);
+  if (!deal) return;
+
+  const [dealStart, dealEnd] = type === 'flights'
+    ? [deal.departDate, deal.returnDate]
+    : [deal.checkinDate, deal.checkoutDate];
+  if (dealStart && (start !== dealStart || end !== dealEnd)) {
+    problems.push(`Dates ${start} → ${end} don't match the deal (${dealStart} → ${dealEnd})`);
+  }
+}
+
+/**
+ * Check one link's structure, and its consistency with the deal it belongs to
+ *
+ * @param {string} raw - the link as written
+ * @param {Object} context - { type: 'flights' | 'hotels', deal, field, now }
+ * @returns {Array<string>} problems, empty when the link is fine
+ */
+function checkLink(raw, { type, deal = null, field = null, now = new Date() } = {}) {
+  const problems = [];
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    return [`Not a valid URL: ${raw}`];
+  }
+  if (url.protocol !== 'https:') problems.push('Not https');
+  if (/%25[0-9A-F]{2}/i.test(raw)) problems.push('Double-encoded (contains %25XX)');
+
+  const partner = getPartnerForUrl(raw);
+  if (!partner) return [...problems, `Not a known affiliate partner: ${url.hostname}`];
+
+  const details = PARTNER_CHECKS[partner](url, raw, problems);
+  checkDates(details, type, deal, now, problems);
+
+  if (deal && details.kind === 'flight-search' && details.origin &&
+      (details.origin !== deal.origin || details.destination !== deal.destination)) {
+    problems.push(`Route ${details.origin} → ${details.destination} doesn't match the deal (${deal.origin} → ${deal.destination})`);
+  }
+
+  // A named hotel must link to its property page, not a city search
+  const mustBeProperty = deal && deal.specificHotel && (field === 'expediaDirectLink' || field === 'affiliateLink');
+  if (mustBeProperty && details.kind !== 'property') {
+    problems.push(`Links to a ${details.kind || 'non-property'} page, but the deal is a specific hotel`);
+  }
+  if (deal && details.kind === 'property' && deal.expediaHotelId && details.propertyId !== deal.expediaHotelId) {
+    problems.push(`Property ${details.propertyId} isn't the deal's hotel (${deal.expediaHotelId})`);
+  }
+
+  return problems;
+}
+
+const HTML_ENTITIES = { '&amp;': '&', '&quot;': '"', '&#39;': '\'', '&lt;': '<', '&gt;': '>' };
+
+/**
+ * An href as the browser reads it ("&amp;" -> "&")
+ */
+function decodeAttribute(value) {
+  return value.replace(/&(?:amp|quot|#39|lt|gt);/g, entity => HTML_ENTITIES[entity]);
+}
+
+/**
+ * Every link to audit: deal link fields, and partner links in the posts (matched
+ * back to their deal when the same URL is on one)
+ *
+ * @param {Object} sources - { flights: deals, hotels: deals, posts: { flights: html, hotels: html } }
+ * @returns {Array<{ url, where, type, deal, field }>}
+ */
+function collectLinks({ flights = [], hotels = [], posts = {} }) {
+  const links = [];
+  const deals = { flights, hotels };
+
+  for (const type of ['flights', 'hotels']) {
+    const byUrl = new Map();
+    deals[type].forEach((deal, index) => {
+      for (const field of LINK_FIELDS[type]) {
+        if (!deal[field]) continue;
+        links.push({ url: deal[field], where: `${type}.json #${index + 1} ${field}`, type, deal, field });
+        if (!byUrl.has(deal[field])) byUrl.set(deal[field], { deal, field });
+      }
+    });
+
+    const html = posts[type] || '';
+    for (const match of html.matchAll(/href="([^"]+)"/g)) {
+      const url = decodeAttribute(match[1]);
+      if (!getPartnerForUrl(url)) continue;
+      const owner = byUrl.get(url) || { deal: null, field: null };
+      links.push({ url, where: `${type} post`, type, ...owner });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Load a link and report a failing status or partner error page
+ *
+ * @param {string} baseUrl - load the link's path and query from here instead (a local stub)
+ */
+async function requestLink(raw, baseUrl = null) {
+  const target = baseUrl ? baseUrl.replace(/\/$/, '') + raw.slice(new URL(raw).origin.length) : raw;
+  try {
+    const response = await fetch(target, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+      signal: AbortSignal.timeout(AUDIT_CONFIG.requestTimeoutMs)
+    });
+    if (response.status >= 400) return [`Returned HTTP ${response.status}`];
+    if (AUDIT_CONFIG.errorPagePattern.test(await response.text())) return ['Loads the partner\'s error page'];
+    return [];
+  } catch (err) {
+    return [`Request failed: ${err.message}`];
+  }
+}
+
+/**
+ * Audit a list of links from collectLinks()
+ *
+ * @param {Object} options - { request: load each link too, baseUrl, now }
+ * @returns {Promise<{ checked, failed, results: Array<{ url, where, partner, problems }> }>}
+ */
+async function auditLinks(links, options = {}) {
+  const results = [];
+  const requested = new Map();
+
+  for (const link of links) {
+    const problems = checkLink(link.url, { type: link.type, deal: link.deal, field: link.field, now: options.now });
+
+    // Posts repeat the deals' links, so each URL is only loaded once
+    if (options.request && problems.length === 0) {
+      if (!requested.has(link.url)) requested.set(link.url, await requestLink(link.url, options.baseUrl));
+      problems.push(...requested.get(link.url));
+    }
+
+    results.push({ url: link.url, where: link.where, partner: getPartnerForUrl(link.url), problems });
+  }
+
+  return { checked: results.length, failed: results.filter(r => r.problems.length > 0).length, results };
+}
+
+function printAuditReport(audit) {
+  for (const result of audit.results.filter(r => r.problems.length > 0)) {
+    console.log(`\n✗ ${result.where}: ${result.url}`);
+    for (const problem of result.problems) console.log(`    ${problem}`);
+  }
+  console.log(`\nLink audit: ${audit.checked} link(s) checked, ${audit.failed} failed`);
+}
+
+function readJsonDeals(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).deals || [];
+}
+
+function readText(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+}
+
+/**
+ * Audit output/flights.json, output/hotels.json and output/posts/, writing output/link-audit.json
+ *
+ * @param {Object} options - { request, baseUrl, outputDir }
+ */
+async function runLinkAudit(options = {}) {
+  const outputDir = options.outputDir || AUDIT_CONFIG.outputDir;
+  const links = collectLinks({
+    flights: readJsonDeals(path.join(outputDir, 'flights.json')),
+    hotels: readJsonDeals(path.join(outputDir, 'hotels.json')),
+    posts: {
+      flights: readText(path.join(outputDir, 'posts', POST_FILES.flights)),
+      hotels: readText(path.join(outputDir, 'posts', POST_FILES.hotels))
+    }
+  });
+
+  const audit = await auditLinks(links, options);
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(path.join(outputDir, 'link-audit.json'), JSON.stringify({ audited: new Date().toISOString(), ...audit }, null, 2));
+  return audit;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+  const { values } = parseArgs({
+    options: {
+      request: { type: 'boolean', default: false },
+      'base-url': { type: 'string' }
+    }
+  });
+
+  runLinkAudit({ request: values.request, baseUrl: values['base-url'] || process.env.LINK_AUDIT_BASE_URL || null })
+    .then(audit => {
+      printAuditReport(audit);
+      process.exit(audit.failed === 0 ? 0 : 1);
+    })
+    .catch(err => {
+      console.error('Link audit failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { AUDIT_CONFIG, checkLink, collectLinks, auditLinks, requestLink, runLinkAudit, printAuditReport };
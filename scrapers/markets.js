@@ -0,0 +1,163 @@
+/**
+ * Reader markets and currencies for eTravelogs
+ * A market (US, UK, CA, EU) sets the locale and currency searches run in, the Google
+ * gl/hl/curr parameters and the partner sites its links go to (see affiliates.js).
+ * Prices are parsed with their currency ($, £, €, C$, thousands separators) and
+ * converted to the reporting currency with a local FX table before being compared.
+ *
+ * Config: config/markets.json. Pick a market with --market or MARKET (default: defaultMarket).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MARKETS_PATH = path.join(__dirname, '..', 'config', 'markets.json');
+const MARKETS = JSON.parse(fs.readFileSync(MARKETS_PATH, 'utf8'));
+
+// Currency markers seen before or after a price; a bare "$" is the market's dollar
+const PREFIX_CURRENCIES = { 'US$': 'USD', 'CA$': 'CAD', 'C$': 'CAD', '£': 'GBP', '€': 'EUR', USD: 'USD', GBP: 'GBP', CAD: 'CAD', EUR: 'EUR' };
+const SUFFIX_CURRENCIES = { '£': 'GBP', '€': 'EUR', USD: 'USD', GBP: 'GBP', CAD: 'CAD', EUR: 'EUR' };
+
+// 1,234 / 1.234,56 / 1 234 (no-break space) / 1234.50
+const NUMBER = '\\d{1,3}(?:[,.\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+
+/**
+ * A price with its currency marker, for building source regexes; has no capture groups
+ */
+const MONEY_PATTERN = `(?:(?:US\\$|CA?\\$|\\$|£|€|\\b(?:USD|GBP|CAD|EUR))\\s?(?:${NUMBER})|(?:${NUMBER})\\s?(?:€|£|(?:USD|GBP|CAD|EUR)\\b))`;
+
+// Money fields converted to the reporting currency, per deal type
+const MONEY_FIELDS = {
+  flights: ['price'],
+  hotels: ['pricePerNight', 'baseRatePerNight', 'taxesAndFees', 'totalPrice', 'originalPrice']
+};
+
+/**
+ * Get a market profile by code
+ *
+ * @param {string} code - US, UK, CA or EU (default: MARKET, then defaultMarket)
+ * @returns {Object} { code, name, locale, currency, google: { gl, hl, curr }, expedia: { domain, pointOfSale } }
+ */
+function getMarket(code = process.env.MARKET || MARKETS.defaultMarket) {
+  const key = String(code).toUpperCase();
+  const market = MARKETS.markets[key];
+  if (!market) {
+    throw new Error(`Unknown market "${code}" (expected ${Object.keys(MARKETS.markets).join(', ')})`);
+  }
+  return { code: key, ...market };
+}
+
+function getReportingCurrency() {
+  return MARKETS.reportingCurrency;
+}
+
+/**
+ * Google search parameters for a market, e.g. "hl=en-GB&gl=uk&curr=GBP"
+ */
+function getGoogleParams(market) {
+  const { hl, gl, curr } = market.google;
+  return `hl=${hl}&gl=${gl}&curr=${curr}`;
+}
+
+/**
+ * Parse "1,234", "1.234,56" or "1 234" into a number
+ * A trailing separator followed by 1-2 digits is the decimal point, any other is a thousands separator
+ */
+function parseAmount(text) {
+  const decimal = text.match(/[.,](\d{1,2})$/);
+  const whole = decimal ? text.slice(0, -decimal[0].length) : text;
+  const amount = parseInt(whole.replace(/[^\d]/g, ''));
+  return decimal ? amount + parseInt(decimal[1]) / Math.pow(10, decimal[1].length) : amount;
+}
+
+function readPrice(match, dollarCurrency) {
+  const text = match[0].trim();
+  const number = text.match(new RegExp(NUMBER))[0];
+  const marker = text.replace(number, '').trim();
+  const currency = marker === '$'
+    ? dollarCurrency
+    : (text.startsWith(marker) ? PREFIX_CURRENCIES[marker] : SUFFIX_CURRENCIES[marker]);
+  return { amount: parseAmount(number), currency };
+}
+
+/**
+ * Every price in a piece of text, in order
+ *
+ * @param {string} dollarCurrency - currency a bare "$" means (the market's dollar, default USD)
+ * @returns {Array<{ amount: number, currency: string }>}
+ */
+function findPrices(text, dollarCurrency = 'USD') {
+  return [...String(text).matchAll(new RegExp(MONEY_PATTERN, 'g'))].map(match => readPrice(match, dollarCurrency));
+}
+
+/**
+ * The first price in a piece of text, or null
+ */
+function parsePrice(text, dollarCurrency = 'USD') {
+  return findPrices(text, dollarCurrency)[0] || null;
+}
+
+/**
+ * The currency a bare "$" means on a market's pages
+ */
+function getDollarCurrency(market) {
+  return market.currency === 'CAD' ? 'CAD' : 'USD';
+}
+
+/**
+ * Convert an amount between currencies with the local FX table
+ */
+function convertAmount(amount, from, to = MARKETS.reportingCurrency) {
+  if (from === to) return amount;
+  const { rates } = MARKETS.fx;
+  if (!rates[from] || !rates[to]) {
+    throw new Error(`No FX rate for ${rates[from] ? to : from} in config/markets.json`);
+  }
+  return amount * rates[from] / rates[to];
+}
+
+/**
+ * Convert a deal's prices to the reporting currency so it can be compared with
+ * baselines and other deals; the price the source showed is kept as localPrice
+ * in localCurrency. Deals without a currency are assumed to be in the reporting currency.
+ */
+function normalizeDealCurrency(type, deal) {
+  const reporting = MARKETS.reportingCurrency;
+  if (!deal.currency || deal.currency === reporting) {
+    return { ...deal, currency: reporting };
+  }
+
+  const fxRate = convertAmount(1, deal.currency, reporting);
+  const converted = {
+    ...deal,
+    currency: reporting,
+    localCurrency: deal.currency,
+    localPrice: deal[MONEY_FIELDS[type][0]],
+    fxRate: Math.round(fxRate * 10000) / 10000
+  };
+  for (const field of MONEY_FIELDS[type]) {
+    if (typeof deal[field] === 'number') converted[field] = Math.round(deal[field] * fxRate);
+  }
+  return converted;
+}
+
+/**
+ * Format an amount for display, e.g. "$389", "£305", "CA$412"
+ */
+function formatMoney(amount, currency = MARKETS.reportingCurrency, locale = 'en-US') {
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
+
+module.exports = {
+  MONEY_PATTERN,
+  getMarket,
+  getReportingCurrency,
+  getGoogleParams,
+  getDollarCurrency,
+  parsePrice,
+  findPrices,
+  parseAmount,
+  convertAmount,
+  normalizeDealCurrency,
+  formatMoney
+};
@@ -0,0 +1,96 @@
+/**
+ * Page record/replay for eTravelogs scrapers
+ * Sources load pages through a loader instead of calling page.goto() directly,
+ * so the same extraction code can run live, save what it saw, or run offline:
+ *
+ *   live    - load the site (default)
+ *   record  - load the site, then save the rendered HTML as a fixture
+ *   replay  - serve the saved fixture through Playwright routing, nothing leaves the machine
+ *
+ * Fixtures are saved per source and route: scrapers/fixtures/pages/<source>/<route>.html,
+ * with -2, -3, ... for the second and later loads of the same search (flexible dates).
+ * Matching by route rather than URL means replays still work once the search dates move.
+ *
+ * Set the mode with --record / --replay (or PAGE_MODE), the folder with PAGE_FIXTURES_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { slugify } = require('./debug-artifacts');
+
+const FIXTURE_CONFIG = {
+  dir: process.env.PAGE_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'pages'),
+  mode: process.env.PAGE_MODE || 'live'
+};
+
+const PAGE_MODES = ['live', 'record', 'replay'];
+
+/**
+ * Fixture file for the nth page load (1-based) of a source's search
+ */
+function getFixturePath(dir, source, route, loadNumber = 1) {
+  const suffix = loadNumber > 1 ? `-${loadNumber}` : '';
+  return path.join(dir, slugify(source), `${slugify(route)}${suffix}.html`);
+}
+
+/**
+ * Serve `html` as the page at `url`; every other request is aborted so
+ * a replay never touches the network
+ */
+async function replayPage(page, url, html, options) {
+  const handler = route => {
+    const request = route.request();
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      return route.fulfill({ status: 200, contentType: 'text/html; charset=utf-8', body: html });
+    }
+    return route.abort();
+  };
+
+  await page.route('**/*', handler);
+  try {
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: options.timeout });
+  } finally {
+    await page.unroute('**/*', handler);
+  }
+}
+
+/**
+ * Create a page loader for one search
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} options - { source, route, mode, dir }
+ * @returns {function(url, { waitUntil, timeout, settleMs }): Promise<void>}
+ */
+function createPageLoader(page, options) {
+  const mode = options.mode || FIXTURE_CONFIG.mode;
+  const dir = options.dir || FIXTURE_CONFIG.dir;
+  let loads = 0;
+
+  if (!PAGE_MODES.includes(mode)) {
+    throw new Error(`Unknown page mode "${mode}" (expected ${PAGE_MODES.join(', ')})`);
+  }
+
+  return async function loadPage(url, loadOptions = {}) {
+    const { waitUntil = 'domcontentloaded', timeout = 20000, settleMs = 0 } = loadOptions;
+    const fixturePath = getFixturePath(dir, options.source, options.route, ++loads);
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`No page fixture for ${options.source} (${options.route}): ${path.relative(process.cwd(), fixturePath)}`);
+      }
+      await replayPage(page, url, fs.readFileSync(fixturePath, 'utf8'), { timeout });
+      return;
+    }
+
+    await page.goto(url, { waitUntil, timeout });
+    if (settleMs) await page.waitForTimeout(settleMs); // Let prices load
+
+    if (mode === 'record') {
+      fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+      fs.writeFileSync(fixturePath, await page.content());
+      console.log(`  Recorded ${path.relative(process.cwd(), fixturePath)}`);
+    }
+  };
+}
+
+module.exports = { FIXTURE_CONFIG, PAGE_MODES, createPageLoader, getFixturePath };
@@ -0,0 +1,144 @@
+/**
+ * Price History Store for eTravelogs
+ * Append-only JSONL log of every price the scrapers observe
+ *
+ * Used to compute rolling baselines (median / percentile over the last N weeks)
+ * so "% off" is measured against what we have actually seen, not a static table.
+ *
+ * Files: data/price-history/flights.jsonl, data/price-history/hotels.jsonl
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { format, parseISO } = require('date-fns');
+
+const HISTORY_CONFIG = {
+  dir: path.join(__dirname, '..', 'data', 'price-history'),
+
+  // Rolling window used for baselines
+  windowWeeks: 8,
+
+  // Fewer observations than this and the baseline is considered too thin
+  minSamples: 5,
+
+  // 50 = median; lower values give a more conservative "typical" price
+  percentile: 50
+};
+
+function getHistoryPath(type) {
+  return path.join(HISTORY_CONFIG.dir, `${type}.jsonl`);
+}
+
+/**
+ * Date window an itinerary falls into (departure / check-in month)
+ * Dates are parsed as local days, so the 1st of a month stays in that month in any time zone
+ */
+function getDateWindow(date) {
+  return format(parseISO(date), 'yyyy-MM');
+}
+
+/**
+ * Keys a flight observation is indexed under: route + date window, and route only
+ */
+function getFlightKeys(origin, destination, departDate) {
+  const route = `${origin}-${destination}`;
+  return departDate ? [`${route}|${getDateWindow(departDate)}`, route] : [route];
+}
+
+function getHotelKeys(hotelName, location) {
+  return [`${hotelName}|${location}`];
+}
+
+/**
+ * Append one observation to the history log
+ */
+function recordObservation(type, observation) {
+  if (!fs.existsSync(HISTORY_CONFIG.dir)) {
+    fs.mkdirSync(HISTORY_CONFIG.dir, { recursive: true });
+  }
+
+  const entry = { ...observation, observedAt: observation.observedAt || new Date().toISOString() };
+  fs.appendFileSync(getHistoryPath(type), JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Read observations from the last `windowWeeks` weeks
+ * Malformed lines are skipped rather than failing the run
+ */
+function loadObservations(type, windowWeeks = HISTORY_CONFIG.windowWeeks) {
+  const filePath = getHistoryPath(type);
+  if (!fs.existsSync(filePath)) return [];
+
+  const cutoff = new Date(Date.now() - windowWeeks * 7 * 24 * 60 * 60 * 1000);
+  const observations = [];
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (new Date(entry.observedAt) > cutoff && typeof entry.price === 'number') {
+        observations.push(entry);
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+
+  return observations;
+}
+
+/**
+ * Build an in-memory index of recent prices: key -> [prices]
+ * Loaded once per run so baselines exclude the current run's observations
+ */
+function loadPriceHistory(type) {
+  const index = {};
+
+  for (const entry of loadObservations(type)) {
+    const keys = type === 'flights'
+      ? getFlightKeys(entry.origin, entry.destination, entry.departDate)
+      : getHotelKeys(entry.hotelName, entry.location);
+
+    for (const key of keys) {
+      if (!index[key]) index[key] = [];
+      index[key].push(entry.price);
+    }
+  }
+
+  return index;
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Rolling baseline for the first key with enough history
+ * Returns { price, samples, key } or null when history is too thin
+ */
+function getBaseline(index, keys) {
+  for (const key of keys) {
+    const prices = index[key] || [];
+    if (prices.length >= HISTORY_CONFIG.minSamples) {
+      return {
+        price: Math.round(percentile(prices, HISTORY_CONFIG.percentile)),
+        samples: prices.length,
+        key
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  HISTORY_CONFIG,
+  recordObservation,
+  loadPriceHistory,
+  getBaseline,
+  getFlightKeys,
+  getHotelKeys
+};
@@ -0,0 +1,67 @@
+/**
+ * Adaptive Rate Limiter for the scrapers
+ * Shared by all workers hitting the same source, so requests are spaced
+ * out globally rather than per page
+ *
+ * The delay between requests grows after timeouts or empty results and
+ * shrinks back towards the minimum after successes.
+ */
+
+const LIMITER_DEFAULTS = {
+  minDelayMs: 1000,
+  maxDelayMs: 30000,
+  jitterMs: 1000,
+  backoffFactor: 2,       // Multiply the delay after a failure...
+  backoffStepMs: 1000,    // ...by at least this much above the minimum
+  recoveryFactor: 0.75,   // Multiply the delay after a success
+
+  // Time source and sleep, replaceable in tests
+  clock: {
+    now: () => Date.now(),
+    sleep: ms => new Promise(r => setTimeout(r, ms))
+  },
+  random: Math.random
+};
+
+/**
+ * Create a limiter
+ *
+ * @param {Object} options - see LIMITER_DEFAULTS
+ * @returns {{ wait: Function, reportSuccess: Function, reportFailure: Function, getDelay: Function }}
+ */
+function createRateLimiter(options = {}) {
+  const settings = { ...LIMITER_DEFAULTS, ...options };
+  let delayMs = settings.minDelayMs;
+  let nextSlotAt = 0;
+
+  return {
+    /**
+     * Resolve when it is this caller's turn; callers are queued in order
+     */
+    async wait() {
+      const now = settings.clock.now();
+      const slot = Math.max(now, nextSlotAt);
+      nextSlotAt = slot + delayMs + settings.random() * settings.jitterMs;
+      if (slot > now) {
+        await settings.clock.sleep(slot - now);
+      }
+    },
+
+    reportSuccess() {
+      delayMs = Math.max(settings.minDelayMs, delayMs * settings.recoveryFactor);
+    },
+
+    reportFailure() {
+      delayMs = Math.min(
+        settings.maxDelayMs,
+        Math.max(delayMs * settings.backoffFactor, settings.minDelayMs + settings.backoffStepMs)
+      );
+    },
+
+    getDelay() {
+      return delayMs;
+    }
+  };
+}
+
+module.exports = { createRateLimiter, LIMITER_DEFAULTS };
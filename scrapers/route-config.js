@@ -0,0 +1,154 @@
+/**
+ * Route Configuration for eTravelogs scrapers
+ * Loads and validates config/routes.json (override with ROUTES_CONFIG)
+ *
+ * run.coverage "full" searches every route each run; "rotation" (or an
+ * explicit --day) searches that day's slice of the week.
+ *
+ * Origins, destinations, typical prices and the day rotation are referenced
+ * by code, so adding a city never means renumbering array indexes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('../schemas/routes-config.v1.schema.json');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'routes.json');
+const DAYS = ['0', '1', '2', '3', '4', '5', '6'];
+const RUN_DEFAULTS = { concurrency: 1, coverage: 'rotation' };
+
+const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+
+function findDuplicates(codes) {
+  return codes.filter((code, i) => codes.indexOf(code) !== i);
+}
+
+/**
+ * Checks JSON Schema can't express: unique codes, rotation entries that
+ * reference known codes, and a rotation entry for every day of the week
+ */
+function checkReferences(config) {
+  const problems = [];
+  const originCodes = config.flights.origins.map(o => o.code);
+  const flightDestCodes = config.flights.destinations.map(d => d.code);
+  const hotelDestCodes = config.hotels.destinations.map(d => d.code);
+
+  for (const code of findDuplicates(originCodes)) problems.push(`flights.origins: duplicate code ${code}`);
+  for (const code of findDuplicates(flightDestCodes)) problems.push(`flights.destinations: duplicate code ${code}`);
+  for (const code of findDuplicates(hotelDestCodes)) problems.push(`hotels.destinations: duplicate code ${code}`);
+
+  for (const day of DAYS) {
+    const flightDay = config.flights.dayRotation[day];
+    if (!flightDay) {
+      problems.push(`flights.dayRotation: missing day ${day}`);
+    } else {
+      for (const code of flightDay.origins.filter(c => !originCodes.includes(c))) {
+        problems.push(`flights.dayRotation.${day}.origins: unknown origin ${code}`);
+      }
+      for (const code of flightDay.destinations.filter(c => !flightDestCodes.includes(c))) {
+        problems.push(`flights.dayRotation.${day}.destinations: unknown destination ${code}`);
+      }
+    }
+
+    const hotelDay = config.hotels.dayRotation[day];
+    if (!hotelDay) {
+      problems.push(`hotels.dayRotation: missing day ${day}`);
+    } else {
+      for (const code of hotelDay.filter(c => !hotelDestCodes.includes(c))) {
+        problems.push(`hotels.dayRotation.${day}: unknown destination ${code}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Load and validate the route config, throwing with every problem found
+ */
+function loadRouteConfig(configPath = process.env.ROUTES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  const problems = validateSchema(config)
+    ? checkReferences(config)
+    : validateSchema.errors.map(err => `${err.instancePath || '(root)'} ${err.message}`);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid route config ${configPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Run settings with defaults, CLI overrides applied
+ */
+function getRunSettings(config, options = {}) {
+  const settings = { ...RUN_DEFAULTS, ...config.run };
+  if (options.concurrency) settings.concurrency = options.concurrency;
+  return settings;
+}
+
+/**
+ * Whether to search every route (full coverage, --all-routes) rather than the day's rotation
+ */
+function useAllRoutes(config, options) {
+  if (options.allRoutes) return true;
+  return options.day === undefined && getRunSettings(config).coverage === 'full';
+}
+
+function pickByCode(list, codes, kind) {
+  return codes.map(code => {
+    const item = list.find(i => i.code === code);
+    if (!item) {
+      throw new Error(`Unknown ${kind} code: ${code} (known: ${list.map(i => i.code).join(', ')})`);
+    }
+    return item;
+  });
+}
+
+/**
+ * Origins and destinations to search, from the day rotation unless overridden
+ *
+ * @param {Object} config - loaded route config
+ * @param {Object} options - { day, origins, destinations, allRoutes } from parseCliOptions()
+ */
+function selectFlightRoutes(config, options = {}) {
+  const day = options.day !== undefined ? options.day : new Date().getDay();
+  const rotation = config.flights.dayRotation[day];
+
+  const allRoutes = useAllRoutes(config, options);
+
+  const originCodes = options.origins
+    || (allRoutes ? config.flights.origins.map(o => o.code) : rotation.origins);
+  const destinationCodes = options.destinations
+    || (allRoutes ? config.flights.destinations.map(d => d.code) : rotation.destinations);
+
+  return {
+    day,
+    allRoutes,
+    origins: pickByCode(config.flights.origins, originCodes, 'origin'),
+    destinations: pickByCode(config.flights.destinations, destinationCodes, 'destination')
+  };
+}
+
+/**
+ * Hotel destinations to search, from the day rotation unless overridden
+ */
+function selectHotelDestinations(config, options = {}) {
+  const day = options.day !== undefined ? options.day : new Date().getDay();
+
+  const allRoutes = useAllRoutes(config, options);
+
+  const destinationCodes = options.destinations
+    || (allRoutes ? config.hotels.destinations.map(d => d.code) : config.hotels.dayRotation[day]);
+
+  return {
+    day,
+    allRoutes,
+    destinations: pickByCode(config.hotels.destinations, destinationCodes, 'hotel destination')
+  };
+}
+
+module.exports = { loadRouteConfig, getRunSettings, selectFlightRoutes, selectHotelDestinations };
@@ -1,29 +1,39 @@
 /**
- * Run All Scrapers (Optimized with Day-Based Rotation)
+ * Run All Scrapers (Concurrent, Full Coverage)
  *
- * OPTIMIZATION: Uses day-based rotation to spread workload across the week
- * - Each day processes a subset of origins/destinations
- * - Target runtime: 10-15 minutes (down from 100+ minutes)
- * - Full coverage achieved over 7 days with deal merging
+ * OPTIMIZATION: Searches with a pool of browser pages behind a shared,
+ * adaptive rate limiter per source (run.concurrency in config/routes.json)
+ * - Every flight route and hotel destination in a single run
+ * - Target runtime: under 18 minutes
+ * - Set run.coverage to "rotation" (or pass --day) to fall back to the 7-day rotation
  */
 
 const fs = require('fs');
 const path = require('path');
 const { scrapeFlightDeals, saveDeals: saveFlightDeals } = require('./flight-deals');
 const { scrapeHotelDeals, saveDeals: saveHotelDeals } = require('./hotel-deals');
+const { summarizeQuarantine } = require('./deal-validator');
+const { validateRecords, validateDealsDocument, SCHEMA_VERSION } = require('./deal-schema');
+const { parseCliOptions } = require('./cli-options');
+const { createRunReport, writeRunReport } = require('./run-report');
 
-async function runAllScrapers() {
+/**
+ * Run the flight and hotel scrapers and write the combined deals.json
+ *
+ * @param {Object} options - route overrides from parseCliOptions(), passed to both scrapers
+ */
+async function runAllScrapers(options = {}) {
   const startTime = Date.now();
+  const runStartedAt = new Date(startTime);
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const dayOfWeek = new Date().getDay();
+  const dayOfWeek = options.day !== undefined ? options.day : new Date().getDay();
+  const report = createRunReport();
 
   console.log('='.repeat(60));
   console.log('eTravelogs Daily Deal Scraper (Optimized)');
   console.log(`Started at: ${new Date().toISOString()}`);
   console.log(`Day: ${dayNames[dayOfWeek]} (rotation day ${dayOfWeek})`);
   console.log('='.repeat(60));
-  console.log('NOTE: Using day-based rotation for efficient runtime');
-  console.log('      Full coverage achieved over 7 days with deal merging');
 
   // Run flight scraper
   console.log('\n[FLIGHTS]');
@@ -31,11 +41,12 @@ async function runAllScrapers() {
   const flightStart = Date.now();
   let flightDeals = [];
   try {
-    flightDeals = await scrapeFlightDeals();
-    await saveFlightDeals(flightDeals);
+    flightDeals = await scrapeFlightDeals(options, report);
+    await saveFlightDeals(flightDeals, report);
     console.log(`Flight scraper completed in ${Math.round((Date.now() - flightStart) / 1000)}s`);
   } catch (err) {
     console.error('Flight scraper failed:', err.message);
+    report.scraperFailed('flights', err);
   }
 
   // Run hotel scraper
@@ -44,21 +55,32 @@ async function runAllScrapers() {
   const hotelStart = Date.now();
   let hotelDeals = [];
   try {
-    hotelDeals = await scrapeHotelDeals();
-    await saveHotelDeals(hotelDeals);
+    hotelDeals = await scrapeHotelDeals(options, report);
+    await saveHotelDeals(hotelDeals, report);
     console.log(`Hotel scraper completed in ${Math.round((Date.now() - hotelStart) / 1000)}s`);
   } catch (err) {
     console.error('Hotel scraper failed:', err.message);
+    report.scraperFailed('hotels', err);
   }
 
+  // Same schema check saveDeals() applied, so deals.json matches flights.json / hotels.json
+  flightDeals = validateRecords('flights', flightDeals, { repair: true }).valid;
+  hotelDeals = validateRecords('hotels', hotelDeals, { repair: true }).valid;
+
+  // Deals rejected by the validation stage during this run
+  const quarantined = summarizeQuarantine(runStartedAt);
+
   // Create combined output
   const outputDir = path.join(__dirname, '..', 'output');
   const combined = {
+    schemaVersion: SCHEMA_VERSION,
     generated: new Date().toISOString(),
     rotationDay: dayOfWeek,
     summary: {
       totalFlightDeals: flightDeals.length,
       totalHotelDeals: hotelDeals.length,
+      quarantinedFlightDeals: quarantined.flights,
+      quarantinedHotelDeals: quarantined.hotels,
       bestFlightDeal: flightDeals[0] || null,
       bestHotelDeal: hotelDeals[0] || null
     },
@@ -66,6 +88,19 @@ async function runAllScrapers() {
     hotels: hotelDeals
   };
 
+  // Per-route outcomes, so a run with few or no deals says where they were lost
+  const runReport = report.finish({ flights: flightDeals, hotels: hotelDeals });
+  writeRunReport(runReport, outputDir);
+
+  const schemaErrors = validateDealsDocument(combined);
+  if (schemaErrors.length > 0) {
+    throw new Error(`deals.json does not match its schema: ${schemaErrors.join('; ')}`);
+  }
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
   fs.writeFileSync(
     path.join(outputDir, 'deals.json'),
     JSON.stringify(combined, null, 2)
@@ -77,17 +112,26 @@ async function runAllScrapers() {
   console.log('='.repeat(60));
   console.log(`Flight deals found: ${flightDeals.length}`);
   console.log(`Hotel deals found: ${hotelDeals.length}`);
+  console.log(`Deals quarantined: ${quarantined.flights} flights, ${quarantined.hotels} hotels`);
+  for (const [rule, count] of Object.entries(quarantined.byRule)) {
+    console.log(`   ${rule}: ${count}`);
+  }
+  console.log(`Routes with deals: ${runReport.summary.routesWithDeals} of ${runReport.routes.length}`);
+  for (const [category, count] of Object.entries(runReport.summary.byCategory)) {
+    console.log(`   ${category}: ${count}`);
+  }
   console.log(`Output saved to: ${path.join(outputDir, 'deals.json')}`);
+  console.log(`Run report: ${path.join(outputDir, 'run-report.md')}`);
   console.log(`Total runtime: ${totalTime}s (${Math.round(totalTime / 60)} minutes)`);
 
   if (flightDeals.length > 0 && flightDeals[0].originName) {
     console.log(`\nBest flight deal: ${flightDeals[0].originName} -> ${flightDeals[0].destinationName}`);
-    console.log(`   Price: $${flightDeals[0].price} (${flightDeals[0].percentOff}% off)`);
+    console.log(`   Price: $${flightDeals[0].price} (${flightDeals[0].percentOff}% off, score ${flightDeals[0].score})`);
   }
 
   if (hotelDeals.length > 0 && hotelDeals[0].hotelName) {
     console.log(`\nBest hotel deal: ${hotelDeals[0].hotelName} in ${hotelDeals[0].location}`);
-    console.log(`   Price: $${hotelDeals[0].pricePerNight}/night (${hotelDeals[0].percentOff}% off)`);
+    console.log(`   Price: $${hotelDeals[0].pricePerNight}/night (${hotelDeals[0].percentOff}% off, score ${hotelDeals[0].score})`);
   }
 
   console.log('\n' + '='.repeat(60));
@@ -101,7 +145,8 @@ async function runAllScrapers() {
 if (require.main === module) {
   require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
-  runAllScrapers()
+  Promise.resolve()
+    .then(() => runAllScrapers(parseCliOptions()))
     .then(() => process.exit(0))
     .catch(err => {
       console.error('Scraper failed:', err);
@@ -0,0 +1,260 @@
+/**
+ * Per-run diagnostic report for eTravelogs scrapers
+ * Follows every route/destination through a run - what each source search
+ * found, which filter dropped each candidate - so a run with zero deals says why
+ *
+ * Written by run-all.js to output/run-report.json and output/run-report.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { makeRunId } = require('./debug-artifacts');
+
+// Why a route ended up without deals, checked in pipeline order
+const FAILURE_CATEGORIES = [
+  'timeout',          // Page load or search timed out
+  'error',            // Search threw something else
+  'no-elements',      // Page loaded but no candidate elements matched the selectors
+  'no-prices',        // Elements matched but no price could be read from them
+  'undated',          // Hotel listings without stay dates
+  'below-threshold',  // Every price failed the % off threshold (15% flights, 25% hotels)
+  'required-field',   // Rejected by deal-validator.js
+  'price-bounds',
+  'outlier',
+  'duplicate',        // Dropped by dedupe
+  'not-top-20',       // A deal, but outranked by better ones
+  'schema'            // Failed schema validation on write
+];
+
+/**
+ * Report key for a search target: "JFK → LIS", "Paris", "from JFK", or the source name
+ */
+function targetKey(target, sourceName) {
+  if (target.origin && target.destination) return `${target.origin.code} → ${target.destination.code}`;
+  if (target.destination) return target.destination.name;
+  if (target.origin) return `from ${target.origin.code}`;
+  return sourceName;
+}
+
+/**
+ * Report key for a deal, matching targetKey() for the search that produced it
+ */
+function dealKey(type, deal) {
+  if (type === 'flights') return `${deal.origin} → ${deal.destination}`;
+  return deal.location || deal.source;
+}
+
+function dealPrice(type, deal) {
+  return type === 'flights' ? deal.price : deal.pricePerNight;
+}
+
+/**
+ * Category for a search that produced no deals
+ */
+function searchCategory(outcome) {
+  if (outcome.status === 'timeout' || outcome.status === 'error') return outcome.status;
+  if (outcome.candidates === 0) return 'no-elements';
+  if (outcome.prices.length === 0) return 'no-prices';
+  return null;
+}
+
+/**
+ * Create an empty report for a run
+ *
+ * @returns {{ runId: string, startedAt: Date, startSearch: Function, reject: Function, scraperFailed: Function, finish: Function }}
+ */
+function createRunReport() {
+  const startedAt = new Date();
+  const runId = makeRunId(startedAt);
+  const entries = new Map();
+  const scraperErrors = [];
+
+  function getEntry(type, key) {
+    const id = `${type}|${key}`;
+    if (!entries.has(id)) {
+      entries.set(id, { type, key, searches: [], rejections: [], dealsKept: 0 });
+    }
+    return entries.get(id);
+  }
+
+  // Deals merged in from previous runs aren't part of this run's story
+  function isFromThisRun(deal) {
+    return deal.scrapedAt && new Date(deal.scrapedAt) >= startedAt;
+  }
+
+  return {
+    runId,
+    startedAt,
+
+    /**
+     * Register a source search; runSource() fills in the returned outcome
+     */
+    startSearch(type, sourceName, target) {
+      const outcome = { source: sourceName, status: 'pending', attempts: 0, elapsedMs: 0, candidates: 0, prices: [], error: null, artifacts: null };
+      getEntry(type, targetKey(target, sourceName)).searches.push(outcome);
+      return outcome;
+    },
+
+    /**
+     * Record the filter that dropped a candidate deal
+     */
+    reject(type, deal, filter, reason) {
+      if (!isFromThisRun(deal)) return;
+      getEntry(type, dealKey(type, deal)).rejections.push({
+        price: dealPrice(type, deal),
+        filter,
+        reason,
+        ...(deal.hotelName ? { hotelName: deal.hotelName } : {})
+      });
+    },
+
+    /**
+     * Record a scraper that stopped before finishing its routes (e.g. the browser didn't launch)
+     */
+    scraperFailed(type, error) {
+      scraperErrors.push({ type, error: error.message });
+    },
+
+    /**
+     * Settle each route's status against the deals that made it into the output
+     *
+     * @param {Object} finalDeals - { flights, hotels } as written to deals.json
+     */
+    finish(finalDeals) {
+      for (const type of ['flights', 'hotels']) {
+        for (const deal of (finalDeals[type] || []).filter(isFromThisRun)) {
+          getEntry(type, dealKey(type, deal)).dealsKept++;
+        }
+      }
+
+      const routes = [...entries.values()].map(entry => {
+        const searchFailures = entry.searches.map(searchCategory).filter(Boolean);
+        let status = 'ok';
+
+        if (entry.dealsKept === 0) {
+          // The last filter a candidate reached is the one to fix; otherwise the search itself failed
+          const filters = entry.rejections.map(r => r.filter);
+          status = FAILURE_CATEGORIES.slice().reverse().find(c => filters.includes(c))
+            || FAILURE_CATEGORIES.find(c => searchFailures.includes(c))
+            || 'no-prices';
+        }
+
+        return {
+          type: entry.type,
+          route: entry.key,
+          status,
+          elapsedMs: entry.searches.reduce((sum, s) => sum + s.elapsedMs, 0),
+          candidates: entry.searches.reduce((sum, s) => sum + s.candidates, 0),
+          pricesSeen: entry.searches.flatMap(s => s.prices),
+          dealsKept: entry.dealsKept,
+          searches: entry.searches,
+          rejections: entry.rejections
+        };
+      });
+
+      const byCategory = {};
+      const rejectionsByFilter = {};
+      for (const route of routes) {
+        byCategory[route.status] = (byCategory[route.status] || 0) + 1;
+        for (const rejection of route.rejections) {
+          rejectionsByFilter[rejection.filter] = (rejectionsByFilter[rejection.filter] || 0) + 1;
+        }
+      }
+
+      const finishedAt = new Date();
+      return {
+        runId,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        elapsedMs: finishedAt - startedAt,
+        summary: {
+          flightRoutes: routes.filter(r => r.type === 'flights').length,
+          hotelDestinations: routes.filter(r => r.type === 'hotels').length,
+          routesWithDeals: byCategory.ok || 0,
+          scraperErrors,
+          byCategory,
+          rejectionsByFilter
+        },
+        routes
+      };
+    }
+  };
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Markdown version of a finished report, for the Actions job summary
+ */
+function renderMarkdown(report) {
+  const lines = [
+    '# Scraper Run Report',
+    '',
+    `Run: ${report.startedAt} - ${report.finishedAt} (${Math.round(report.elapsedMs / 1000)}s)`,
+    `Failure artifacts: output/debug/${report.runId}/ (if any)`,
+    '',
+    `- Flight routes searched: ${report.summary.flightRoutes}`,
+    `- Hotel destinations searched: ${report.summary.hotelDestinations}`,
+    `- Routes with deals: ${report.summary.routesWithDeals}`,
+    ...report.summary.scraperErrors.map(e => `- **${e.type} scraper failed:** ${e.error.split('\n')[0]}`),
+    '',
+    '## Routes by Outcome',
+    '',
+    '| Outcome | Routes |',
+    '|---|---|',
+    ...Object.entries(report.summary.byCategory).map(([category, count]) => `| ${category} | ${count} |`),
+    '',
+    '## Rejected Candidates by Filter',
+    '',
+    '| Filter | Candidates |',
+    '|---|---|',
+    ...Object.entries(report.summary.rejectionsByFilter).map(([filter, count]) => `| ${filter} | ${count} |`),
+    ''
+  ];
+
+  for (const type of ['flights', 'hotels']) {
+    const routes = report.routes.filter(r => r.type === type);
+    if (routes.length === 0) continue;
+
+    lines.push(`## ${type === 'flights' ? 'Flight Routes' : 'Hotel Destinations'}`, '');
+    lines.push('| Route | Status | Time | Elements | Prices seen | Deals | Notes |');
+    lines.push('|---|---|---|---|---|---|---|');
+
+    for (const route of routes) {
+      const errors = route.searches.filter(s => s.error).map(s => `${s.source}: ${s.error}`);
+      const rejections = route.rejections.map(r => `$${r.price} ${r.filter}`);
+      const artifacts = [...new Set(route.searches.map(s => s.artifacts).filter(Boolean))].map(dir => `see ${dir}`);
+      const notes = [...errors, ...rejections, ...artifacts].join('; ').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+      const prices = route.pricesSeen.length > 0 ? route.pricesSeen.map(p => `$${p}`).join(', ') : '-';
+
+      lines.push(`| ${route.route} | ${route.status} | ${formatSeconds(route.elapsedMs)} | ${route.candidates} | ${prices} | ${route.dealsKept} | ${notes || '-'} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write run-report.json and run-report.md to the output folder
+ */
+function writeRunReport(report, outputDir) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  const jsonPath = path.join(outputDir, 'run-report.json');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(path.join(outputDir, 'run-report.md'), renderMarkdown(report));
+
+  return jsonPath;
+}
+
+module.exports = {
+  FAILURE_CATEGORIES,
+  createRunReport,
+  renderMarkdown,
+  writeRunReport
+};
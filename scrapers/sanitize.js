@@ -0,0 +1,122 @@
+/**
+ * Sanitization for eTravelogs
+ * Hotel names, Kayak text, city names and GetYourGuide titles come from pages we don't
+ * control and end up in posts on our WordPress site. Everything scraped goes through here:
+ *
+ *   cleanText()       - at ingest (runSource) and again before rendering: strips markup,
+ *                       control/invisible characters and scraped boilerplate ("Sponsored",
+ *                       "Opens in a new window"), collapses whitespace, caps the length
+ *   escapeHtml()      - text placed in HTML
+ *   escapeAttribute() - text placed in a quoted HTML attribute (alt, title)
+ *   escapeMarkdown()  - text placed in Markdown
+ *   safeUrl()         - links and images: https on an affiliate partner's domain or our own
+ *                       site, otherwise null so the renderer leaves the item out
+ */
+
+const { getPartnerForUrl } = require('./affiliates');
+
+const SANITIZE_CONFIG = {
+  // Longest scraped name kept (hotel names, activity titles)
+  maxTextLength: 200,
+
+  // Our own pages, which posts may link to besides the affiliate partners
+  siteHosts: /(^|\.)etravelogs\.com$/,
+
+  // Page furniture that gets scraped along with a name
+  boilerplate: [
+    /^(?:ad|sponsored)\s*[·•:|-]\s*/i,
+    /\s*[·•|-]?\s*\b(?:sponsored|advertisement)\s*$/i,
+    /\(?\b(?:opens|open) in (?:a )?new (?:window|tab)\b\)?/gi,
+    /\b(?:view prices|view deal|visit site|show more|read more|click here)\b/gi
+  ]
+};
+
+// Text fields of deal records that come from scraped pages
+const DEAL_TEXT_FIELDS = ['originName', 'destinationName', 'destinationCountry', 'hotelName', 'location', 'country', 'tripLength'];
+
+const CONTROL_CHARS = /[\u0000-\u001F\u007F-\u009F]/g;
+
+// Zero-width characters and bidi overrides, which can hide or reorder text
+const INVISIBLE_CHARS = /[\u00AD\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;', '`': '&#96;', '=': '&#61;' };
+
+/**
+ * Scraped text as plain text: no markup, control or invisible characters, boilerplate
+ * or runs of whitespace, at most maxLength characters
+ *
+ * @returns {string} '' for null/undefined or text that was all markup
+ */
+function cleanText(value, { maxLength = SANITIZE_CONFIG.maxTextLength } = {}) {
+  if (value == null) return '';
+
+  let text = String(value)
+    .normalize('NFC')
+    .replace(/<(script|style|iframe|object|template)\b[\s\S]*?(?:<\/\1\s*>|$)/gi, ' ')
+    .replace(/<!--[\s\S]*?(?:-->|$)/g, ' ')
+    .replace(/<\/?[a-z!?][^>]*(?:>|$)/gi, ' ')
+    .replace(CONTROL_CHARS, ' ')
+    .replace(INVISIBLE_CHARS, '');
+
+  for (const pattern of SANITIZE_CONFIG.boilerplate) {
+    text = text.replace(pattern, ' ');
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Escape text for HTML element content
+ */
+function escapeHtml(value) {
+  return value == null ? '' : String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape text for a quoted HTML attribute value
+ */
+function escapeAttribute(value) {
+  return value == null ? '' : String(value).replace(CONTROL_CHARS, ' ').replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escape text for Markdown, so a name can't turn into a link, image or heading
+ */
+function escapeMarkdown(value) {
+  return value == null ? '' : String(value).replace(/[\\`*_[\]()<>#!|]/g, '\\$&');
+}
+
+/**
+ * A link or image URL that's safe to publish, or null
+ * Only https URLs on an affiliate partner's domain (affiliates.js) or our own site pass
+ */
+function safeUrl(value) {
+  if (typeof value !== 'string') return null;
+  const raw = value.trim();
+  // Spaces, quotes, brackets or hidden characters mean it isn't a URL we built
+  if (/[\s<>"'`]/.test(raw) || raw.replace(CONTROL_CHARS, '').replace(INVISIBLE_CHARS, '') !== raw) return null;
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (e) {
+    return null;
+  }
+  if (url.protocol !== 'https:' || url.username || url.password) return null;
+  if (!getPartnerForUrl(raw) && !SANITIZE_CONFIG.siteHosts.test(url.hostname)) return null;
+  return raw;
+}
+
+/**
+ * A deal with its scraped text fields cleaned; emptied names become null
+ */
+function cleanDealText(deal) {
+  const cleaned = { ...deal };
+  for (const field of DEAL_TEXT_FIELDS) {
+    if (typeof cleaned[field] === 'string') cleaned[field] = cleanText(cleaned[field]) || null;
+  }
+  return cleaned;
+}
+
+module.exports = { SANITIZE_CONFIG, cleanText, escapeHtml, escapeAttribute, escapeMarkdown, safeUrl, cleanDealText };
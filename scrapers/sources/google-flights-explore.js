@@ -0,0 +1,141 @@
+/**
+ * Google Flights Explore source
+ * Lists the cheapest destinations shown on the Explore map for an origin,
+ * resolving each card's city to an IATA code (via the gazetteer) and its
+ * travel dates, so Explore deals are priced and linked like route searches
+ */
+
+const { addYears, differenceInCalendarDays, format, startOfDay } = require('date-fns');
+const { resolveCity } = require('../gazetteer');
+const { getGoogleParams, getDollarCurrency, parsePrice, MONEY_PATTERN } = require('../markets');
+const { findLowestPrice } = require('./google-flights');
+
+const SELECTORS = {
+  cards: '[data-ved] [role="button"]'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\\.?';
+const WEEKDAY = '(?:(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun)[a-z]*,?\\s+)?';
+
+// "Dec 3 – 10", "Nov 27 – Dec 1", "Fri, Dec 5 – Sun, Dec 7"
+const DATE_RANGE = new RegExp(`${WEEKDAY}${MONTH}\\s+(\\d{1,2})\\s*[–—-]\\s*${WEEKDAY}(?:${MONTH}\\s+)?(\\d{1,2})`);
+
+// "Nonstop", "1 stop", "2 stops"
+const STOPS = /\b(?:(Nonstop)|(\d+) stops?)\b/i;
+
+// The city name is whatever comes before the first date, weekday or price on the card
+const CITY_END = new RegExp(`${MONEY_PATTERN}|[$£€]|\\d|\\b(?:Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\\b`);
+
+/**
+ * Parse a card's date range into ISO dates; cards don't show the year, so the
+ * departure is the next occurrence on or after `today`
+ *
+ * @returns {{ departDate, returnDate, tripLength } | null}
+ */
+function parseCardDates(text, today = new Date()) {
+  const match = text.match(DATE_RANGE);
+  if (!match) return null;
+
+  const departMonth = MONTHS.indexOf(match[1].toLowerCase());
+  const returnMonth = match[3] ? MONTHS.indexOf(match[3].toLowerCase()) : departMonth;
+
+  let departDate = new Date(today.getFullYear(), departMonth, parseInt(match[2]));
+  if (departDate < startOfDay(today)) departDate = addYears(departDate, 1);
+
+  let returnDate = new Date(departDate.getFullYear(), returnMonth, parseInt(match[4]));
+  if (returnDate < departDate) returnDate = addYears(returnDate, 1);
+
+  const nights = differenceInCalendarDays(returnDate, departDate);
+  if (nights <= 0 || nights > 60) return null;
+
+  return {
+    departDate: format(departDate, 'yyyy-MM-dd'),
+    returnDate: format(returnDate, 'yyyy-MM-dd'),
+    tripLength: `${nights} days`
+  };
+}
+
+/**
+ * Number of stops shown on a card, or null when it doesn't say
+ */
+function parseStops(text) {
+  const match = text.match(STOPS);
+  if (!match) return null;
+  return match[1] ? 0 : parseInt(match[2]);
+}
+
+/**
+ * Turn one Explore card's text into a flight deal, or null if it has no price
+ * or names a city the gazetteer doesn't know
+ */
+function parseCard(text, origin, today = new Date(), dollarCurrency = 'USD') {
+  const cardText = text.replace(/\s+/g, ' ').trim();
+  const price = parsePrice(cardText, dollarCurrency);
+  if (!price) return null;
+
+  const cityText = cardText.split(CITY_END)[0].trim();
+  const city = resolveCity(cityText);
+  if (!city) {
+    console.log(`  Explore: unknown destination "${cityText}", skipped (add it to scrapers/cities.json)`);
+    return null;
+  }
+  if (city.code === origin.code) return null;
+
+  return {
+    origin: origin.code,
+    originName: origin.name,
+    destination: city.code,
+    destinationName: city.name,
+    destinationCountry: city.country,
+    price: Math.round(price.amount),
+    currency: price.currency,
+    ...parseCardDates(cardText, today),
+    stops: parseStops(cardText),
+    source: 'Google Flights Explore',
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  name: 'Google Flights Explore',
+  type: 'flights',
+  scope: 'origin',
+  priority: 20,
+  rateLimit: { delayMs: 2000, jitterMs: 0, maxTargets: 2 }, // Today's first 2 origins only
+  health: { selectors: Object.values(SELECTORS), canary: { origin: 'JFK' } },
+
+  async search({ page, loadPage, diagnostics, market }, { origin }) {
+    const deals = [];
+
+    // Let the map and prices load
+    await loadPage(`https://www.google.com/travel/explore?tfs=CBwQAxoJagcIARID${origin.code}QAFIAXABggELCP___________wGYAQI&${getGoogleParams(market)}`,
+      { timeout: 25000, settleMs: 3000 });
+
+    // Look for destination cards with prices
+    const cards = await page.$$(SELECTORS.cards);
+    diagnostics.candidates += cards.length;
+
+    for (const card of cards.slice(0, 10)) { // Limit to top 10 shown
+      try {
+        const deal = parseCard(await card.textContent(), origin, new Date(), getDollarCurrency(market));
+        if (deal) {
+          diagnostics.prices.push(deal.price);
+          deals.push(deal);
+        }
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return deals;
+  },
+
+  // Explore deals have exact dates once resolved, so they are re-checked as a route search
+  async verify(ctx, { origin, destination }, deal) {
+    return findLowestPrice(ctx, origin, destination, deal);
+  },
+
+  parseCard,
+  parseCardDates
+};
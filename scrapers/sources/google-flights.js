@@ -0,0 +1,96 @@
+/**
+ * Google Flights search source
+ * Looks up the lowest round-trip price for a route on each itinerary in
+ * ctx.itineraries and returns the cheapest combination with its exact dates
+ */
+
+const { getGoogleParams, getDollarCurrency, parsePrice } = require('../markets');
+
+const SELECTORS = {
+  prices: 'span[data-gs], .gws-flights-results__price, [aria-label*="$"]'
+};
+
+/**
+ * Load a dated search and return the lowest price shown ({ amount, currency }), or null
+ */
+async function findLowestPrice({ page, loadPage, diagnostics, market }, origin, destination, itinerary) {
+  const query = `Flights from ${origin.code} to ${destination.code} on ${itinerary.departDate} through ${itinerary.returnDate}`;
+  const searchUrl = `https://www.google.com/travel/flights?q=${encodeURIComponent(query)}&${getGoogleParams(market)}`;
+
+  await loadPage(searchUrl, { timeout: 20000, settleMs: 2000 }); // Let prices load
+
+  const priceElements = await page.$$(SELECTORS.prices);
+  diagnostics.candidates += priceElements.length;
+
+  let lowestPrice = null;
+  for (const el of priceElements) {
+    const price = parsePrice(await el.textContent(), getDollarCurrency(market));
+    if (price) {
+      diagnostics.prices.push(price.amount);
+      if (!lowestPrice || price.amount < lowestPrice.amount) {
+        lowestPrice = price;
+      }
+    }
+  }
+
+  return lowestPrice;
+}
+
+module.exports = {
+  name: 'Google Flights',
+  type: 'flights',
+  scope: 'route',
+  priority: 10,
+  rateLimit: { delayMs: 1000, jitterMs: 1000, maxRetries: 2 },
+  health: { selectors: Object.values(SELECTORS), canary: { origin: 'JFK', destination: 'LIS' } },
+
+  async search(ctx, { origin, destination }) {
+    const { itineraries, deadline, throttle } = ctx;
+    let cheapest = null;
+    let searched = 0;
+
+    for (const itinerary of itineraries) {
+      // Stay within the run-time budget, but always check at least one itinerary
+      if (searched > 0 && deadline && Date.now() > deadline) break;
+
+      if (searched > 0) await throttle();
+
+      try {
+        const price = await findLowestPrice(ctx, origin, destination, itinerary);
+        if (price && (!cheapest || price.amount < cheapest.price.amount)) {
+          cheapest = { price, itinerary };
+        }
+      } catch (error) {
+        // One bad date combination shouldn't lose the rest of the route
+        if (itineraries.length === 1) throw error;
+        console.error(`    ${itinerary.departDate} → ${itinerary.returnDate} failed:`, error.message);
+      }
+      searched++;
+    }
+
+    if (!cheapest) return [];
+
+    return [{
+      origin: origin.code,
+      originName: origin.name,
+      destination: destination.code,
+      destinationName: destination.name,
+      destinationCountry: destination.country,
+      price: Math.round(cheapest.price.amount),
+      currency: cheapest.price.currency,
+      departDate: cheapest.itinerary.departDate,
+      returnDate: cheapest.itinerary.returnDate,
+      tripLength: cheapest.itinerary.tripLength,
+      datesSearched: searched,
+      source: 'Google Flights',
+      scrapedAt: new Date().toISOString()
+    }];
+  },
+
+  // Re-check the deal's exact dates
+  async verify(ctx, { origin, destination }, deal) {
+    return findLowestPrice(ctx, origin, destination, deal);
+  },
+
+  findLowestPrice
+};
@@ -0,0 +1,179 @@
+/**
+ * Google Hotels source
+ * Reads hotel cards (name, price, "Usually $X" label, rating) for a destination and stay
+ */
+
+const { format, addDays, addMonths, differenceInCalendarDays, parseISO } = require('date-fns');
+const { buildStayPrice } = require('../hotel-pricing');
+const { MONEY_PATTERN, getGoogleParams, getDollarCurrency, parsePrice } = require('../markets');
+const { namesMatch } = require('../hotel-identity');
+
+const SELECTORS = {
+  cards: '[data-ved] [role="listitem"], .K1smNd, [jsname="mutHjb"]',
+  name: 'h2, [role="heading"], .QT7m7'
+};
+
+// Searched stay: 2 months out, 3 nights
+const STAY_NIGHTS = 3;
+const STAY_MONTHS_OUT = 2;
+
+// Cards turned into deals per search (verify() looks through all of them)
+const MAX_DEALS = 15;
+
+const MONEY = `(${MONEY_PATTERN})`;
+const PRICE_PATTERNS = {
+  total: new RegExp(`${MONEY}\\s*total`, 'i'),
+  withTaxes: new RegExp(`${MONEY}\\s*(?:incl\\.?|including|with)\\s*taxes`, 'i'),
+  extraTaxes: new RegExp(`\\+\\s*${MONEY}\\s*(?:in\\s*)?taxes`, 'i'),
+  usually: new RegExp(`(?:usually|was)\\s*${MONEY}`, 'i')
+};
+
+/**
+ * Read a card's price: the nightly rate before taxes, plus "$X incl. taxes & fees",
+ * "+$X taxes & fees" (per night) or "$X total" (whole stay, with taxes) when shown
+ *
+ * @param {string} dollarCurrency - currency a bare "$" means on this market's pages
+ * @returns {Object|null} price fields from buildStayPrice() plus currency, or null without a price
+ */
+function parseCardPrice(cardText, nights, dollarCurrency = 'USD') {
+  const read = pattern => {
+    const match = cardText.match(pattern);
+    return match ? parsePrice(match[1], dollarCurrency) : null;
+  };
+  const total = read(PRICE_PATTERNS.total);
+  const withTaxes = read(PRICE_PATTERNS.withTaxes);
+  const extraTaxes = read(PRICE_PATTERNS.extraTaxes);
+
+  // The nightly rate is the first price that isn't a usual, total or tax figure
+  const nightlyText = Object.values(PRICE_PATTERNS)
+    .reduce((text, pattern) => text.replace(new RegExp(pattern.source, 'gi'), ''), cardText);
+  const nightly = parsePrice(nightlyText, dollarCurrency);
+
+  const stayWithTaxes = total ? total.amount : (withTaxes ? withTaxes.amount * nights : null);
+
+  let price = null;
+  if (nightly) {
+    let taxesAndFees = null;
+    if (stayWithTaxes !== null && stayWithTaxes >= nightly.amount * nights) {
+      taxesAndFees = Math.round(stayWithTaxes - nightly.amount * nights);
+    } else if (extraTaxes) {
+      taxesAndFees = Math.round(extraTaxes.amount * nights);
+    }
+    price = { ...buildStayPrice({ amount: nightly.amount, per: 'nightly', taxesAndFees, nights }), currency: nightly.currency };
+  } else if (total) {
+    price = { ...buildStayPrice({ amount: total.amount, per: 'total', taxesIncluded: true, nights }), currency: total.currency };
+  } else if (withTaxes) {
+    price = { ...buildStayPrice({ amount: withTaxes.amount, per: 'nightly', taxesIncluded: true, nights }), currency: withTaxes.currency };
+  }
+  return price;
+}
+
+/**
+ * The "Usually $X" / "Was $X" price on a card, or null
+ */
+function parseUsualPrice(cardText, dollarCurrency = 'USD') {
+  const match = cardText.match(PRICE_PATTERNS.usually);
+  return match ? Math.round(parsePrice(match[1], dollarCurrency).amount) : null;
+}
+
+/**
+ * The stay searched for new deals
+ */
+function getDefaultStay(today = new Date()) {
+  const checkinDate = addMonths(today, STAY_MONTHS_OUT);
+  return {
+    checkinDate: format(checkinDate, 'yyyy-MM-dd'),
+    checkoutDate: format(addDays(checkinDate, STAY_NIGHTS), 'yyyy-MM-dd'),
+    nights: STAY_NIGHTS
+  };
+}
+
+/**
+ * Load the hotel cards for a destination and stay
+ *
+ * @param {Object} stay - { checkinDate, checkoutDate, nights } (yyyy-MM-dd dates)
+ * @returns {Promise<Array<{ hotelName, price, originalPrice, rating }>>} every card; price is null when it shows none
+ */
+async function searchStay({ page, loadPage, diagnostics, market }, destination, stay) {
+  const searchUrl = `https://www.google.com/travel/hotels/${encodeURIComponent(destination.searchTerm)}?q=${encodeURIComponent(destination.searchTerm + ' hotels')}&g2lb=4814050,4874190,4893075,4965990,4969803,72277293,72302247,72317059,72406588,72414906,72421566,72471280,72472051,72481459,72485658,72499705,72513513,72536387,72538597,72549171,72560029,72570850,72592643&${getGoogleParams(market)}&checkin=${stay.checkinDate}&checkout=${stay.checkoutDate}&cs=1&ssta=1&ap=MAFoAQ`;
+
+  await loadPage(searchUrl, { timeout: 20000, settleMs: 2500 }); // Let hotel cards load
+
+  // Google Hotels shows "Usually $X" with current price
+  const hotelCards = await page.$$(SELECTORS.cards);
+  diagnostics.candidates += hotelCards.length;
+
+  console.log(`  ${destination.name}: found ${hotelCards.length} hotel cards`);
+
+  const cards = [];
+  for (const card of hotelCards) {
+    try {
+      const cardText = await card.textContent();
+
+      const nameElement = await card.$(SELECTORS.name);
+      const hotelName = nameElement ? (await nameElement.textContent()).trim() : null;
+
+      // Look for current price, with taxes/fees or the stay total when the card shows them
+      const price = parseCardPrice(cardText, stay.nights, getDollarCurrency(market));
+
+      // Look for rating
+      const ratingMatch = cardText.match(/(\d\.\d)\s*(?:star|★|\()/);
+
+      cards.push({
+        hotelName: hotelName || null,
+        price,
+        originalPrice: parseUsualPrice(cardText, getDollarCurrency(market)), // "Usually" or "was" price (indicates discount)
+        rating: ratingMatch ? parseFloat(ratingMatch[1]) : null
+      });
+    } catch (e) {
+      continue; // Skip this card if parsing fails
+    }
+  }
+  return cards;
+}
+
+module.exports = {
+  name: 'Google Hotels',
+  type: 'hotels',
+  scope: 'destination',
+  priority: 10,
+  rateLimit: { delayMs: 1500, jitterMs: 1000, maxRetries: 2 },
+  health: { selectors: Object.values(SELECTORS), canary: { destination: 'LIS' } },
+
+  async search(ctx, { destination }) {
+    const stay = getDefaultStay();
+    const cards = (await searchStay(ctx, destination, stay)).filter(card => card.price).slice(0, MAX_DEALS);
+
+    return cards.map(({ hotelName, price, originalPrice, rating }) => {
+      ctx.diagnostics.prices.push(price.pricePerNight);
+      return {
+        hotelName,
+        location: destination.name,
+        country: destination.country,
+        ...price,
+        originalPrice,
+        rating,
+        ...stay,
+        source: 'Google Hotels',
+        scrapedAt: new Date().toISOString()
+      };
+    });
+  },
+
+  // Search the deal's own stay again and look for the same hotel: listed without a price
+  // means it's gone for those dates; not listed at all can't tell (kept as unverifiable)
+  async verify(ctx, { destination }, deal) {
+    if (!deal.checkinDate || !deal.checkoutDate) return undefined;
+    const stay = {
+      checkinDate: deal.checkinDate,
+      checkoutDate: deal.checkoutDate,
+      nights: deal.nights || differenceInCalendarDays(parseISO(deal.checkoutDate), parseISO(deal.checkinDate))
+    };
+
+    const match = (await searchStay(ctx, destination, stay)).find(card => card.hotelName && namesMatch(card.hotelName, deal.hotelName));
+    if (!match) return undefined;
+    return match.price ? { amount: match.price.pricePerNight, currency: match.price.currency } : null;
+  },
+
+  parseCardPrice
+};
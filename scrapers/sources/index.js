@@ -0,0 +1,290 @@
+/**
+ * Deal Source Registry
+ *
+ * Every module in this folder (except this one) is a deal source adapter.
+ * Adding a new source means dropping a module in here that exports:
+ *
+ *   {
+ *     name: 'Google Flights',            // Shown in logs and stored as deal.source
+ *     type: 'flights' | 'hotels',
+ *     scope: 'route' | 'origin' | 'destination' | 'global',
+ *                                        // What search() is called with:
+ *                                        //   route       -> { origin, destination }
+ *                                        //   origin      -> { origin }
+ *                                        //   destination -> { destination }
+ *                                        //   global      -> {} (once per run)
+ *     priority: 10,                      // Lower runs first (default 100)
+ *     needsBrowser: true,                // ctx.page is only provided to browser sources
+ *     rateLimit: { delayMs, jitterMs, maxDelayMs, maxRetries, maxTargets },
+ *                                        // delayMs is the minimum spacing between requests;
+ *                                        // it backs off up to maxDelayMs after failures
+ *     health: { selectors: [...],        // What the source depends on, for health checks
+ *               canary: { origin, destination } },
+ *                                        // Known search `npm run canary` checks (route codes)
+ *     isEnabled(ctx),                    // Optional: skip the source for this run
+ *     async search(ctx, target)          // Returns an array of normalized deals
+ *     async verify(ctx, target, deal)    // Optional: re-check one deal before publishing, returning
+ *                                        // its current { amount, currency }, null if it's gone, or
+ *                                        // undefined when the search can't tell (e.g. not listed)
+ *   }
+ *
+ * ctx is { page, loadPage, priceHistory, dayOfWeek, throttle, diagnostics, artifacts, pageMode, market };
+ * flight runs add { itineraries, deadline } (the dates to check per route and the run-time
+ * budget cut-off). ctx.market is the reader market (see markets.js): searches use its
+ * Google parameters, and deals carry the `currency` their prices were shown in. Sources load pages with `await ctx.loadPage(url, { timeout, settleMs })`
+ * rather than page.goto(), so searches can be recorded and replayed offline (see
+ * page-fixtures.js). Sources that load several pages per search should
+ * `await ctx.throttle()` before each extra load.
+ * Sources add the number of candidate elements they matched to diagnostics.candidates
+ * and every raw price they read to diagnostics.prices, for the run report. When a search
+ * throws or returns nothing, runSource() saves the page and the counts for health.selectors
+ * through ctx.artifacts (see debug-artifacts.js). Flight deals are normalized to
+ * { origin, originName, destination, destinationName, destinationCountry, price,
+ *   departDate, returnDate, tripLength, source, scrapedAt }, hotel deals to
+ * { hotelName, location, country, pricePerNight, originalPrice, rating,
+ *   checkinDate, checkoutDate, nights, source, scrapedAt }, plus the stay price fields
+ * from buildStayPrice() in hotel-pricing.js when the source knows the stay. Pricing against
+ * baselines and affiliate links are applied by the scrapers, not the sources; runSource()
+ * cleans the scraped text fields (cleanDealText() in sanitize.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createRateLimiter } = require('../rate-limiter');
+const { createPageLoader, FIXTURE_CONFIG } = require('../page-fixtures');
+const { getMarket } = require('../markets');
+const { cleanDealText } = require('../sanitize');
+
+const SOURCE_TYPES = ['flights', 'hotels'];
+const SOURCE_SCOPES = ['route', 'origin', 'destination', 'global'];
+
+const sources = [];
+
+// Runtime health per source name, updated by runSource()
+const sourceStatus = {};
+
+// One limiter per source, shared by every worker searching it
+const rateLimiters = {};
+
+const RATE_LIMIT_DEFAULTS = { delayMs: 1000, jitterMs: 1000, maxDelayMs: 30000, maxRetries: 1 };
+
+/**
+ * Register a source adapter after checking it implements the contract
+ */
+function registerSource(source) {
+  if (!source || typeof source.name !== 'string') {
+    throw new Error('Invalid deal source: missing name');
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    throw new Error(`Invalid deal source ${source.name}: type must be one of ${SOURCE_TYPES.join(', ')}`);
+  }
+  if (!SOURCE_SCOPES.includes(source.scope)) {
+    throw new Error(`Invalid deal source ${source.name}: scope must be one of ${SOURCE_SCOPES.join(', ')}`);
+  }
+  if (typeof source.search !== 'function') {
+    throw new Error(`Invalid deal source ${source.name}: search() is required`);
+  }
+  if (sources.some(s => s.name === source.name)) {
+    throw new Error(`Duplicate deal source: ${source.name}`);
+  }
+
+  const registered = {
+    priority: 100,
+    needsBrowser: true,
+    health: { selectors: [] },
+    ...source,
+    rateLimit: { ...RATE_LIMIT_DEFAULTS, ...source.rateLimit }
+  };
+  sources.push(registered);
+
+  rateLimiters[source.name] = createRateLimiter({
+    minDelayMs: registered.rateLimit.delayMs,
+    maxDelayMs: registered.rateLimit.maxDelayMs,
+    jitterMs: registered.rateLimit.jitterMs
+  });
+
+  sourceStatus[source.name] = {
+    lastRunAt: null,
+    lastSuccessAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    lastDealCount: 0,
+    currentDelayMs: registered.rateLimit.delayMs
+  };
+}
+
+/**
+ * Registered sources of a type, in priority order
+ */
+function getSources(type) {
+  return sources
+    .filter(s => s.type === type)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Build the list of search targets for a source from today's origins/destinations
+ */
+function getTargets(source, { origins = [], destinations = [] }) {
+  let targets;
+
+  if (source.scope === 'route') {
+    targets = [];
+    for (const origin of origins) {
+      for (const destination of destinations) {
+        targets.push({ origin, destination });
+      }
+    }
+  } else if (source.scope === 'origin') {
+    targets = origins.map(origin => ({ origin }));
+  } else if (source.scope === 'destination') {
+    targets = destinations.map(destination => ({ destination }));
+  } else {
+    targets = [{}];
+  }
+
+  return source.rateLimit.maxTargets ? targets.slice(0, source.rateLimit.maxTargets) : targets;
+}
+
+/**
+ * Human-readable label for a target, used in logs
+ */
+function describeTarget(target) {
+  const name = place => place.code || place.name;
+  if (target.origin && target.destination) return `${name(target.origin)} → ${name(target.destination)}`;
+  if (target.origin) return `from ${name(target.origin)}`;
+  if (target.destination) return name(target.destination);
+  return 'all';
+}
+
+function isTimeout(error) {
+  return error.name === 'TimeoutError' || /timeout/i.test(error.message);
+}
+
+/**
+ * Run one search through the source's shared rate limiter
+ * Timeouts, errors and empty results back the limiter off and are retried up to
+ * rateLimit.maxRetries times; successes let it speed up again.
+ * Errors are logged and recorded, never thrown, so one broken source can't stop a run
+ *
+ * @param {Object} outcome - filled with { status, attempts, elapsedMs, candidates, prices, error, artifacts }
+ *                           for the last attempt (see run-report.js)
+ */
+async function runSource(source, ctx, target, outcome = {}) {
+  const status = sourceStatus[source.name];
+  const limiter = rateLimiters[source.name];
+  const maxAttempts = 1 + source.rateLimit.maxRetries;
+  const startedAt = Date.now();
+  status.lastRunAt = new Date().toISOString();
+
+  let deals = [];
+  // Replays never touch the sites, so there is nothing to be polite to
+  const pageMode = ctx.pageMode || FIXTURE_CONFIG.mode;
+  const replaying = pageMode === 'replay';
+  const throttle = replaying ? async () => {} : () => limiter.wait();
+  const market = ctx.market || getMarket();
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    await throttle();
+
+    const diagnostics = { candidates: 0, prices: [] };
+    const loadPage = ctx.page
+      ? createPageLoader(ctx.page, { source: source.name, route: describeTarget(target), mode: pageMode })
+      : null;
+    outcome.attempts = attempt;
+    let failure = null;
+
+    try {
+      // Scraped names are cleaned here, before anything else sees them (see sanitize.js)
+      deals = (await source.search({ ...ctx, market, loadPage, throttle, diagnostics }, target)).map(cleanDealText);
+      status.lastSuccessAt = new Date().toISOString();
+      status.lastError = null;
+      status.consecutiveFailures = 0;
+      Object.assign(outcome, diagnostics, { status: deals.length > 0 ? 'ok' : 'empty', error: null });
+
+      if (deals.length > 0) {
+        limiter.reportSuccess();
+        break;
+      }
+      limiter.reportFailure();
+      failure = { attempt };
+    } catch (error) {
+      const kind = isTimeout(error) ? 'Timeout' : 'Error';
+      console.error(`${kind} in ${source.name} (${describeTarget(target)}), attempt ${attempt}/${maxAttempts}:`, error.message);
+      status.lastError = error.message;
+      status.consecutiveFailures++;
+      Object.assign(outcome, diagnostics, { status: kind.toLowerCase(), error: error.message });
+      limiter.reportFailure();
+      failure = { attempt, error };
+    }
+
+    if (failure && ctx.artifacts && ctx.page) {
+      outcome.artifacts = await ctx.artifacts.capture(ctx.page, {
+        route: describeTarget(target),
+        source: source.name,
+        selectors: source.health.selectors,
+        ...failure
+      });
+    }
+  }
+
+  outcome.elapsedMs = Date.now() - startedAt;
+  status.lastDealCount = deals.length;
+  status.currentDelayMs = Math.round(limiter.getDelay());
+
+  return deals;
+}
+
+/**
+ * Re-check one deal through its source's verify() hook, spaced by the source's rate limiter
+ * Errors are returned, not thrown, so one failed check can't stop the verify pass
+ *
+ * @returns {Promise<{ price: { amount, currency } | null | undefined, error: Error | null }>}
+ */
+async function verifyWithSource(source, ctx, target, deal) {
+  const limiter = rateLimiters[source.name];
+  const pageMode = ctx.pageMode || FIXTURE_CONFIG.mode;
+  const throttle = pageMode === 'replay' ? async () => {} : () => limiter.wait();
+  const loadPage = ctx.page
+    ? createPageLoader(ctx.page, { source: source.name, route: describeTarget(target), mode: pageMode })
+    : null;
+
+  await throttle();
+  try {
+    const price = await source.verify({
+      ...ctx,
+      market: ctx.market || getMarket(),
+      loadPage,
+      throttle,
+      diagnostics: { candidates: 0, prices: [] }
+    }, target, deal);
+    limiter.reportSuccess();
+    return { price, error: null };
+  } catch (error) {
+    limiter.reportFailure();
+    return { price: null, error };
+  }
+}
+
+/**
+ * Snapshot of runtime health for all sources
+ */
+function getSourceStatus() {
+  return JSON.parse(JSON.stringify(sourceStatus));
+}
+
+// Load every adapter module in this folder
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach(file => registerSource(require(path.join(__dirname, file))));
+
+module.exports = {
+  registerSource,
+  getSources,
+  getTargets,
+  describeTarget,
+  runSource,
+  verifyWithSource,
+  getSourceStatus
+};
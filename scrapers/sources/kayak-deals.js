@@ -0,0 +1,95 @@
+/**
+ * Kayak deals page source
+ * Picks up hotel flash sales that already advertise a discount
+ *
+ * Cards read like "Hotel Riu Plaza, New York · Dec 18 – 21 · $129/night · 42% off":
+ * the hotel and city come from the first part, the stay from the date range when shown.
+ */
+
+const { differenceInCalendarDays, parseISO } = require('date-fns');
+const { parsePrice } = require('../markets');
+const { resolveCity } = require('../gazetteer');
+const { parseCardDates } = require('./google-flights-explore');
+
+const SELECTORS = {
+  cards: '[data-resultid], .resultWrapper'
+};
+
+// Smallest advertised discount worth posting
+const MIN_DISCOUNT_PERCENT = 30;
+
+/**
+ * Read a deal card into a hotel deal, or null when it isn't a named hotel with a price
+ * and a big enough discount
+ */
+function parseDealCard(text, today = new Date()) {
+  const price = parsePrice(text);
+  const discountMatch = text.match(/(\d+)%\s*off/i);
+  if (!price || !discountMatch || parseInt(discountMatch[1]) < MIN_DISCOUNT_PERCENT) return null;
+
+  // "Hotel name, City" - the city is after the last comma
+  const nameMatch = text.split(/\s*[·|]\s*/)[0].match(/^(.+),\s*([^,]+)$/);
+  if (!nameMatch) return null;
+  const location = nameMatch[2].trim();
+  const city = resolveCity(location);
+
+  const percentOff = parseInt(discountMatch[1]);
+  const pricePerNight = Math.round(price.amount);
+  const dates = parseCardDates(text, today);
+
+  return {
+    hotelName: nameMatch[1].trim(),
+    location: city ? city.name : location,
+    country: city ? city.country : null,
+    pricePerNight,
+    currency: price.currency,
+    // The price before the advertised discount, used as the baseline when pricing
+    originalPrice: Math.round(pricePerNight / (1 - percentOff / 100)),
+    percentOff,
+    ...(dates ? {
+      checkinDate: dates.departDate,
+      checkoutDate: dates.returnDate,
+      nights: differenceInCalendarDays(parseISO(dates.returnDate), parseISO(dates.departDate))
+    } : {}),
+    source: 'Kayak Deals',
+    scrapedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  name: 'Kayak Deals',
+  type: 'hotels',
+  scope: 'global',
+  priority: 50,
+  rateLimit: { delayMs: 0, jitterMs: 0, maxRetries: 1 },
+  health: { selectors: Object.values(SELECTORS), canary: {} },
+
+  // Only on weekends, when the run has more time
+  isEnabled: ({ dayOfWeek }) => dayOfWeek === 0 || dayOfWeek === 6,
+
+  async search({ page, loadPage, diagnostics }) {
+    const deals = [];
+
+    await loadPage('https://www.kayak.com/deals', { timeout: 15000, settleMs: 2000 });
+
+    const dealCards = await page.$$(SELECTORS.cards);
+    diagnostics.candidates += dealCards.length;
+
+    for (const card of dealCards.slice(0, 10)) {
+      try {
+        const text = await card.textContent();
+        const price = parsePrice(text);
+        if (price) diagnostics.prices.push(price.amount);
+
+        const deal = parseDealCard(text);
+        if (deal) deals.push(deal);
+      } catch (e) {
+        continue;
+      }
+    }
+
+    return deals;
+  },
+
+  parseDealCard
+};
@@ -0,0 +1,197 @@
+/**
+ * Deal RSS feed source
+ * Reads deal feeds (Secret Flying, The Flight Deal, ...) and parses item
+ * titles/descriptions into our flight deal schema
+ *
+ * Feeds are listed in config/deal-feeds.json (override with DEAL_FEEDS_CONFIG).
+ * A feed url can be a saved XML file, so parsing can be checked offline:
+ *   node scrapers/sources/rss-feeds.js path/to/feed.xml
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Parser = require('rss-parser');
+const { differenceInCalendarDays } = require('date-fns');
+const { resolveCity } = require('../gazetteer');
+const { MONEY_PATTERN, parsePrice } = require('../markets');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const DEFAULT_FEEDS_CONFIG = path.join(ROOT_DIR, 'config', 'deal-feeds.json');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Title formats seen on deal feeds, each capturing origin, destination and price
+const TITLE_PATTERNS = [
+  // "Non-stop from New York to Lisbon, Portugal for only $356 roundtrip"
+  { regex: new RegExp(`^(?:non-?stop\\s+)?(?:from\\s+)?(.+?)\\s+to\\s+(.+?)\\s+for\\s+(?:only\\s+)?(${MONEY_PATTERN})`, 'i'), origin: 1, destination: 2, price: 3 },
+  // "United – $356: New York – Lisbon, Portugal. Roundtrip, including all Taxes"
+  { regex: new RegExp(`(${MONEY_PATTERN})\\s*:\\s*(.+?)\\s+[–—-]\\s+(.+?)(?:\\.\\s|\\.$|$)`), origin: 2, destination: 3, price: 1 }
+];
+
+function loadFeedsConfig() {
+  const configPath = process.env.DEAL_FEEDS_CONFIG || DEFAULT_FEEDS_CONFIG;
+  return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+/**
+ * Fetch and parse a feed; local file paths are read from disk
+ */
+async function readFeed(feed) {
+  const parser = new Parser();
+
+  if (/^https?:\/\//i.test(feed.url)) {
+    return parser.parseURL(feed.url);
+  }
+
+  const filePath = path.resolve(ROOT_DIR, feed.url);
+  return parser.parseString(fs.readFileSync(filePath, 'utf8'));
+}
+
+function toIsoDate(year, monthIndex, day) {
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Pull explicit travel dates out of free text
+ * Understands "2026-12-03", "Dec 3, 2026" and "3 December 2026"
+ */
+function extractDates(text) {
+  const dates = [];
+
+  for (const match of text.matchAll(/\b(20\d{2})-(\d{2})-(\d{2})\b/g)) {
+    dates.push(`${match[1]}-${match[2]}-${match[3]}`);
+  }
+
+  const monthName = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+  for (const match of text.matchAll(new RegExp(`\\b${monthName}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(20\\d{2})\\b`, 'gi'))) {
+    dates.push(toIsoDate(match[3], MONTHS.indexOf(match[1].toLowerCase()), parseInt(match[2])));
+  }
+  for (const match of text.matchAll(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${monthName},?\\s+(20\\d{2})\\b`, 'gi'))) {
+    dates.push(toIsoDate(match[3], MONTHS.indexOf(match[2].toLowerCase()), parseInt(match[1])));
+  }
+
+  return [...new Set(dates)].sort();
+}
+
+/**
+ * Parse one feed item into a flight deal, or null if it isn't a usable round-trip deal
+ */
+function parseFeedItem(item, feed) {
+  const title = (item.title || '').trim();
+  const description = (item.contentSnippet || item.content || '').trim();
+
+  if (/one[\s-]?way/i.test(title)) return null;
+
+  for (const pattern of TITLE_PATTERNS) {
+    const match = title.match(pattern.regex);
+    if (!match) continue;
+
+    // "New York / Boston to ..." lists several origins; the first one is the headline
+    const origin = resolveCity(match[pattern.origin].split(/\s*(?:\/|&|\band\b)\s*/)[0]);
+    const destination = resolveCity(match[pattern.destination]);
+    const price = parsePrice(match[pattern.price], feed.currency);
+    if (!origin || !destination) return null;
+
+    const deal = {
+      origin: origin.code,
+      originName: origin.name,
+      destination: destination.code,
+      destinationName: destination.name,
+      destinationCountry: destination.country,
+      price: Math.round(price.amount),
+      currency: price.currency,
+      source: feed.name,
+      sourceLink: item.link || null,
+      publishedAt: item.isoDate || null,
+      scrapedAt: new Date().toISOString()
+    };
+
+    // Only use dates when the post names a specific itinerary
+    const [departDate, returnDate] = extractDates(`${title} ${description}`);
+    if (departDate && returnDate) {
+      const nights = differenceInCalendarDays(new Date(returnDate), new Date(departDate));
+      if (nights > 0 && nights <= 60) {
+        deal.departDate = departDate;
+        deal.returnDate = returnDate;
+        deal.tripLength = `${nights} days`;
+      }
+    }
+
+    return deal;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a whole feed, skipping items older than maxAgeDays
+ */
+async function parseFeed(feed, maxAgeDays, diagnostics = { candidates: 0, prices: [] }) {
+  const parsed = await readFeed(feed);
+  const cutoff = maxAgeDays ? new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000) : null;
+
+  const items = (parsed.items || []).filter(item => !cutoff || !item.isoDate || new Date(item.isoDate) > cutoff);
+  const deals = items.map(item => parseFeedItem(item, feed)).filter(Boolean);
+
+  diagnostics.candidates += items.length;
+  diagnostics.prices.push(...deals.map(deal => deal.price));
+
+  return deals;
+}
+
+module.exports = {
+  name: 'Deal RSS Feeds',
+  type: 'flights',
+  scope: 'global',
+  priority: 30,
+  needsBrowser: false,
+  rateLimit: { delayMs: 0, jitterMs: 0, maxRetries: 0 }, // Empty feeds are normal
+  health: { selectors: [] },
+
+  async search({ diagnostics }) {
+    const config = loadFeedsConfig();
+    let deals = [];
+
+    for (const feed of config.feeds) {
+      try {
+        const feedDeals = await parseFeed(feed, config.maxAgeDays, diagnostics);
+        console.log(`  ${feed.name}: ${feedDeals.length} deals`);
+        deals = deals.concat(feedDeals);
+      } catch (error) {
+        console.error(`Error reading feed ${feed.name}:`, error.message);
+      }
+    }
+
+    return deals;
+  },
+
+  // A feed deal is live while its post is still in the feed
+  async verify(ctx, target, deal) {
+    const feed = loadFeedsConfig().feeds.find(f => f.name === deal.source);
+    if (!feed || !deal.sourceLink) {
+      throw new Error(`Can't re-check ${deal.source} deal without its feed and post link`);
+    }
+
+    const match = (await parseFeed(feed)).find(d => d.sourceLink === deal.sourceLink);
+    return match ? { amount: match.price, currency: match.currency } : null;
+  },
+
+  parseFeed,
+  parseFeedItem,
+  extractDates
+};
+
+// Run directly to parse saved feed files / URLs without the rest of the pipeline
+if (require.main === module) {
+  const feeds = process.argv.slice(2).map(url => ({ name: path.basename(url), url }));
+
+  Promise.all(feeds.map(feed => parseFeed(feed)))
+    .then(results => {
+      console.log(JSON.stringify(results.flat(), null, 2));
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('Error:', err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,1730 @@
+/**
+ * Scraper test suite
+ * Runs the source extraction code against saved pages in scrapers/fixtures/,
+ * served through replay mode (see page-fixtures.js), so nothing hits the live sites
+ *
+ * Usage:
+ *   npm test
+ *
+ * Page tests need Chromium (npx playwright install chromium) and are skipped without it.
+ * Re-record a page fixture with e.g.:
+ *   npm run scrape:flights -- --record --origin JFK --dest LIS
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { addDays } = require('date-fns');
+const { getSources, runSource, verifyWithSource } = require('./sources');
+const { parseFeed, parseFeedItem, extractDates } = require('./sources/rss-feeds');
+const { parseCard, parseCardDates } = require('./sources/google-flights-explore');
+const { createPageLoader, getFixturePath } = require('./page-fixtures');
+const { launchBrowser } = require('./browser');
+const { searchGetYourGuide, formatOutput } = require('../tools/gyg-link-generator');
+const { runCanary, checkSelectors, splitSelectorList } = require('./canary');
+const { createHotelResolver, namesMatch } = require('./hotel-identity');
+const { priceHotelDeal, linkHotelProperty } = require('./hotel-deals');
+const { priceFlightDeal } = require('./flight-deals');
+const { parseCardPrice } = require('./sources/google-hotels');
+const { parseDealCard } = require('./sources/kayak-deals');
+const { validateDeals, checkPriceBounds, buildRecentPrices, quarantineDeals } = require('./deal-validator');
+const { validateRecords, validateDealsDocument } = require('./deal-schema');
+const { HISTORY_CONFIG, recordObservation, loadPriceHistory, getBaseline, getFlightKeys, getHotelKeys } = require('./price-history');
+const { generateHotelDealsPost, generateFlightDealsPost, publishToWordPress } = require('../wordpress/post-generator');
+const { findPrices, getMarket, normalizeDealCurrency } = require('./markets');
+const { buildLink, encodeOnce, selectPartner } = require('./affiliates');
+const { buildCalculatorLinks, readCalculatorLinks, CALCULATOR_FILES } = require('../tools/calculator-links');
+const { checkLink, collectLinks, auditLinks } = require('./link-audit');
+const { renderTemplate, loadTemplates, listTemplateVersions } = require('../wordpress/templates');
+const { slugify, createTaxonomyResolver } = require('../wordpress/taxonomy');
+const { getMediaSlug, buildFeaturedImageHtml, renderFeaturedImage } = require('../wordpress/featured-image');
+const { cleanText, escapeAttribute, escapeMarkdown, safeUrl, cleanDealText } = require('./sanitize');
+const { applyVerification, isVerified } = require('./verify-deals');
+const { scoreDeal, scoreDeals } = require('./deal-scoring');
+const { mergeDeals, isSameHotel } = require('./deal-merge');
+const { planItineraries } = require('./date-matrix');
+const { loadRouteConfig, getRunSettings, selectFlightRoutes, selectHotelDestinations } = require('./route-config');
+const { parseCliOptions } = require('./cli-options');
+const { createRateLimiter } = require('./rate-limiter');
+const { runPool } = require('./worker-pool');
+const { createRunReport, renderMarkdown, writeRunReport } = require('./run-report');
+const { DEBUG_CONFIG, createArtifactStore, makeRunId } = require('./debug-artifacts');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const ITINERARY = { departDate: '2026-12-18', returnDate: '2026-12-25', nights: 7, tripLength: '7 days' };
+
+const JFK = { code: 'JFK', name: 'New York' };
+const LIS = { code: 'LIS', name: 'Lisbon', country: 'Portugal', searchTerm: 'Lisbon Portugal' };
+const PAR = { code: 'PAR', name: 'Paris', country: 'France' };
+
+const hasChromium = fs.existsSync(chromium.executablePath());
+const browserTest = hasChromium ? {} : { skip: 'Chromium not installed (npx playwright install chromium)' };
+
+function getSource(name) {
+  return getSources('flights').concat(getSources('hotels')).find(s => s.name === name);
+}
+
+describe('page fixtures', () => {
+  test('fixture paths are per source and route, numbered after the first load', () => {
+    assert.equal(getFixturePath('/f', 'Google Flights', 'JFK → LIS'), path.join('/f', 'google-flights', 'jfk-lis.html'));
+    assert.equal(getFixturePath('/f', 'Google Flights', 'JFK → LIS', 2), path.join('/f', 'google-flights', 'jfk-lis-2.html'));
+    assert.equal(getFixturePath('/f', 'Kayak Deals', 'all'), path.join('/f', 'kayak-deals', 'all.html'));
+  });
+
+  test('replay fails clearly when a fixture is missing', async () => {
+    const loadPage = createPageLoader({}, { source: 'Google Flights', route: 'JFK → XXX', mode: 'replay' });
+    await assert.rejects(loadPage('https://www.google.com/travel/flights'), /No page fixture for Google Flights \(JFK → XXX\)/);
+  });
+
+  test('unknown modes are rejected', () => {
+    assert.throws(() => createPageLoader({}, { source: 'x', route: 'y', mode: 'playback' }), /Unknown page mode/);
+  });
+});
+
+describe('selector canary', () => {
+  test('splits selector lists on top-level commas only', () => {
+    assert.deepEqual(
+      splitSelectorList('span[data-gs], [aria-label*="a, b"], .K1smNd'),
+      ['span[data-gs]', '[aria-label*="a, b"]', '.K1smNd']
+    );
+  });
+
+  test('a group fails only when none of its alternatives match', async () => {
+    const page = { $$: async selector => (selector === '.K1smNd' ? [1, 2] : []) };
+    const [hotels, names] = await checkSelectors(page, ['[jsname="mutHjb"], .K1smNd', 'h2, .QT7m7']);
+
+    assert.equal(hotels.matched, 2);
+    assert.deepEqual(hotels.alternatives, { '[jsname="mutHjb"]': 0, '.K1smNd': 2 });
+    assert.equal(names.matched, 0);
+  });
+
+  test('every source is healthy on its saved canary page', browserTest, async () => {
+    const report = await runCanary({ pageMode: 'replay' });
+
+    assert.deepEqual(report.sources.filter(s => !s.healthy).map(s => s.source), []);
+    assert.deepEqual(report.sources.map(s => s.source),
+      ['Google Flights', 'Google Flights Explore', 'Google Hotels', 'Kayak Deals', 'GetYourGuide']);
+  });
+});
+
+describe('deal RSS feeds', () => {
+  test('parses round-trip deals from a saved feed', async () => {
+    const deals = await parseFeed({ name: 'Test Feed', url: path.join(FIXTURES_DIR, 'feeds', 'deal-feed.xml') });
+
+    assert.equal(deals.length, 2); // One-way and non-deal items are skipped
+    assert.deepEqual(
+      deals.map(d => [d.origin, d.destination, d.price, d.departDate, d.returnDate]),
+      [
+        ['JFK', 'LIS', 356, '2027-01-14', '2027-01-21'],
+        ['ORD', 'ROM', 412, undefined, undefined]
+      ]
+    );
+    assert.equal(deals[0].destinationCountry, 'Portugal');
+    assert.equal(deals[0].sourceLink, 'https://example.com/nyc-lisbon');
+  });
+
+  test('undated posts stay undated but link to a default-itinerary search', async () => {
+    const defaultDir = HISTORY_CONFIG.dir;
+    HISTORY_CONFIG.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'feed-history-'));
+    try {
+      const deals = await parseFeed({ name: 'Test Feed', url: path.join(FIXTURES_DIR, 'feeds', 'deal-feed.xml') });
+      const priced = deals.map(deal => priceFlightDeal(deal, loadPriceHistory('flights'), createRunReport(), getMarket('US')));
+      const rome = priced.find(deal => deal.destination === 'ROM');
+
+      assert.equal(rome.departDate, undefined);
+      assert.match(rome.expediaLink, /leg1=from:ORD,to:ROM,departure:\d{2}\/\d{2}\/\d{4}TANYT&leg2=from:ROM,to:ORD,/);
+      assert.deepEqual(validateRecords('flights', priced).invalid, []);
+    } finally {
+      fs.rmSync(HISTORY_CONFIG.dir, { recursive: true, force: true });
+      HISTORY_CONFIG.dir = defaultDir;
+    }
+  });
+
+  test('extracts ISO and written dates', () => {
+    assert.deepEqual(extractDates('Fly 2027-02-03 back 3 March 2027'), ['2027-02-03', '2027-03-03']);
+    assert.deepEqual(extractDates('Dec 3, 2026 - Dec 10th, 2026'), ['2026-12-03', '2026-12-10']);
+  });
+});
+
+describe('Kayak deal cards', () => {
+  const today = new Date(2026, 9, 18);
+
+  test('a card becomes a named hotel deal with its city and stay that passes validation', () => {
+    const deal = parseDealCard('Hotel Riu Plaza, New York · Fri, Dec 18 – Mon, Dec 21 · $129/night · 42% off', today);
+
+    assert.deepEqual([deal.hotelName, deal.location, deal.country], ['Hotel Riu Plaza', 'New York', 'USA']);
+    assert.deepEqual([deal.checkinDate, deal.checkoutDate, deal.nights], ['2026-12-18', '2026-12-21', 3]);
+    assert.deepEqual([deal.pricePerNight, deal.originalPrice, deal.percentOff], [129, 222, 42]);
+    assert.equal(validateDeals('hotels', [deal]).rejected.length, 0);
+  });
+
+  test('cards without stay dates fail the hotel schema, so pricing drops them with a reason', () => {
+    const report = createRunReport();
+    const deal = parseDealCard('Hotel Riu Plaza, New York · $129/night · 42% off', today);
+
+    assert.equal(deal.checkinDate, undefined);
+    assert.equal(validateRecords('hotels', [deal], { repair: true }).invalid.length, 1);
+    assert.equal(priceHotelDeal(deal, loadPriceHistory('hotels'), report), null);
+    assert.deepEqual(report.finish({}).routes.map(r => [r.route, r.status]), [['New York', 'undated']]);
+  });
+
+  test('cards without a hotel and city, or with a small discount, are skipped', () => {
+    assert.equal(parseDealCard('Flash sale: Caribbean cruises · $499 · 50% off', today), null);
+    assert.equal(parseDealCard('Grand Hyatt, Cancun · $189/night · 18% off', today), null);
+  });
+});
+
+describe('Google Flights Explore cards', () => {
+  const today = new Date(2026, 9, 18);
+
+  test('infers the year of a card date range from today', () => {
+    assert.deepEqual(parseCardDates('Dec 3 – 10', today),
+      { departDate: '2026-12-03', returnDate: '2026-12-10', tripLength: '7 days' });
+    assert.deepEqual(parseCardDates('Fri, Dec 27 – Sun, Jan 5', today),
+      { departDate: '2026-12-27', returnDate: '2027-01-05', tripLength: '9 days' });
+    assert.equal(parseCardDates('Feb 2 – 9', today).departDate, '2027-02-02');
+    assert.equal(parseCardDates('Nonstop · 7 hr', today), null);
+  });
+
+  test('resolves the card city to an airport and country', () => {
+    const deal = parseCard('Reykjavík Nov 27 – Dec 1 $1,298 Nonstop · 5 hr', JFK, today);
+
+    assert.equal(deal.destination, 'KEF');
+    assert.equal(deal.destinationName, 'Reykjavik');
+    assert.equal(deal.destinationCountry, 'Iceland');
+    assert.equal(deal.price, 1298);
+    assert.equal(deal.departDate, '2026-11-27');
+    assert.equal(deal.returnDate, '2026-12-01');
+    assert.equal(deal.stops, 0);
+    assert.equal(parseCard('Lisbon Dec 3 – 10 $389 1 stop · 9 hr', JFK, today).stops, 1);
+    assert.equal(parseCard('Lisbon Dec 3 – 10 $389', JFK, today).stops, null);
+  });
+
+  test('skips cards for unknown cities, the origin itself and cards without a price', () => {
+    assert.equal(parseCard('Atlantis Jan 8 – 15 $199', JFK, today), null);
+    assert.equal(parseCard('New York Jan 8 – 15 $99', JFK, today), null);
+    assert.equal(parseCard('Show more destinations', JFK, today), null);
+  });
+});
+
+describe('hotel identity', () => {
+  let dir;
+  let overridesPath;
+  let cachePath;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotel-ids-'));
+    overridesPath = path.join(dir, 'overrides.json');
+    cachePath = path.join(dir, 'cache.json');
+    fs.writeFileSync(overridesPath, JSON.stringify({
+      hotels: [
+        { name: 'Hotel Avenida Palace', location: 'Lisbon', expediaId: '1001' },
+        { name: 'Lisbon Budget Inn', location: 'Lisbon', expediaId: null }
+      ]
+    }));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('matches names on their distinctive words', () => {
+    assert.ok(namesMatch('Avenida Palace', 'Hotel Avenida Palace'));
+    assert.ok(namesMatch('Hôtel Avenida Palace', 'Avenida Palace, Lisbon'));
+    assert.ok(!namesMatch('Avenida Palace', 'Avenida Suites'));
+    assert.ok(!namesMatch('Hotel', 'The Hotel'));
+  });
+
+  test('overrides win over lookups, and a null override is never linked', async () => {
+    const lookups = [];
+    const resolver = createHotelResolver({ overridesPath, cachePath, lookup: async name => lookups.push(name) && '9' });
+
+    assert.deepEqual(await resolver.resolve('hotel avenida palace', 'Lisbon'), { expediaId: '1001', source: 'override' });
+    assert.equal(await resolver.resolve('Lisbon Budget Inn', 'Lisbon'), null);
+    assert.deepEqual(lookups, []);
+  });
+
+  test('caches lookups and misses between runs', async () => {
+    const lookups = [];
+    const lookup = async name => {
+      lookups.push(name);
+      return name === 'Memmo Alfama' ? '2002' : null;
+    };
+
+    const first = createHotelResolver({ overridesPath, cachePath, lookup });
+    assert.deepEqual(await first.resolve('Memmo Alfama', 'Lisbon'), { expediaId: '2002', source: 'lookup' });
+    assert.equal(await first.resolve('Unknown Guesthouse', 'Lisbon'), null);
+    first.save();
+
+    const second = createHotelResolver({ overridesPath, cachePath, lookup });
+    assert.deepEqual(await second.resolve('Memmo Alfama', 'Lisbon'), { expediaId: '2002', source: 'cache' });
+    assert.equal(await second.resolve('Unknown Guesthouse', 'Lisbon'), null);
+    assert.deepEqual(lookups, ['Memmo Alfama', 'Unknown Guesthouse']); // The miss isn't retried yet
+  });
+
+  test('links resolved hotels to the property and flags the rest', async () => {
+    const resolver = createHotelResolver({ overridesPath, cachePath, lookup: null });
+    const stay = { location: 'Lisbon', checkinDate: '2026-12-18', checkoutDate: '2026-12-21' };
+
+    const resolved = await linkHotelProperty({ ...stay, hotelName: 'Hotel Avenida Palace' }, resolver);
+    assert.equal(resolved.specificHotel, true);
+    assert.equal(resolved.expediaHotelId, '1001');
+    assert.match(resolved.expediaDirectLink, /^https:\/\/www\.expedia\.com\/h1001\.Hotel-Information\?chkin=2026-12-18&chkout=2026-12-21&/);
+
+    const unresolved = await linkHotelProperty({ ...stay, hotelName: 'Hotel in Lisbon' }, resolver);
+    assert.equal(unresolved.specificHotel, false);
+    assert.equal(unresolved.expediaDirectLink, null);
+  });
+});
+
+describe('hotel stay pricing', () => {
+  test('separates base rate, taxes and stay total', () => {
+    assert.deepEqual(parseCardPrice('Hotel Avenida Palace $142 $165 incl. taxes & fees Usually $265', 3), {
+      pricePerNight: 142, baseRatePerNight: 142, taxesAndFees: 69, totalPrice: 495,
+      taxesIncluded: true, priceDisplayed: 'nightly-base', currency: 'USD'
+    });
+    assert.equal(parseCardPrice('$1,020 +$35 taxes & fees', 2).totalPrice, 2110);
+  });
+
+  test('a nightly rate without taxes has no tax-inclusive total', () => {
+    assert.deepEqual(parseCardPrice('Lisbon Budget Inn 3.9 ★ $58', 3), {
+      pricePerNight: 58, baseRatePerNight: 58, taxesAndFees: null, totalPrice: null,
+      taxesIncluded: false, priceDisplayed: 'nightly-base', currency: 'USD'
+    });
+  });
+
+  test('a stay total is split into a nightly price with taxes', () => {
+    assert.deepEqual(parseCardPrice('Alfama Guesthouse $330 total', 3), {
+      pricePerNight: 110, baseRatePerNight: null, taxesAndFees: null, totalPrice: 330,
+      taxesIncluded: true, priceDisplayed: 'total-with-taxes', currency: 'USD'
+    });
+    assert.equal(parseCardPrice('No prices available for your dates', 3), null);
+  });
+
+  test('the post only claims taxes are included when they are', () => {
+    const hotel = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', country: 'Portugal', nights: 3,
+      percentOff: 46, specificHotel: true, expediaDirectLink: 'https://www.expedia.com/h1001.Hotel-Information' };
+    const { content } = generateHotelDealsPost([
+      { ...hotel, ...parseCardPrice('$142 $165 incl. taxes & fees', 3) },
+      { ...hotel, hotelName: 'Lisbon Budget Inn', ...parseCardPrice('$58', 3) }
+    ]);
+
+    assert.match(content, /\$495 for 3 nights \(taxes and fees included\)/);
+    assert.match(content, /\$174 for 3 nights, before taxes and fees/);
+    assert.equal(content.match(/taxes and fees included/g).length, 1);
+  });
+
+  test('the stay total is labelled like the nightly price when the source gave no total', () => {
+    const hotel = { hotelName: 'Hotel Riu Plaza', location: 'New York', country: 'USA', nights: 3, percentOff: 42,
+      pricePerNight: 129, baseRatePerNight: null, taxesIncluded: true, totalPrice: null,
+      specificHotel: true, expediaDirectLink: 'https://www.expedia.com/h1002.Hotel-Information' };
+    const { content } = generateHotelDealsPost([hotel, { ...hotel, hotelName: 'Pod 51', taxesIncluded: undefined }]);
+
+    assert.match(content, /\$387 for 3 nights \(taxes and fees included\)/);
+    assert.match(content, /\$387 for 3 nights, before taxes and fees/);
+    assert.equal(content.match(/incl\. taxes and fees/g).length, 1);
+  });
+});
+
+describe('markets and currencies', () => {
+  test('parses prices in every market currency', () => {
+    assert.deepEqual(findPrices('$389 · £305 · C$1,234 · 1.234,56 € · CA$ 99'), [
+      { amount: 389, currency: 'USD' },
+      { amount: 305, currency: 'GBP' },
+      { amount: 1234, currency: 'CAD' },
+      { amount: 1234.56, currency: 'EUR' },
+      { amount: 99, currency: 'CAD' }
+    ]);
+    assert.deepEqual(findPrices('$412', 'CAD'), [{ amount: 412, currency: 'CAD' }]); // A bare $ on Canadian pages
+    assert.deepEqual(findPrices('4.6 ★ (1,203) · Nonstop 7 hr'), []);
+  });
+
+  test('converts deals to the reporting currency, keeping the local price', () => {
+    const deal = normalizeDealCurrency('hotels', { pricePerNight: 100, totalPrice: 330, originalPrice: null, currency: 'GBP' });
+
+    assert.deepEqual(deal, {
+      pricePerNight: 127, totalPrice: 419, originalPrice: null,
+      currency: 'USD', localCurrency: 'GBP', localPrice: 100, fxRate: 1.27
+    });
+    assert.equal(normalizeDealCurrency('flights', { price: 389 }).currency, 'USD');
+  });
+
+  test('links go to the market\'s Expedia site and point of sale', () => {
+    const { url: link } = buildLink('flight-search',
+      { origin: 'LHR', destination: 'LIS', departDate: '2026-12-18', returnDate: '2026-12-25' }, { market: getMarket('uk') });
+
+    assert.match(link, /^https:\/\/www\.expedia\.co\.uk\/Flights-Search\?/);
+    assert.match(link, /&AFFCID=UK\.DIRECT\.PHG\./);
+    assert.throws(() => getMarket('XX'), /Unknown market "XX"/);
+  });
+
+  test('feed titles in pounds are parsed with their currency', () => {
+    const deal = parseFeedItem({ title: 'London to Lisbon, Portugal for only £1,045 roundtrip' }, { name: 'UK Feed' });
+
+    assert.deepEqual([deal.origin, deal.destination, deal.price, deal.currency], ['LON', 'LIS', 1045, 'GBP']);
+  });
+});
+
+describe('affiliate links', () => {
+  const US = getMarket('US');
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', departDate: '2026-12-18', returnDate: '2026-12-25' };
+  const STAY = { destination: 'Lisbon Portugal', checkin: '2026-12-18', checkout: '2026-12-21' };
+
+  // Expected links use the default Expedia IDs and no other partner, whatever this machine's .env says
+  const PARTNER_ENV = ['EXPEDIA_PUBLISHER_ID', 'EXPEDIA_AFFILIATE_TAG', 'BOOKING_AFFILIATE_ID', 'SKYSCANNER_ASSOCIATE_ID', 'GYG_PARTNER_ID'];
+  const savedEnv = Object.fromEntries(PARTNER_ENV.map(key => [key, process.env[key]]));
+
+  before(() => {
+    for (const key of PARTNER_ENV) delete process.env[key];
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value !== undefined) process.env[key] = value;
+    }
+  });
+
+  function withEnv(env, fn) {
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      return fn();
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key]; else process.env[key] = value;
+      }
+    }
+  }
+
+  test('Expedia flight legs keep their separators literal', () => {
+    const { partner, url } = buildLink('flight-search', FLIGHT, { market: US });
+
+    assert.equal(partner, 'expedia');
+    assert.equal(url, 'https://www.expedia.com/Flights-Search?trip=roundtrip' +
+      '&leg1=from:JFK,to:LIS,departure:12/18/2026TANYT&leg2=from:LIS,to:JFK,departure:12/25/2026TANYT' +
+      '&passengers=adults:1&AFFCID=US.DIRECT.PHG.1011l387199.etravelogs');
+    assert.doesNotMatch(url, /%3A|%253A|%2C|%2F/i); // The double-encoding regression
+  });
+
+  test('query values are encoded exactly once', () => {
+    assert.equal(encodeOnce('São Paulo, Brazil'), 'S%C3%A3o%20Paulo%2C%20Brazil');
+    assert.equal(encodeOnce('Lisbon%20Portugal'), 'Lisbon%20Portugal');
+    assert.equal(encodeOnce('100% Hotels'), '100%25%20Hotels');
+
+    const { url } = buildLink('hotel-search', { ...STAY, destination: 'Lisbon%20Portugal' }, { market: US });
+    assert.match(url, /\?destination=Lisbon%20Portugal&startDate=12\/18\/2026&endDate=12\/21\/2026&/);
+    assert.doesNotMatch(url, /%25/);
+  });
+
+  test('property links need a numeric Expedia ID', () => {
+    const { url } = buildLink('property', { propertyId: '1001', checkin: '2026-12-18', checkout: '2026-12-21' }, { market: US });
+
+    assert.equal(url, 'https://www.expedia.com/h1001.Hotel-Information?chkin=2026-12-18&chkout=2026-12-21&rm1=a2&AFFCID=US.DIRECT.PHG.1011l387199.etravelogs');
+    assert.throws(() => buildLink('property', { propertyId: 'h1001', checkin: '2026-12-18', checkout: '2026-12-21' }), /numeric Expedia property ID/);
+    assert.throws(() => buildLink('flight-search', { ...FLIGHT, destination: 'Lisbon' }), /3-letter destination code/);
+  });
+
+  test('partners without credentials are skipped', () => {
+    const EU = getMarket('EU');
+    assert.equal(selectPartner('hotel-search', { market: EU }), 'expedia');
+
+    withEnv({ BOOKING_AFFILIATE_ID: '304142', SKYSCANNER_ASSOCIATE_ID: 'etravelogs' }, () => {
+      const { partner, url } = buildLink('hotel-search', STAY, { market: EU });
+      assert.equal(partner, 'booking');
+      assert.equal(url, 'https://www.booking.com/searchresults.html?ss=Lisbon%20Portugal&checkin=2026-12-18&checkout=2026-12-21' +
+        '&group_adults=2&no_rooms=1&selected_currency=EUR&lang=en-gb&aid=304142');
+
+      assert.equal(selectPartner('property', { market: EU }), 'expedia'); // Booking can't use Expedia IDs
+      assert.equal(selectPartner('flight-search', { market: US }), 'expedia');
+      assert.throws(() => buildLink('flight-search', FLIGHT, { partner: 'booking' }), /booking doesn't build them/);
+    });
+    assert.throws(() => buildLink('flight-search', FLIGHT, { partner: 'skyscanner' }), /SKYSCANNER_ASSOCIATE_ID/);
+  });
+
+  test('deal rules pick a partner for matching deals', () => {
+    const policy = {
+      default: { flights: ['expedia', 'skyscanner'] },
+      deals: [{ when: { type: 'flights', source: 'The Flight Deal' }, partners: ['skyscanner', 'expedia'] }]
+    };
+
+    withEnv({ SKYSCANNER_ASSOCIATE_ID: 'etravelogs' }, () => {
+      const { partner, url } = buildLink('flight-search', FLIGHT, { market: getMarket('UK'), policy, deal: { source: 'The Flight Deal' } });
+      assert.equal(partner, 'skyscanner');
+      assert.equal(url, 'https://www.skyscanner.net/transport/flights/jfk/lis/261218/261225/?adults=1&currency=GBP&associateid=etravelogs');
+      assert.equal(selectPartner('flight-search', { market: US, policy, deal: { source: 'Google Flights' } }), 'expedia');
+    });
+  });
+
+  test('activity links carry the GetYourGuide partner ID', () => {
+    const activity = { url: '/tokyo-l193/tokyo-tsukiji-fish-market-food-tour-t12345/' };
+
+    assert.equal(buildLink('activity', activity).url, 'https://www.getyourguide.com/tokyo-l193/tokyo-tsukiji-fish-market-food-tour-t12345/');
+    withEnv({ GYG_PARTNER_ID: 'ABC123' }, () => {
+      assert.match(buildLink('activity', activity).url, /t12345\/\?partner_id=ABC123$/);
+    });
+    assert.throws(() => buildLink('activity', { url: 'https://evil.example/activity/1' }), /getyourguide\.com/);
+  });
+
+  test('calculator pages carry the current landing links', () => {
+    const links = buildCalculatorLinks(US);
+
+    assert.equal(links.flights, 'https://www.expedia.com/Flights?AFFCID=US.DIRECT.PHG.1011l387199.etravelogs');
+    for (const file of CALCULATOR_FILES) {
+      assert.deepEqual(readCalculatorLinks(file), links, `${path.basename(file)} is out of date - run npm run calculator:links`);
+    }
+  });
+});
+
+describe('post templates', () => {
+  const NOW = new Date('2026-10-18T12:00:00Z');
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', originName: 'New York', destinationName: 'Lisbon', destinationCountry: 'Portugal',
+    price: 389, currency: 'USD', typicalPrice: 650, percentOff: 40, departDate: '2026-12-18', returnDate: '2026-12-25', tripLength: '7 days',
+    affiliateLink: buildLink('flight-search', { origin: 'JFK', destination: 'LIS', departDate: '2026-12-18', returnDate: '2026-12-25' }).url };
+  const HOTEL = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', country: 'Portugal', nights: 3, pricePerNight: 142,
+    currency: 'USD', percentOff: 46, specificHotel: true, expediaDirectLink: 'https://www.expedia.com/h1001.Hotel-Information' };
+
+  test('renders values, sections and partials', () => {
+    const template = [
+      '<h2>{{title}}</h2>',
+      '{{#deals}}',
+      '{{> card}}',
+      '{{/deals}}',
+      '{{^deals}}',
+      '<p>None</p>',
+      '{{/deals}}',
+      '<p>{{{note}}} {{site.name}}</p>'
+    ].join('\n');
+    const partials = { card: '<p>{{name}}{{#percentOff}} ({{percentOff}}% off){{/percentOff}}</p>\n' };
+    const view = { title: 'A & B <deals>', note: '<em>ok</em>', site: { name: 'eTravelogs' } };
+
+    assert.equal(renderTemplate(template, { ...view, deals: [{ name: 'Lisbon', percentOff: 40 }, { name: '"Porto"' }] }, partials),
+      '<h2>A &amp; B &lt;deals&gt;</h2>\n<p>Lisbon (40% off)</p>\n<p>&quot;Porto&quot;</p>\n<p><em>ok</em> eTravelogs</p>');
+    assert.equal(renderTemplate(template, { ...view, deals: [] }, partials),
+      '<h2>A &amp; B &lt;deals&gt;</h2>\n<p>None</p>\n<p><em>ok</em> eTravelogs</p>');
+    assert.throws(() => renderTemplate('{{#deals}}<p>', {}), /\{\{#deals\}\} is never closed/);
+    assert.throws(() => renderTemplate('{{> missing}}', {}), /Unknown partial "missing"/);
+  });
+
+  test('classic posts keep their layout and links survive HTML escaping', () => {
+    const post = generateFlightDealsPost([FLIGHT], NOW, { format: 'classic', version: 'v1' });
+    const links = collectLinks({ flights: [FLIGHT], posts: { flights: post.content } });
+
+    assert.deepEqual([post.format, post.templateVersion], ['classic', 'v1']);
+    assert.match(post.content, /<p><strong>🏆 New York → Lisbon, Portugal – \$389<\/strong> \(40% off typical \$650\)<\/p>/);
+    assert.match(post.content, /<li>Be flexible with dates \(±3 days can save hundreds\)<\/li>/);
+    assert.match(post.content, /&amp;AFFCID=/);
+    assert.equal(links[1].url, FLIGHT.affiliateLink);
+    assert.equal(links[1].deal, FLIGHT);
+    assert.deepEqual(checkLink(links[1].url, { type: 'flights', deal: FLIGHT, now: NOW }), []);
+  });
+
+  test('gutenberg posts are made of balanced blocks', () => {
+    for (const post of [
+      generateFlightDealsPost([FLIGHT], NOW, { format: 'gutenberg' }),
+      generateHotelDealsPost([HOTEL, { ...HOTEL, specificHotel: false, expediaSearchLink: 'https://www.expedia.com/Hotel-Search' }], NOW, { format: 'gutenberg' }),
+      generateHotelDealsPost([], NOW, { format: 'gutenberg' })
+    ]) {
+      const open = [];
+      for (const [, closing, name] of post.content.matchAll(/<!-- (\/?)wp:([a-z-]+)[^>]*?-->/g)) {
+        if (closing) {
+          assert.equal(open.pop(), name);
+        } else {
+          open.push(name);
+        }
+      }
+      assert.deepEqual(open, []);
+      // Nothing outside a block at the top level
+      assert.equal(post.content.replace(/<!-- wp:([a-z-]+)[^>]*-->[\s\S]*?<!-- \/wp:\1 -->/g, '').trim(), '');
+    }
+
+    const flightPost = generateFlightDealsPost([FLIGHT], NOW, { format: 'gutenberg' });
+    assert.match(flightPost.content, /<!-- wp:shortcode -->\n\[miles_calculator\]\n<!-- \/wp:shortcode -->/);
+    assert.match(flightPost.content, /<a class="wp-block-button__link wp-element-button" href="https:\/\/www\.expedia\.com\/Flights-Search/);
+  });
+
+  test('templates are versioned and formats are checked', () => {
+    assert.ok(listTemplateVersions().includes('v1'));
+    assert.deepEqual(Object.keys(loadTemplates({ version: 'v1', format: 'gutenberg' }).tips), ['flights', 'hotels']);
+    assert.throws(() => loadTemplates({ version: 'v99' }), /No post templates for version "v99" \(have v1/);
+    assert.throws(() => generateFlightDealsPost([], NOW, { format: 'amp' }), /Unknown post format "amp"/);
+  });
+});
+
+describe('sanitization', () => {
+  const NOW = new Date('2026-10-18T12:00:00Z');
+  const MALICIOUS = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'malicious', 'listings.json'), 'utf8'));
+  const POST_TAGS = ['p', 'strong', 'em', 'a', 'h2', 'h3', 'ul', 'li', 'div', 'img', 'span'];
+
+  // Only the renderer's own tags, no event handler attributes, no script URLs
+  function assertNoInjectedMarkup(html) {
+    for (const [tag, name] of html.matchAll(/<\/?([a-z][a-z0-9]*)[^>]*>/gi)) {
+      assert.ok(POST_TAGS.includes(name.toLowerCase()), `unexpected <${name}> in ${tag}`);
+      assert.doesNotMatch(tag, /\son[a-z]+\s*=|(?:href|src)="(?!https:)/i);
+    }
+    assert.doesNotMatch(html, /evil\.example|Phished/);
+  }
+
+  test('scraped text loses markup, hidden characters and boilerplate', () => {
+    assert.equal(cleanText(MALICIOUS.hotels[0].hotelName), 'Hotel Avenida Palace');
+    assert.equal(cleanText(MALICIOUS.flights[0].destinationName), 'Lisbon');
+    assert.equal(cleanText(MALICIOUS.flights[0].destinationCountry), 'Portugal');
+    assert.equal(cleanText(MALICIOUS.hotels[1].hotelName), '">');
+    assert.equal(cleanText('Alfama <3 Guesthouse - Sponsored'), 'Alfama <3 Guesthouse');
+    assert.equal(cleanText('x'.repeat(300)).length, 200);
+    assert.equal(cleanText(null), '');
+
+    const deal = cleanDealText({ ...MALICIOUS.hotels[0], hotelName: '<b></b>', pricePerNight: 142 });
+    assert.deepEqual([deal.hotelName, deal.location, deal.pricePerNight], [null, 'Lisbon', 142]);
+  });
+
+  test('escapes attributes and Markdown', () => {
+    assert.equal(escapeAttribute(MALICIOUS.activities[0].title), 'Tokyo Night Tour&quot; onmouseover&#61;&quot;alert(1)');
+    assert.equal(escapeMarkdown('[Free](javascript:alert(1))'), '\\[Free\\]\\(javascript:alert\\(1\\)\\)');
+  });
+
+  test('only https partner and site URLs are allowed', () => {
+    for (const url of [
+      MALICIOUS.flights[0].expediaLink,
+      'https://www.booking.com/searchresults.html?ss=Lisbon&aid=123',
+      MALICIOUS.activities[0].imageUrl,
+      'https://etravelogs.com/miles-points-vs-cash-calculator/'
+    ]) {
+      assert.equal(safeUrl(url), url);
+    }
+    for (const url of [
+      MALICIOUS.flights[1].expediaLink,
+      MALICIOUS.hotels[1].expediaSearchLink,
+      MALICIOUS.hotels[2].expediaDirectLink,
+      ...MALICIOUS.activities.slice(2).map(act => act.url),
+      'https://evil-expedia.com/',
+      'https://www.expedia.com/h1.Hotel-Information" onclick="alert(1)',
+      null
+    ]) {
+      assert.equal(safeUrl(url), null, url);
+    }
+  });
+
+  test('posts never carry scraped markup or unsafe links', () => {
+    for (const format of ['classic', 'gutenberg']) {
+      const flightPost = generateFlightDealsPost(MALICIOUS.flights, NOW, { format });
+      const hotelPost = generateHotelDealsPost(MALICIOUS.hotels, NOW, { format });
+
+      assertNoInjectedMarkup(flightPost.content);
+      assertNoInjectedMarkup(hotelPost.content);
+      assert.match(flightPost.content, /New York → Lisbon, Portugal/);
+      assert.match(hotelPost.content, /Hotel Avenida Palace/);
+      assert.doesNotMatch(hotelPost.content, /<svg|Plain HTTP Inn/);
+      assert.doesNotMatch(hotelPost.excerpt, /<img/);
+    }
+  });
+
+  test('GetYourGuide output escapes titles and drops unsafe links', () => {
+    const html = formatOutput(MALICIOUS.activities, 'html');
+    assertNoInjectedMarkup(html);
+    assert.match(html, /alt="Tokyo Night Tour&quot; onmouseover&#61;&quot;alert\(1\)"/);
+    assert.match(html, /<h3>\[Free tickets\]\(javascript:alert\(1\)\) Sushi Class<\/h3>/);
+    assert.equal(html.match(/class="activity"/g).length, 2);
+    assert.equal(html.match(/<img /g).length, 1);
+
+    const markdown = formatOutput(MALICIOUS.activities, 'markdown');
+    assert.match(markdown, /### 2\. \\\[Free tickets\\\]\\\(javascript:alert\\\(1\\\)\\\) Sushi Class\n/);
+    assert.doesNotMatch(markdown, /Phished/);
+    assert.equal(JSON.parse(formatOutput(MALICIOUS.activities, 'json')).length, 2);
+  });
+});
+
+/**
+ * A stand-in for the WordPress REST API (categories, tags, posts and media), recording requests
+ * Terms in `unlisted` exist but don't show up in lookups; `readOnly` refuses new terms and uploads
+ */
+async function startMockWordPress({ categories = [], tags = [], unlisted = [], readOnly = false } = {}) {
+  const state = { categories: [...categories], tags: [...tags], posts: [], media: [], requests: [] };
+  const auth = `Basic ${Buffer.from('editor:app-password').toString('base64')}`;
+  let nextId = 100;
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const raw = Buffer.concat(chunks);
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, data) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(data));
+    const data = raw.length > 0 && req.headers['content-type'] === 'application/json' ? JSON.parse(raw) : null;
+    state.requests.push({ method: req.method, path: url.pathname, slug: url.searchParams.get('slug'), body: data });
+
+    const match = url.pathname.match(/^\/wp-json\/wp\/v2\/(categories|tags|posts|media)(?:\/(\d+))?$/);
+    if (!match) return send(404, { code: 'rest_no_route' });
+    if (req.headers.authorization !== auth) return send(401, { code: 'rest_not_logged_in' });
+
+    const [, collection, id] = match;
+    const items = state[collection];
+
+    if (collection === 'media') {
+      if (id) return send(200, Object.assign(items.find(item => item.id === Number(id)), data));
+      if (req.method === 'GET') return send(200, items.filter(item => item.slug === url.searchParams.get('slug')));
+      if (readOnly) return send(403, { code: 'rest_cannot_create', message: 'Sorry, you are not allowed to upload files.' });
+      const filename = (req.headers['content-disposition'] || '').match(/filename="([^"]+)"/)[1];
+      const media = { id: nextId++, slug: filename.replace(/\.png$/, ''), filename, mimeType: req.headers['content-type'], bytes: raw.length, alt_text: '' };
+      items.push(media);
+      return send(201, media);
+    }
+
+    if (req.method === 'GET') {
+      return send(200, items.filter(item => item.slug === url.searchParams.get('slug') && !unlisted.includes(item.slug)));
+    }
+    if (req.method === 'POST' && collection !== 'posts') {
+      if (readOnly) return send(403, { code: 'rest_cannot_create', message: 'Sorry, you are not allowed to create terms.' });
+      const existing = items.find(item => item.slug === data.slug);
+      if (existing) return send(400, { code: 'term_exists', message: 'A term with the name provided already exists.', data: { status: 400, term_id: existing.id } });
+      const term = { id: nextId++, name: data.name, slug: data.slug };
+      items.push(term);
+      return send(201, term);
+    }
+    if (req.method === 'POST') {
+      const post = { ...data, id: nextId++, link: `https://wp.test/${data.slug}/` };
+      items.push(post);
+      return send(201, post);
+    }
+    const post = items.find(item => item.id === Number(id));
+    Object.assign(post, data);
+    return send(200, post);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    state,
+    config: { url, username: 'editor', appPassword: 'app-password' },
+    headers: { Authorization: auth },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('wordpress taxonomy', () => {
+  const NOW = new Date('2026-10-18T12:00:00Z');
+  const CATEGORIES = [{ id: 39, name: 'Flight Deals', slug: 'flight-deals' }];
+  let dir;
+  let wp;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-taxonomy-'));
+  });
+
+  after(async () => {
+    if (wp) await wp.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('slugs match WordPress', () => {
+    assert.deepEqual(['Flight Deals', 'São Paulo', 'Bed & Breakfast', ' Rio de Janeiro '].map(slugify),
+      ['flight-deals', 'sao-paulo', 'bed-breakfast', 'rio-de-janeiro']);
+  });
+
+  test('looks names up by slug, creates missing ones and caches the IDs', async () => {
+    wp = await startMockWordPress({ categories: CATEGORIES });
+    const cachePath = path.join(dir, 'lookup.json');
+
+    const first = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath });
+    assert.deepEqual(await first.resolve('categories', ['Flight Deals', 'Daily Deals']), [39, 100]);
+    assert.deepEqual(await first.resolve('tags', ['Lisbon', 'São Paulo', 'Lisbon']), [101, 102]);
+    assert.deepEqual(wp.state.tags.map(tag => tag.slug), ['lisbon', 'sao-paulo']);
+    assert.deepEqual(first.stats, { cache: 1, lookup: 1, created: 3, failed: 0 });
+    first.save();
+
+    const requests = wp.state.requests.length;
+    const second = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath });
+    assert.deepEqual(await second.resolve('categories', ['Daily Deals', 'Flight Deals']), [100, 39]);
+    assert.equal(wp.state.requests.length, requests);
+
+    // Cached per site
+    assert.deepEqual(JSON.parse(fs.readFileSync(cachePath, 'utf8')), {
+      [wp.config.url]: { categories: { 'flight-deals': 39, 'daily-deals': 100 }, tags: { lisbon: 101, 'sao-paulo': 102 } }
+    });
+    await wp.close();
+    wp = null;
+  });
+
+  test('uses a term created since the lookup, and leaves out names it can\'t create', async () => {
+    wp = await startMockWordPress({ categories: [...CATEGORIES, { id: 7, name: 'Daily Deals', slug: 'daily-deals' }], unlisted: ['daily-deals'] });
+    const resolver = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath: path.join(dir, 'race.json') });
+    assert.deepEqual(await resolver.resolve('categories', ['Daily Deals']), [7]);
+    await wp.close();
+
+    wp = await startMockWordPress({ categories: CATEGORIES, readOnly: true });
+    const readOnly = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath: path.join(dir, 'read-only.json') });
+    assert.deepEqual(await readOnly.resolve('categories', ['Flight Deals', 'Hotel Deals']), [39]);
+    assert.equal(readOnly.stats.failed, 1);
+    await wp.close();
+    wp = null;
+  });
+
+  test('attaches categories and tags when a post is created and updated', async () => {
+    wp = await startMockWordPress({ categories: CATEGORIES });
+    const taxonomy = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath: path.join(dir, 'publish.json') });
+    const deal = { origin: 'JFK', destination: 'LIS', originName: 'New York', destinationName: 'Lisbon', destinationCountry: 'Portugal',
+      price: 389, currency: 'USD', departDate: '2026-12-18', returnDate: '2026-12-25', tripLength: '7 days',
+      expediaLink: 'https://www.expedia.com/Flights-Search' };
+    const post = generateFlightDealsPost([deal], NOW);
+
+    const created = await publishToWordPress(post, 12, 'flight', { config: wp.config, taxonomy });
+    assert.deepEqual([created.categories, created.tags], [[12, 39, 100], [101]]);
+
+    await publishToWordPress({ ...post, tags: ['Lisbon', 'Portugal'] }, null, 'flight', { config: wp.config, taxonomy });
+    const update = wp.state.requests.find(request => request.method === 'PUT');
+    assert.equal(update.path, `/wp-json/wp/v2/posts/${created.id}`);
+    assert.deepEqual([update.body.categories, update.body.tags], [[39, 100], [101, 103]]);
+    assert.equal(wp.state.posts.length, 1);
+  });
+});
+
+describe('featured images', () => {
+  const NOW = new Date('2026-10-18T12:00:00Z');
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', originName: 'New York', destinationName: 'Lisbon', destinationCountry: 'Portugal',
+    price: 389, currency: 'USD', percentOff: 45, typicalPrice: 710, departDate: '2026-12-18', returnDate: '2026-12-25', tripLength: '7 days',
+    expediaLink: 'https://www.expedia.com/Flights-Search' };
+  const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  let dir;
+  let wp;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-media-'));
+  });
+
+  after(async () => {
+    if (wp) await wp.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the card shows the best-scored deal, with alt text describing it', () => {
+    const post = generateFlightDealsPost([{ ...FLIGHT, destinationName: 'Paris', destinationCountry: 'France', score: 40 }, { ...FLIGHT, score: 90 }], NOW);
+    assert.deepEqual(post.featuredImage, {
+      label: 'Flight Deal',
+      heading: 'New York → Lisbon',
+      subheading: 'Portugal · 7 days',
+      price: '$389',
+      priceNote: '',
+      percentOff: 45,
+      date: 'October 18, 2026',
+      alt: 'Flight deal: New York to Lisbon for $389 (45% off) – October 18, 2026'
+    });
+
+    const hotel = { location: 'Lisbon', country: 'Portugal', hotelName: 'Hotel Avenida Palace', pricePerNight: 89, currency: 'USD', nights: 3,
+      expediaSearchLink: 'https://www.expedia.com/Hotel-Search?destination=Lisbon' };
+    assert.equal(generateHotelDealsPost([hotel], NOW).featuredImage.alt, 'Hotel deal: Hotels in Lisbon for $89/night – October 18, 2026');
+    assert.equal(generateFlightDealsPost([], NOW).featuredImage, null);
+  });
+
+  test('card text is escaped', () => {
+    const html = buildFeaturedImageHtml({ label: 'Hotel Deal', heading: '<img src=x onerror=alert(1)>', price: '$89', date: 'October 18, 2026' });
+    assert.ok(!html.includes('<img'));
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.throws(() => buildFeaturedImageHtml({}, { version: 'v99' }), /No featured image template for version "v99"/);
+  });
+
+  test('uploads the image once with its alt text and sets it as the featured media', async () => {
+    wp = await startMockWordPress({ categories: [{ id: 39, name: 'Flight Deals', slug: 'flight-deals' }] });
+    const taxonomy = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath: path.join(dir, 'upload.json') });
+    const post = generateFlightDealsPost([FLIGHT], NOW);
+    const slug = getMediaSlug(post.slug, PNG);
+
+    const created = await publishToWordPress(post, null, 'flight', { config: wp.config, taxonomy, image: PNG });
+    assert.match(slug, /^todays-best-flight-deals-2026-10-18-featured-[0-9a-f]{12}$/);
+    assert.deepEqual(wp.state.media, [{ id: created.featured_media, slug, filename: `${slug}.png`, mimeType: 'image/png', bytes: PNG.length,
+      alt_text: post.featuredImage.alt }]);
+
+    // Re-publishing the same image reuses the upload
+    await publishToWordPress(post, null, 'flight', { config: wp.config, taxonomy, image: PNG });
+    assert.equal(wp.state.media.length, 1);
+    assert.equal(wp.state.requests.find(request => request.method === 'PUT').body.featured_media, created.featured_media);
+
+    // A new top deal is a new image
+    await publishToWordPress(post, null, 'flight', { config: wp.config, taxonomy, image: Buffer.concat([PNG, Buffer.from([0])]) });
+    assert.equal(wp.state.media.length, 2);
+    await wp.close();
+    wp = null;
+  });
+
+  test('publishes without a featured image when the upload is refused', async () => {
+    wp = await startMockWordPress({ categories: [{ id: 39, name: 'Flight Deals', slug: 'flight-deals' }], readOnly: true });
+    const taxonomy = createTaxonomyResolver({ url: wp.config.url, headers: wp.headers, cachePath: path.join(dir, 'refused.json') });
+
+    const created = await publishToWordPress(generateFlightDealsPost([FLIGHT], NOW), null, 'flight', { config: wp.config, taxonomy, image: PNG });
+    assert.equal(created.featured_media, undefined);
+    assert.equal(wp.state.posts.length, 1);
+  });
+
+  test('renders a 1200x630 PNG', browserTest, async () => {
+    const image = await renderFeaturedImage(generateFlightDealsPost([FLIGHT], NOW).featuredImage);
+    assert.equal(image.subarray(0, 8).toString('hex'), '89504e470d0a1a0a');
+    assert.deepEqual([image.readUInt32BE(16), image.readUInt32BE(20)], [1200, 630]);
+  });
+});
+
+describe('affiliate link audit', () => {
+  const NOW = new Date('2026-10-18T12:00:00Z');
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', departDate: '2026-12-18', returnDate: '2026-12-25' };
+  const flightLink = buildLink('flight-search', FLIGHT).url;
+  const HOTEL = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', checkinDate: '2026-12-18', checkoutDate: '2026-12-21',
+    specificHotel: true, expediaHotelId: '1001' };
+  const propertyLink = id => buildLink('property', { propertyId: id, checkin: '2026-12-18', checkout: '2026-12-21' }).url;
+
+  test('links built by the affiliate module pass', () => {
+    assert.deepEqual(checkLink(flightLink, { type: 'flights', deal: FLIGHT, now: NOW }), []);
+    assert.deepEqual(checkLink(propertyLink('1001'), { type: 'hotels', deal: HOTEL, field: 'affiliateLink', now: NOW }), []);
+    assert.deepEqual(checkLink(buildLink('hotel-search', { destination: 'Lisbon Portugal', checkin: '2026-12-18', checkout: '2026-12-21' }).url,
+      { type: 'hotels', deal: { ...HOTEL, specificHotel: false }, field: 'affiliateLink', now: NOW }), []);
+  });
+
+  test('catches encoded and double-encoded Expedia legs', () => {
+    const doubleEncoded = flightLink.replace(/(leg\d=[^&]*)/g, leg => leg.replace(/:/g, '%253A'));
+    const encoded = flightLink.replace(/(leg\d=[^&]*)/g, leg => leg.replace(/:/g, '%3A'));
+
+    assert.ok(checkLink(doubleEncoded, { type: 'flights', now: NOW }).includes('Double-encoded (contains %25XX)'));
+    assert.match(checkLink(encoded, { type: 'flights', now: NOW }).join('\n'), /leg1 "from%3AJFK.*literal separators/);
+  });
+
+  test('catches missing IDs, bad or past dates and links that don\'t match their deal', () => {
+    assert.deepEqual(checkLink(flightLink.replace(/&AFFCID=.*$/, ''), { type: 'flights', now: NOW }), ['Missing AFFCID']);
+    assert.deepEqual(checkLink(flightLink, { type: 'flights', now: new Date('2027-01-01T12:00:00Z') }), ['Starts 2026-12-18, in the past']);
+    assert.match(checkLink(flightLink, { type: 'flights', deal: { ...FLIGHT, returnDate: '2026-12-26' }, now: NOW })[0], /don't match the deal/);
+    assert.match(checkLink(flightLink, { type: 'flights', deal: { ...FLIGHT, destination: 'OPO' }, now: NOW })[0], /Route JFK → LIS/);
+    assert.match(checkLink(propertyLink('1001').replace('chkin=2026-12-18', 'chkin=12/18/2026'), { type: 'hotels', now: NOW })[0],
+      /chkin "12\/18\/2026" isn't a yyyy-MM-dd date/);
+  });
+
+  test('a specific hotel must link to its own property page', () => {
+    const searchLink = buildLink('hotel-search', { destination: 'Lisbon Portugal', checkin: '2026-12-18', checkout: '2026-12-21' }).url;
+
+    assert.match(checkLink(searchLink, { type: 'hotels', deal: HOTEL, field: 'affiliateLink', now: NOW })[0], /specific hotel/);
+    assert.match(checkLink(propertyLink('2002'), { type: 'hotels', deal: HOTEL, field: 'expediaDirectLink', now: NOW })[0], /Property 2002/);
+  });
+
+  test('collects deal links and partner links in the posts', () => {
+    const deal = { ...FLIGHT, expediaLink: flightLink, affiliateLink: flightLink };
+    const post = `<a href="${flightLink}">Book Now</a> <a href="https://etravelogs.com/daily-deals/">More</a>`;
+    const links = collectLinks({ flights: [deal], posts: { flights: post } });
+
+    assert.deepEqual(links.map(link => link.where), ['flights.json #1 expediaLink', 'flights.json #1 affiliateLink', 'flights post']);
+    assert.equal(links[2].deal, deal);
+  });
+
+  describe('against a local stub server', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      // Stands in for Expedia: property 9999 is gone, 8888 shows the "wrong turn" page
+      server = http.createServer((req, res) => {
+        if (req.url.startsWith('/h9999.')) {
+          res.writeHead(404).end('Not found');
+        } else {
+          res.writeHead(200, { 'Content-Type': 'text/html' })
+            .end(req.url.startsWith('/h8888.') ? '<h1>Sorry, we took a wrong turn</h1>' : '<h1>Hotel</h1>');
+        }
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    test('reports links the partner rejects', async () => {
+      const links = ['1001', '9999', '8888'].map(id => ({ url: propertyLink(id), where: id, type: 'hotels' }));
+      const audit = await auditLinks(links, { request: true, baseUrl, now: NOW });
+
+      assert.deepEqual(audit.results.map(result => result.problems), [[], ['Returned HTTP 404'], ['Loads the partner\'s error page']]);
+      assert.equal(audit.failed, 2);
+    });
+  });
+});
+
+describe('deal verification', () => {
+  const NOW = new Date('2026-12-01T12:00:00Z');
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', price: 389, currency: 'USD', departDate: '2026-12-18', returnDate: '2026-12-25' };
+  const checked = (amount, currency = 'USD') => ({ status: 'checked', price: { amount, currency } });
+
+  test('a price within the tolerance is verified', () => {
+    const deal = applyVerification('flights', FLIGHT, checked(399), NOW);
+
+    assert.equal(deal.verificationStatus, 'verified');
+    assert.equal(deal.verifiedAt, '2026-12-01T12:00:00.000Z');
+    assert.deepEqual([deal.verifiedPrice, deal.priceDelta, deal.priceDeltaPercent], [399, 10, 2.6]);
+    assert.equal(applyVerification('flights', FLIGHT, checked(349), NOW).verificationStatus, 'verified');
+  });
+
+  test('a price past the tolerance is stale, a missing listing is gone', () => {
+    assert.equal(applyVerification('flights', FLIGHT, checked(420), NOW).verificationStatus, 'stale');
+    assert.equal(applyVerification('flights', FLIGHT, checked(330, 'GBP'), NOW).verificationStatus, 'stale'); // $419
+    assert.equal(applyVerification('flights', FLIGHT, { status: 'checked', price: null }, NOW).verificationStatus, 'gone');
+
+    const unverifiable = applyVerification('flights', FLIGHT, { status: 'unverifiable' }, NOW);
+    assert.deepEqual([unverifiable.verificationStatus, unverifiable.verifiedAt], ['unverifiable', null]);
+  });
+
+  test('verification expires after maxAgeHours', () => {
+    const deal = applyVerification('flights', FLIGHT, checked(389), NOW);
+
+    assert.equal(isVerified(deal, new Date('2026-12-02T11:00:00Z')), true);
+    assert.equal(isVerified(deal, new Date('2026-12-02T13:00:00Z')), false);
+    assert.equal(isVerified(FLIGHT, NOW), false);
+  });
+
+  test('posts only say "verified" when every deal was', () => {
+    const deal = { ...FLIGHT, originName: 'New York', destinationName: 'Lisbon', percentOff: 40, expediaLink: 'https://www.expedia.com/' };
+    const verified = applyVerification('flights', deal, checked(389), NOW);
+
+    const allVerified = generateFlightDealsPost([verified], NOW);
+    assert.match(allVerified.content, /top offers verified as of/);
+    assert.match(allVerified.content, /Price re-checked December 1/);
+
+    const mixed = generateFlightDealsPost([verified, deal], NOW);
+    assert.match(mixed.content, /top offers found as of/);
+    assert.doesNotMatch(mixed.excerpt, /verified/);
+  });
+});
+
+describe('deal scoring', () => {
+  const NOW = new Date('2026-12-01T12:00:00Z');
+  const FLIGHT = { origin: 'JFK', departDate: '2026-12-18', returnDate: '2026-12-25', stops: 0,
+    source: 'Google Flights', baselineSource: 'history', scrapedAt: '2026-12-01T06:00:00Z' };
+
+  test('a large saving outranks a higher percentage of a small fare', () => {
+    const tokyo = { ...FLIGHT, destination: 'NRT', price: 1100, typicalPrice: 1600, percentOff: 31 };
+    const regional = { ...FLIGHT, destination: 'BOS', price: 90, typicalPrice: 150, percentOff: 40 };
+
+    assert.deepEqual(scoreDeals('flights', [regional, tokyo], NOW).map(deal => deal.destination), ['NRT', 'BOS']);
+  });
+
+  test('the breakdown adds up to the score and skips components that don\'t apply', () => {
+    const deal = scoreDeal('flights', { ...FLIGHT, destination: 'LIS', price: 389, typicalPrice: 650, percentOff: 40 }, NOW);
+    const points = Object.values(deal.scoreBreakdown).filter(value => value !== null);
+
+    assert.equal(deal.scoreBreakdown.rating, null);
+    assert.ok(Math.abs(points.reduce((sum, value) => sum + value, 0) - deal.score) < 0.5);
+    assert.ok(deal.score > 0 && deal.score <= 100);
+  });
+
+  test('hotels without a baseline still score on rating and practicality', () => {
+    const hotel = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', pricePerNight: 142, typicalPrice: null,
+      percentOff: 0, rating: 4.6, nights: 3, checkinDate: '2026-12-18', checkoutDate: '2026-12-21',
+      specificHotel: true, source: 'Google Hotels', scrapedAt: '2026-12-01T06:00:00Z' };
+    const deal = scoreDeal('hotels', hotel, NOW);
+
+    assert.deepEqual([deal.scoreBreakdown.savings, deal.scoreBreakdown.percentOff], [0, 0]);
+    assert.ok(deal.score > 30);
+    assert.ok(scoreDeal('hotels', { ...hotel, rating: 3.2, specificHotel: false }, NOW).score < deal.score);
+  });
+
+  test('older observations score lower', () => {
+    const deal = { ...FLIGHT, destination: 'LIS', price: 389, typicalPrice: 650, percentOff: 40 };
+    const old = scoreDeal('flights', { ...deal, scrapedAt: '2026-11-25T06:00:00Z' }, NOW);
+
+    assert.ok(old.score < scoreDeal('flights', deal, NOW).score);
+  });
+
+  test('the excerpt and tags follow the cards, not the order deals were loaded', () => {
+    const flight = { ...FLIGHT, originName: 'New York', currency: 'USD', expediaLink: 'https://www.expedia.com/Flights-Search' };
+    const post = generateFlightDealsPost([
+      { ...flight, destination: 'PAR', destinationName: 'Paris', price: 520, expediaLink: 'javascript:alert(1)', score: 95 },
+      { ...flight, destination: 'BOS', destinationName: 'Boston', price: 90, score: 40 },
+      { ...flight, destination: 'LIS', destinationName: 'Lisbon', price: 389, score: 80 }
+    ], NOW);
+
+    assert.equal(post.excerpt, 'Today\'s flight deals from 2 routes. Best deal: New York to Lisbon for $389.');
+    assert.deepEqual(post.tags, ['Lisbon', 'Boston']);
+
+    const hotel = { location: 'Lisbon', pricePerNight: 142, currency: 'USD', nights: 3, source: 'Google Hotels',
+      expediaSearchLink: 'https://www.expedia.com/Hotel-Search?destination=Lisbon' };
+    const hotelPost = generateHotelDealsPost([{ ...hotel, location: 'Porto', score: 20 }, { ...hotel, score: 70 }], NOW);
+    assert.match(hotelPost.excerpt, /Best deal: hotels in Lisbon for \$142\/night/);
+    assert.deepEqual(hotelPost.tags, ['Lisbon', 'Porto']);
+  });
+});
+
+describe('cross-run deal merging', () => {
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', departDate: '2026-12-18', returnDate: '2026-12-25', source: 'Google Flights' };
+  const HOTEL = { location: 'Paris', pricePerNight: 180, source: 'Google Hotels' };
+
+  test('keeps the latest price of a route and month, with its history', () => {
+    const { deals, merged } = mergeDeals('flights', [
+      { ...FLIGHT, price: 389, scrapedAt: '2026-12-03T06:00:00.000Z' },
+      { ...FLIGHT, price: 420, departDate: '2026-12-11', scrapedAt: '2026-12-01T06:00:00.000Z' },
+      { ...FLIGHT, price: 350, departDate: '2027-01-08', scrapedAt: '2026-12-01T06:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(deals.map(deal => [deal.departDate, deal.price]), [['2026-12-18', 389], ['2027-01-08', 350]]);
+    assert.deepEqual([deals[0].firstSeen, deals[0].lastSeen], ['2026-12-01T06:00:00.000Z', '2026-12-03T06:00:00.000Z']);
+    assert.deepEqual(deals[0].priceHistory.map(entry => entry.price), [420, 389]);
+    assert.deepEqual(merged.map(deal => deal.price), [420]);
+  });
+
+  test('history carries over when a merged record is merged again', () => {
+    const first = mergeDeals('flights', [
+      { ...FLIGHT, price: 420, scrapedAt: '2026-12-01T06:00:00.000Z' },
+      { ...FLIGHT, price: 389, scrapedAt: '2026-12-02T06:00:00.000Z' }
+    ]).deals[0];
+    const [record] = mergeDeals('flights', [{ ...FLIGHT, price: 401, scrapedAt: '2026-12-03T06:00:00.000Z' }, first]).deals;
+
+    assert.equal(record.price, 401);
+    assert.equal(record.firstSeen, '2026-12-01T06:00:00.000Z');
+    assert.deepEqual(record.priceHistory.map(entry => entry.price), [420, 389, 401]);
+  });
+
+  test('the cheaper of two observations from the same run wins', () => {
+    const { deals } = mergeDeals('flights', [
+      { ...FLIGHT, price: 389, scrapedAt: '2026-12-03T06:00:00.000Z' },
+      { ...FLIGHT, price: 372, source: 'Google Flights Explore', scrapedAt: '2026-12-03T06:10:00.000Z' },
+      { ...FLIGHT, price: 365, scrapedAt: '2026-12-03T06:12:00.000Z' }
+    ]);
+
+    assert.equal(deals[0].price, 365);
+  });
+
+  test('matches hotel names loosely within a location', () => {
+    assert.ok(isSameHotel({ ...HOTEL, hotelName: 'Hotel Lumiere Paris' }, { ...HOTEL, hotelName: 'Lumiere Hotel' }));
+    assert.ok(isSameHotel({ ...HOTEL, hotelName: 'Le Lumière' }, { ...HOTEL, hotelName: 'Hotel Lumiere Paris' }));
+    assert.ok(!isSameHotel({ ...HOTEL, hotelName: 'Hotel Paris Opera' }, { ...HOTEL, hotelName: 'Hotel Paris Marais' }));
+    assert.ok(!isSameHotel({ ...HOTEL, hotelName: 'Lumiere Hotel' }, { ...HOTEL, hotelName: 'Lumiere Hotel', location: 'Lyon' }));
+    assert.ok(!isSameHotel({ ...HOTEL, hotelName: 'Lumiere Hotel', expediaHotelId: '1' }, { ...HOTEL, hotelName: 'Lumiere', expediaHotelId: '2' }));
+  });
+
+  test('keeps unnamed hotels apart', () => {
+    const { deals } = mergeDeals('hotels', [
+      { ...HOTEL, hotelName: 'Hotel in Paris', scrapedAt: '2026-12-03T06:00:00.000Z' },
+      { ...HOTEL, hotelName: 'Hotel in Paris', pricePerNight: 95, scrapedAt: '2026-12-03T06:00:00.000Z' },
+      { ...HOTEL, hotelName: 'Hotel Lumiere Paris', pricePerNight: 210, scrapedAt: '2026-12-01T06:00:00.000Z' },
+      { ...HOTEL, hotelName: 'Lumiere Hotel', pricePerNight: 190, scrapedAt: '2026-12-03T06:00:00.000Z' }
+    ]);
+
+    assert.deepEqual(deals.map(deal => [deal.hotelName, deal.pricePerNight]),
+      [['Hotel in Paris', 180], ['Hotel in Paris', 95], ['Lumiere Hotel', 190]]);
+  });
+});
+
+describe('deal schemas', () => {
+  const FLIGHT = { origin: 'JFK', originName: 'New York', destination: 'LIS', destinationName: 'Lisbon', destinationCountry: 'Portugal',
+    price: 389, percentOff: 40, source: 'Google Flights', scrapedAt: '2026-10-18T06:00:00.000Z', expediaLink: 'https://www.expedia.com/Flights-Search' };
+  const HOTEL = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', country: 'Portugal', pricePerNight: 142, percentOff: 46,
+    checkinDate: '2026-12-18', checkoutDate: '2026-12-21', nights: 3, source: 'Google Hotels', scrapedAt: '2026-10-18T06:00:00.000Z',
+    expediaSearchLink: 'https://www.expedia.com/Hotel-Search' };
+
+  test('flight deals: valid, repaired from the IATA codes, rejected', () => {
+    const { originName, destinationName, destinationCountry, percentOff, ...bare } = FLIGHT;
+    const repairable = { ...bare, price: '389', typicalPrice: 650 };
+    const broken = { ...FLIGHT, origin: 'jfk', price: -5, expediaLink: undefined };
+    const result = validateRecords('flights', [FLIGHT, repairable, broken], { repair: true });
+
+    assert.deepEqual(result.valid[0], FLIGHT);
+    assert.deepEqual(result.repaired.map(({ deal, repairs }) => [deal.price, deal.originName, deal.destinationCountry, deal.percentOff, repairs]),
+      [[389, 'New York', 'Portugal', 40, ['price', 'originName', 'destinationName', 'destinationCountry', 'percentOff']]]);
+    assert.deepEqual(result.invalid.map(({ errors }) => errors), [[
+      '(record) must have required property \'expediaLink\'',
+      '/origin must match pattern "^[A-Z]{3}$"',
+      '/price must be > 0'
+    ]]);
+
+    // Repairs only when asked
+    assert.equal(validateRecords('flights', [repairable]).invalid.length, 1);
+  });
+
+  test('hotel deals: valid, repaired from the stay dates and listed price, rejected', () => {
+    const { nights, percentOff, ...bare } = HOTEL;
+    const result = validateRecords('hotels', [HOTEL, { ...bare, originalPrice: 265 }, { ...HOTEL, country: '', checkinDate: '12/18/2026' }], { repair: true });
+
+    assert.deepEqual(result.valid[0], HOTEL);
+    assert.deepEqual(result.repaired.map(({ deal, repairs }) => [deal.nights, deal.percentOff, repairs]), [[3, 46, ['nights', 'percentOff']]]);
+    assert.deepEqual(result.invalid.map(({ errors }) => errors), [[
+      '/country must NOT have fewer than 1 characters',
+      '/checkinDate must match format "date"'
+    ]]);
+  });
+
+  test('deals.json is checked as a whole document', () => {
+    const doc = {
+      schemaVersion: 1,
+      generated: '2026-10-18T06:00:00.000Z',
+      summary: { totalFlightDeals: 1, totalHotelDeals: 0, bestFlightDeal: FLIGHT, bestHotelDeal: null },
+      flights: [FLIGHT],
+      hotels: []
+    };
+
+    assert.deepEqual(validateDealsDocument(doc), []);
+    assert.ok(validateDealsDocument({ ...doc, schemaVersion: 2, hotels: [{ ...HOTEL, nights: 0 }] }).length >= 2);
+  });
+});
+
+describe('price history', () => {
+  const defaultDir = HISTORY_CONFIG.dir;
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  before(() => {
+    HISTORY_CONFIG.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-history-'));
+  });
+
+  after(() => {
+    fs.rmSync(HISTORY_CONFIG.dir, { recursive: true, force: true });
+    HISTORY_CONFIG.dir = defaultDir;
+  });
+
+  test('observations are appended as JSONL and indexed by route, month and hotel', () => {
+    recordObservation('flights', { origin: 'JFK', destination: 'LIS', departDate: '2026-12-18', price: 389, observedAt: daysAgo(1) });
+    recordObservation('flights', { origin: 'JFK', destination: 'LIS', departDate: '2027-01-08', price: 420, observedAt: daysAgo(2) });
+    recordObservation('hotels', { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', price: 142 });
+
+    const lines = fs.readFileSync(path.join(HISTORY_CONFIG.dir, 'flights.jsonl'), 'utf8').trim().split('\n');
+    assert.equal(lines.length, 2);
+    assert.equal(JSON.parse(lines[0]).price, 389);
+
+    assert.deepEqual(loadPriceHistory('flights'), { 'JFK-LIS|2026-12': [389], 'JFK-LIS': [389, 420], 'JFK-LIS|2027-01': [420] });
+    assert.deepEqual(loadPriceHistory('hotels'), { 'Hotel Avenida Palace|Lisbon': [142] });
+    assert.ok(JSON.parse(fs.readFileSync(path.join(HISTORY_CONFIG.dir, 'hotels.jsonl'), 'utf8')).observedAt);
+  });
+
+  test('malformed lines, observations without a price and ones outside the window are skipped', () => {
+    fs.appendFileSync(path.join(HISTORY_CONFIG.dir, 'flights.jsonl'), '{"origin": "JFK", "destin\n\n');
+    recordObservation('flights', { origin: 'JFK', destination: 'LIS', price: null, observedAt: daysAgo(1) });
+    recordObservation('flights', { origin: 'JFK', destination: 'LIS', price: 999, observedAt: daysAgo(HISTORY_CONFIG.windowWeeks * 7 + 1) });
+
+    assert.deepEqual(loadPriceHistory('flights')['JFK-LIS'], [389, 420]);
+  });
+
+  test('the baseline is the median of the first key with enough samples', () => {
+    const index = { 'JFK-LIS|2026-12': [400, 380], 'JFK-LIS': [300, 500, 400, 420, 380, 700] };
+
+    assert.deepEqual(getBaseline(index, getFlightKeys('JFK', 'LIS', '2026-12-18')), { price: 410, samples: 6, key: 'JFK-LIS' });
+    assert.deepEqual(getFlightKeys('JFK', 'LIS'), ['JFK-LIS']);
+    assert.equal(getBaseline({ 'JFK-LIS': [400, 420, 380, 390] }, ['JFK-LIS']), null);
+    assert.equal(getBaseline(index, getHotelKeys('Hotel Avenida Palace', 'Lisbon')), null);
+  });
+
+  test('a departure on the 1st falls in its own month west of UTC', () => {
+    const defaultTz = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    try {
+      assert.deepEqual(getFlightKeys('JFK', 'LIS', '2027-03-01'), ['JFK-LIS|2027-03', 'JFK-LIS']);
+    } finally {
+      if (defaultTz === undefined) delete process.env.TZ; else process.env.TZ = defaultTz;
+    }
+  });
+});
+
+describe('deal validator', () => {
+  const FLIGHT = { origin: 'JFK', destination: 'LIS', price: 389, source: 'Google Flights', scrapedAt: '2026-10-18T06:00:00Z' };
+  const HOTEL = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', pricePerNight: 142, source: 'Google Hotels', scrapedAt: '2026-10-18T06:00:00Z' };
+  const rules = result => result.rejected.map(({ rule, reason }) => [rule, reason]);
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records missing a required field are rejected', () => {
+    const result = validateDeals('flights', [FLIGHT, { ...FLIGHT, destination: '' }, { ...FLIGHT, scrapedAt: null }]);
+
+    assert.deepEqual(result.accepted, [FLIGHT]);
+    assert.deepEqual(rules(result), [
+      ['required-field', 'Missing required field: destination'],
+      ['required-field', 'Missing required field: scrapedAt']
+    ]);
+    assert.deepEqual(rules(validateDeals('hotels', [{ ...HOTEL, location: undefined }])), [['required-field', 'Missing required field: location']]);
+  });
+
+  test('route bounds take precedence over destination bounds, then the defaults', () => {
+    assert.equal(checkPriceBounds('flights', { ...FLIGHT, destination: 'CUN', price: 70 }), 'Price $70 below minimum $80');
+    assert.equal(checkPriceBounds('flights', { ...FLIGHT, origin: 'MIA', destination: 'CUN', price: 70 }), null);
+    assert.equal(checkPriceBounds('flights', { ...FLIGHT, price: 90 }), 'Price $90 below minimum $100');
+    assert.equal(checkPriceBounds('flights', { ...FLIGHT, destination: 'TYO', price: 5500 }), null);
+    assert.equal(checkPriceBounds('hotels', { ...HOTEL, location: 'Bangkok', pricePerNight: 20 }), null);
+    assert.equal(checkPriceBounds('hotels', { ...HOTEL, pricePerNight: 3000 }), 'Price $3000 above maximum $2500');
+    assert.equal(checkPriceBounds('hotels', { ...HOTEL, pricePerNight: 'n/a' }), 'Invalid price: n/a');
+  });
+
+  test('outliers are measured against the route\'s price history', () => {
+    // History index as loaded by loadPriceHistory(): per route and per route + departure month
+    const recentPrices = buildRecentPrices('flights', { 'JFK-LIS': [400, 420, 380], 'JFK-LIS|2026-12': [120, 120, 120], 'JFK-PAR': [500, 520] });
+
+    assert.deepEqual(recentPrices, { 'JFK-LIS': [400, 420, 380], 'JFK-PAR': [500, 520] });
+    const result = validateDeals('flights', [
+      FLIGHT,
+      { ...FLIGHT, price: 130 },
+      { ...FLIGHT, price: 1300 },
+      { ...FLIGHT, destination: 'PAR', price: 130 }
+    ], { recentPrices });
+
+    assert.deepEqual(result.accepted.map(deal => [deal.destination, deal.price]), [['LIS', 389], ['PAR', 130]]);
+    assert.deepEqual(rules(result), [
+      ['outlier', 'Price $130 is an outlier (recent median $400)'],
+      ['outlier', 'Price $1300 is an outlier (recent median $400)']
+    ]);
+  });
+
+  test('rejected deals are quarantined once, and old entries are pruned', () => {
+    const filePath = path.join(dir, 'quarantine.json');
+    const now = new Date('2026-10-18T12:00:00Z');
+    const old = { type: 'flights', rule: 'outlier', reason: 'old', quarantinedAt: '2026-10-01T00:00:00Z', deal: FLIGHT };
+    fs.writeFileSync(filePath, JSON.stringify({ entries: [old] }));
+
+    const rejected = validateDeals('hotels', [{ ...HOTEL, pricePerNight: 5 }]).rejected;
+    quarantineDeals('hotels', rejected, { path: filePath, now });
+    quarantineDeals('hotels', rejected, { path: filePath, now });
+
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(saved.count, 1);
+    assert.deepEqual(saved.entries, [{ type: 'hotels', rule: 'price-bounds', reason: 'Price $5 below minimum $40',
+      quarantinedAt: '2026-10-18T12:00:00.000Z', deal: { ...HOTEL, pricePerNight: 5 } }]);
+  });
+});
+
+describe('route config and CLI options', () => {
+  const CONFIG_PATH = path.join(__dirname, '..', 'config', 'routes.json');
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(edit) {
+    const config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    edit(config);
+    const filePath = path.join(dir, 'routes.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+  }
+
+  test('the shipped config loads', () => {
+    assert.ok(loadRouteConfig(CONFIG_PATH).flights.origins.length > 0);
+  });
+
+  test('unknown and duplicate codes and missing days are all reported', () => {
+    const filePath = writeConfig(config => {
+      config.flights.dayRotation['2'].origins.push('XXX');
+      config.hotels.dayRotation['4'].push('ATL');
+      config.flights.destinations.push({ ...config.flights.destinations[0] });
+      delete config.hotels.dayRotation['6'];
+    });
+
+    assert.throws(() => loadRouteConfig(filePath), error => {
+      assert.match(error.message, /flights\.dayRotation\.2\.origins: unknown origin XXX/);
+      assert.match(error.message, /hotels\.dayRotation\.4: unknown destination ATL/);
+      assert.match(error.message, /flights\.destinations: duplicate code/);
+      assert.match(error.message, /hotels\.dayRotation: missing day 6/);
+      return true;
+    });
+    assert.throws(() => loadRouteConfig(writeConfig(config => { delete config.flights.origins; })), /Invalid route config/);
+  });
+
+  test('routes come from the rotation unless overridden, and unknown codes are errors', () => {
+    const config = loadRouteConfig(CONFIG_PATH);
+    const rotation = config.flights.dayRotation['2'];
+
+    const day = selectFlightRoutes({ ...config, run: { coverage: 'rotation' } }, { day: 2 });
+    assert.deepEqual([day.allRoutes, day.origins.map(o => o.code)], [false, rotation.origins]);
+    assert.equal(selectFlightRoutes(config, { allRoutes: true }).destinations.length, config.flights.destinations.length);
+    assert.deepEqual(selectFlightRoutes(config, { day: 2, origins: ['JFK'], destinations: ['LIS'] }).origins.map(o => o.code), ['JFK']);
+    assert.throws(() => selectFlightRoutes(config, { day: 2, origins: ['XXX'] }), /Unknown origin code: XXX/);
+    assert.throws(() => selectHotelDestinations(config, { destinations: ['ATL'] }), /Unknown hotel destination code: ATL/);
+  });
+
+  test('run settings default, then the config, then the CLI', () => {
+    assert.deepEqual(getRunSettings({}), { concurrency: 1, coverage: 'rotation' });
+    assert.deepEqual(getRunSettings({ run: { concurrency: 4, coverage: 'full' } }, { concurrency: 2 }), { concurrency: 2, coverage: 'full' });
+  });
+
+  test('CLI flags parse to options, with defaults', () => {
+    assert.deepEqual(parseCliOptions([]), { origins: undefined, destinations: undefined, allRoutes: false, flexibleDates: false });
+    assert.deepEqual(parseCliOptions(['--origin', 'jfk,lax', '--origin', 'SFO', '--dest', 'lis', '--day', '3', '--concurrency', '4',
+      '--replay', '--flex', '--market', 'UK']), {
+      origins: ['JFK', 'LAX', 'SFO'],
+      destinations: ['LIS'],
+      allRoutes: false,
+      flexibleDates: true,
+      day: 3,
+      pageMode: 'replay',
+      concurrency: 4,
+      market: 'UK'
+    });
+    assert.equal(parseCliOptions(['--all-routes']).allRoutes, true);
+  });
+
+  test('bad CLI flags are errors', () => {
+    assert.throws(() => parseCliOptions(['--day', '7']), /--day must be 0 \(Sunday\) to 6 \(Saturday\), got "7"/);
+    assert.throws(() => parseCliOptions(['--concurrency', '12']), /--concurrency must be 1 to 8/);
+    assert.throws(() => parseCliOptions(['--record', '--replay']), /can't be used together/);
+    assert.throws(() => parseCliOptions(['--market', 'XX']));
+    assert.throws(() => parseCliOptions(['--origins', 'JFK']), { code: 'ERR_PARSE_ARGS_UNKNOWN_OPTION' });
+  });
+});
+
+describe('rate limiter and worker pool', () => {
+  // Time only moves when the limiter sleeps
+  function fakeClock() {
+    const clock = { time: 0, sleeps: [] };
+    clock.now = () => clock.time;
+    clock.sleep = async ms => {
+      clock.sleeps.push(ms);
+      clock.time += ms;
+    };
+    return clock;
+  }
+
+  test('failures double the delay up to maxDelayMs, successes bring it back down', () => {
+    const limiter = createRateLimiter({ minDelayMs: 1000, maxDelayMs: 10000 });
+    const delays = [];
+    for (let i = 0; i < 5; i++) {
+      limiter.reportFailure();
+      delays.push(limiter.getDelay());
+    }
+    assert.deepEqual(delays, [2000, 4000, 8000, 10000, 10000]);
+
+    limiter.reportSuccess();
+    assert.equal(limiter.getDelay(), 7500);
+    for (let i = 0; i < 20; i++) limiter.reportSuccess();
+    assert.equal(limiter.getDelay(), 1000);
+
+    // A short minimum still backs off by at least backoffStepMs
+    const fast = createRateLimiter({ minDelayMs: 200 });
+    fast.reportFailure();
+    assert.equal(fast.getDelay(), 1200);
+  });
+
+  test('callers are spaced by the current delay plus jitter', async () => {
+    const clock = fakeClock();
+    const limiter = createRateLimiter({ minDelayMs: 1000, jitterMs: 1000, clock, random: () => 0.5 });
+
+    await limiter.wait();
+    await limiter.wait();
+    limiter.reportFailure();
+    await limiter.wait();
+    await limiter.wait();
+    assert.deepEqual(clock.sleeps, [1500, 1500, 2500]);
+  });
+
+  test('the pool runs at most `concurrency` items at once and keeps item order', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const workers = new Set();
+    const results = await runPool([1, 2, 3, 4, 5], 2, async (item, worker) => {
+      workers.add(worker);
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, item % 2 ? 5 : 1));
+      active--;
+      return item * 10;
+    });
+
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+    assert.equal(maxActive, 2);
+    assert.deepEqual([...workers].sort(), [0, 1]);
+    assert.deepEqual(await runPool([], 4, async () => 1), []);
+  });
+
+  test('a failing item doesn\'t stop the others', async () => {
+    const handler = async item => {
+      if (item === 2) throw new Error('page crashed');
+      return [item];
+    };
+
+    const failed = [];
+    const onError = (error, item) => {
+      failed.push([item, error.message]);
+      return [];
+    };
+    assert.deepEqual(await runPool([1, 2, 3], 2, handler, { onError }), [[1], [], [3]]);
+    assert.deepEqual(failed, [[2, 'page crashed']]);
+    assert.deepEqual(await runPool([1, 2, 3], 1, handler), [[1], undefined, [3]]);
+  });
+});
+
+describe('run report', () => {
+  const route = (origin, destination) => ({ origin: { code: origin }, destination: { code: destination, name: destination } });
+  const flight = (destination, price, scrapedAt) => ({ origin: 'JFK', destination, price, scrapedAt });
+
+  // A search as runSource() leaves it
+  function search(report, type, source, target, fields) {
+    return Object.assign(report.startSearch(type, source, target), { status: 'ok', elapsedMs: 1000 }, fields);
+  }
+
+  function buildReport() {
+    const report = createRunReport();
+    const now = new Date(report.startedAt.getTime() + 1000).toISOString();
+
+    search(report, 'flights', 'Google Flights', route('JFK', 'LIS'), { candidates: 3, prices: [389] });
+    search(report, 'flights', 'Google Flights', route('JFK', 'MAD'), { candidates: 2, prices: [420, 450] });
+    report.reject('flights', flight('MAD', 450, now), 'below-threshold', '10% off');
+    report.reject('flights', flight('MAD', 420, now), 'outlier', '60% under the median');
+    search(report, 'flights', 'Google Flights', route('JFK', 'CDG'), { status: 'timeout', error: 'Timeout 30000ms exceeded' });
+    search(report, 'flights', 'Google Flights', route('JFK', 'FCO'), { candidates: 0 });
+    search(report, 'flights', 'Google Flights', route('JFK', 'BCN'), { candidates: 4, prices: [] });
+    // Deals merged in from an earlier run don't count for or against this one
+    report.reject('flights', flight('BCN', 300, '2020-01-01T00:00:00Z'), 'duplicate', 'seen before');
+
+    search(report, 'hotels', 'Google Hotels', { destination: { name: 'Paris' } }, { candidates: 0 });
+    search(report, 'hotels', 'Kayak Deals', { destination: { name: 'Paris' } }, { status: 'error', error: 'selector a | b failed' });
+
+    return report.finish({
+      flights: [flight('LIS', 389, now), flight('BCN', 300, '2020-01-01T00:00:00Z')],
+      hotels: []
+    });
+  }
+
+  test('each route is blamed on the furthest filter reached, else on its search', () => {
+    const result = buildReport();
+    const statuses = Object.fromEntries(result.routes.map(r => [r.route, r.status]));
+
+    assert.deepEqual(statuses, {
+      'JFK → LIS': 'ok',
+      'JFK → MAD': 'outlier',
+      'JFK → CDG': 'timeout',
+      'JFK → FCO': 'no-elements',
+      'JFK → BCN': 'no-prices',
+      'Paris': 'error'
+    });
+    assert.equal(result.routes.find(r => r.route === 'JFK → LIS').dealsKept, 1);
+    assert.equal(result.routes.find(r => r.route === 'JFK → BCN').dealsKept, 0);
+    assert.deepEqual(result.routes.find(r => r.route === 'JFK → MAD').pricesSeen, [420, 450]);
+    assert.equal(result.routes.find(r => r.route === 'Paris').elapsedMs, 2000);
+
+    assert.equal(result.summary.flightRoutes, 5);
+    assert.equal(result.summary.hotelDestinations, 1);
+    assert.equal(result.summary.routesWithDeals, 1);
+    assert.deepEqual(result.summary.byCategory, { ok: 1, outlier: 1, timeout: 1, 'no-elements': 1, 'no-prices': 1, error: 1 });
+    assert.deepEqual(result.summary.rejectionsByFilter, { 'below-threshold': 1, outlier: 1 });
+  });
+
+  test('the markdown and JSON reports are written together, with table cells escaped', () => {
+    const result = buildReport();
+    const markdown = renderMarkdown(result);
+
+    assert.match(markdown, /\| JFK → MAD \| outlier \| 1\.0s \| 2 \| \$420, \$450 \| 0 \| \$450 below-threshold; \$420 outlier \|/);
+    assert.match(markdown, /Kayak Deals: selector a \\\| b failed/);
+    assert.match(markdown, /\| timeout \| 1 \|/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-report-'));
+    try {
+      const jsonPath = writeRunReport(result, path.join(dir, 'output'));
+      assert.deepEqual(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), result);
+      assert.equal(fs.readFileSync(path.join(dir, 'output', 'run-report.md'), 'utf8'), markdown);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('debug artifacts', () => {
+  const defaults = { ...DEBUG_CONFIG };
+
+  // Just enough of a Playwright page for capture()
+  function fakePage({ html = '<html><body>No results</body></html>', screenshot = Buffer.alloc(2000) } = {}) {
+    return {
+      url: () => 'https://www.google.com/travel/flights?q=JFK+LIS',
+      title: async () => 'Google Flights',
+      $$: async selector => {
+        if (selector.startsWith('[')) throw new Error('not a valid selector');
+        return selector === 'li' ? [{}, {}, {}] : [];
+      },
+      content: async () => html,
+      screenshot: async () => screenshot
+    };
+  }
+
+  before(() => {
+    DEBUG_CONFIG.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-artifacts-'));
+    DEBUG_CONFIG.enabled = true;
+  });
+
+  after(() => {
+    fs.rmSync(DEBUG_CONFIG.dir, { recursive: true, force: true });
+    Object.assign(DEBUG_CONFIG, defaults);
+  });
+
+  test('a capture saves selector counts, HTML and a screenshot under run/route', async () => {
+    const store = createArtifactStore('capture-run');
+    const folder = await store.capture(fakePage(), {
+      route: 'JFK → LIS',
+      source: 'Google Flights',
+      attempt: 2,
+      selectors: ['li', '.price', '[broken'],
+      error: new Error('No flights found')
+    });
+
+    const routeDir = path.join(DEBUG_CONFIG.dir, 'capture-run', 'jfk-lis');
+    assert.ok(folder.endsWith(path.join('capture-run', 'jfk-lis')));
+    assert.deepEqual(fs.readdirSync(routeDir).sort(), ['google-flights-2-page.html', 'google-flights-2-screenshot.png', 'google-flights-2-selectors.json']);
+
+    const summary = JSON.parse(fs.readFileSync(path.join(routeDir, 'google-flights-2-selectors.json'), 'utf8'));
+    assert.equal(summary.error, 'No flights found');
+    assert.equal(summary.title, 'Google Flights');
+    assert.deepEqual(summary.selectorCounts, { li: 3, '.price': 0, '[broken': 'error: not a valid selector' });
+  });
+
+  test('past the size cap screenshots are skipped, selector counts are still written', async () => {
+    // The cap counts what's already on disk, so about 3KB are taken by the previous test
+    DEBUG_CONFIG.maxTotalBytes = 20000;
+    try {
+      const store = createArtifactStore('capture-run');
+      await store.capture(fakePage({ screenshot: Buffer.alloc(10000) }), { route: 'JFK → MAD', source: 'Google Flights' });
+      await store.capture(fakePage({ screenshot: Buffer.alloc(10000) }), { route: 'JFK → CDG', source: 'Google Flights' });
+    } finally {
+      DEBUG_CONFIG.maxTotalBytes = defaults.maxTotalBytes;
+    }
+
+    assert.equal(fs.readdirSync(path.join(DEBUG_CONFIG.dir, 'capture-run', 'jfk-mad')).length, 3);
+    assert.deepEqual(fs.readdirSync(path.join(DEBUG_CONFIG.dir, 'capture-run', 'jfk-cdg')).sort(), ['google-flights-1-page.html', 'google-flights-1-selectors.json']);
+  });
+
+  test('the first capture of a run prunes all but the newest runs', async () => {
+    const days = [1, 2, 3, 4, 5, 6].map(day => makeRunId(new Date(Date.UTC(2026, 9, day))));
+    for (const runId of days) fs.mkdirSync(path.join(DEBUG_CONFIG.dir, runId));
+    fs.rmSync(path.join(DEBUG_CONFIG.dir, 'capture-run'), { recursive: true });
+
+    const store = createArtifactStore(makeRunId(new Date(Date.UTC(2026, 9, 7))));
+    assert.equal(fs.readdirSync(DEBUG_CONFIG.dir).length, 6);
+
+    await store.capture(fakePage(), { route: 'Paris', source: 'Google Hotels' });
+    assert.deepEqual(fs.readdirSync(DEBUG_CONFIG.dir).sort(), [...days.slice(2), store.runId]);
+  });
+
+  test('captures are skipped when disabled and never throw', async () => {
+    const store = createArtifactStore('quiet-run');
+    const broken = { ...fakePage(), content: async () => { throw new Error('Target page has been closed'); } };
+    assert.equal(await store.capture(broken, { route: 'Rome', source: 'Google Hotels' }), null);
+    assert.equal(await store.capture(null, { route: 'Rome', source: 'Google Hotels' }), null);
+
+    DEBUG_CONFIG.enabled = false;
+    try {
+      assert.equal(await createArtifactStore('off-run').capture(fakePage(), { route: 'Rome', source: 'Google Hotels' }), null);
+    } finally {
+      DEBUG_CONFIG.enabled = true;
+    }
+    assert.ok(!fs.existsSync(path.join(DEBUG_CONFIG.dir, 'off-run')));
+  });
+});
+
+describe('flexible-date matrix', () => {
+  const ROUTES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'routes.json'), 'utf8'));
+  const TODAY = new Date('2026-10-18T12:00:00Z');
+
+  test('a tight budget still searches every trip length, near and far', () => {
+    // Shipped settings across the full 120-route list
+    const plan = planItineraries(ROUTES.flights.flexibleDates, 120, TODAY, ROUTES.run.concurrency);
+    assert.equal(plan.length, 4);
+    assert.deepEqual(plan.map(itinerary => itinerary.tripLength).sort(), ['10 days', '5 days', '7 days', 'Weekend']);
+    assert.equal(new Set(plan.map(itinerary => itinerary.departDate)).size, 4);
+  });
+
+  test('picks are spread over trip lengths and weeks, and rotate by day when the budget is smaller', () => {
+    const settings = { ...ROUTES.flights.flexibleDates, budgetMinutes: 24 };
+    const plan = planItineraries(settings, 120, TODAY, 4);
+    const lengths = plan.map(itinerary => itinerary.tripLength);
+    assert.equal(plan.length, 8);
+    assert.ok(['Weekend', '5 days', '7 days', '10 days'].every(length => lengths.filter(l => l === length).length === 2));
+
+    const covered = new Set([0, 1, 2, 3].map(day => planItineraries(ROUTES.flights.flexibleDates, 120, addDays(TODAY, day))[0].tripLength));
+    assert.equal(covered.size, 4);
+  });
+});
+
+describe('source extraction from saved pages', () => {
+  let session;
+
+  before(async () => {
+    if (hasChromium) session = await launchBrowser();
+  });
+
+  after(async () => {
+    if (session) await session.browser.close();
+  });
+
+  function replayCtx(extra = {}) {
+    return { page: session.page, pageMode: 'replay', dayOfWeek: 6, ...extra };
+  }
+
+  test('Google Flights returns the lowest price with its dates', browserTest, async () => {
+    const outcome = {};
+    const deals = await runSource(getSource('Google Flights'), replayCtx({ itineraries: [ITINERARY] }),
+      { origin: JFK, destination: LIS }, outcome);
+
+    assert.equal(deals.length, 1);
+    assert.equal(deals[0].price, 389);
+    assert.equal(deals[0].departDate, '2026-12-18');
+    assert.equal(deals[0].returnDate, '2026-12-25');
+    assert.equal(deals[0].destinationCountry, 'Portugal');
+    assert.equal(outcome.candidates, 3);
+    assert.deepEqual(outcome.prices, [412, 389, 530]);
+  });
+
+  test('Google Flights reports a page without prices as empty', browserTest, async () => {
+    const outcome = {};
+    const deals = await runSource(getSource('Google Flights'), replayCtx({ itineraries: [ITINERARY] }),
+      { origin: JFK, destination: PAR }, outcome);
+
+    assert.deepEqual(deals, []);
+    assert.equal(outcome.status, 'empty');
+    assert.equal(outcome.candidates, 0);
+  });
+
+  test('Google Flights Explore resolves destination cards to airports and dates', browserTest, async () => {
+    const outcome = {};
+    const deals = await runSource(getSource('Google Flights Explore'), replayCtx(), { origin: JFK }, outcome);
+
+    // Atlantis isn't in the gazetteer and is skipped
+    assert.deepEqual(deals.map(d => [d.destination, d.destinationCountry, d.price]),
+      [['LIS', 'Portugal', 389], ['KEF', 'Iceland', 298]]);
+    assert.equal(deals[0].tripLength, '7 days');
+    assert.equal(deals[1].tripLength, '4 days');
+    assert.equal(outcome.candidates, 4);
+  });
+
+  test('Google Hotels reads name, price, taxes, usual price and rating', browserTest, async () => {
+    const deals = await runSource(getSource('Google Hotels'), replayCtx(), { destination: LIS });
+
+    assert.deepEqual(
+      deals.map(d => [d.hotelName, d.pricePerNight, d.originalPrice, d.rating]),
+      [
+        ['Hotel Avenida Palace', 142, 265, 4.6],
+        ['Lisbon Budget Inn', 58, null, 3.9],
+        ['Alfama Guesthouse', 110, null, 4.4]
+      ]
+    );
+    assert.equal(deals[0].nights, 3);
+    assert.deepEqual(deals.map(d => [d.totalPrice, d.taxesIncluded]), [[495, true], [null, false], [330, true]]);
+  });
+
+  test('Google Hotels re-checks a hotel on the deal\'s own stay dates', browserTest, async () => {
+    const source = getSource('Google Hotels');
+    const deal = { hotelName: 'Hotel Avenida Palace', location: 'Lisbon', checkinDate: '2027-01-08', checkoutDate: '2027-01-10', nights: 2 };
+
+    assert.deepEqual(await verifyWithSource(source, replayCtx(), { destination: LIS }, deal),
+      { price: { amount: 142, currency: 'USD' }, error: null });
+    assert.match(session.page.url(), /checkin=2027-01-08&checkout=2027-01-10/);
+
+    // Not among the listed hotels: can't tell, rather than gone
+    assert.deepEqual(await verifyWithSource(source, replayCtx(), { destination: LIS }, { ...deal, hotelName: 'Pestana Palace' }),
+      { price: undefined, error: null });
+  });
+
+  test('Kayak Deals keeps only advertised discounts of 30% or more', browserTest, async () => {
+    const deals = await runSource(getSource('Kayak Deals'), replayCtx(), {});
+
+    assert.deepEqual(deals.map(d => [d.hotelName, d.location, d.pricePerNight, d.percentOff]), [['Hotel Riu Plaza', 'New York', 129, 42]]);
+  });
+
+  test('GetYourGuide search returns linked activities', browserTest, async () => {
+    const activities = await searchGetYourGuide('tokyo', 10, { pageMode: 'replay' });
+
+    assert.deepEqual(activities.map(a => [a.title, a.price, a.rating]), [
+      ['Tokyo: Full-Day Sightseeing Bus Tour', 89, 4.7],
+      ['Tsukiji Outer Market Food Tour', 65, null]
+    ]);
+    assert.equal(activities[0].url, 'https://www.getyourguide.com/tokyo-l193/tokyo-full-day-bus-tour-t286547/activity/286547');
+    assert.equal(activities[0].reviewCount, '2,345');
+  });
+});
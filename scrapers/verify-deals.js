@@ -0,0 +1,205 @@
+/**
+ * Pre-publish Deal Verification for eTravelogs
+ * Deals can sit in output/flights.json and hotels.json for up to 7 days, so before
+ * posts are generated every deal's current price is re-checked on its source
+ * (the source's verify() hook, see sources/index.js):
+ *
+ *   verified      - still listed, at most tolerancePercent above the saved price
+ *   stale         - price rose past the tolerance: dropped and quarantined
+ *   gone          - no longer listed: dropped and quarantined
+ *   unverifiable  - the source can't re-check it (no verify() hook, no dates, not in the
+ *                   results): kept
+ *   failed        - the check errored: kept
+ *
+ * Each deal gets verificationStatus, verifiedAt, verifiedPrice and priceDelta/priceDeltaPercent.
+ * Posts only call a deal "verified" when it was verified within maxAgeHours.
+ *
+ * Usage:
+ *   npm run verify
+ *   npm run verify -- --replay      (against saved pages, see page-fixtures.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSources, verifyWithSource, describeTarget } = require('./sources');
+const { launchBrowser } = require('./browser');
+const { quarantineDeals } = require('./deal-validator');
+const { loadRouteConfig } = require('./route-config');
+const { parseCliOptions } = require('./cli-options');
+const { getMarket, convertAmount, formatMoney } = require('./markets');
+
+const VERIFY_CONFIG = {
+  // How far a price may have risen and still be published
+  tolerancePercent: 5,
+
+  // A verification older than this no longer counts as "verified" in posts
+  maxAgeHours: 24
+};
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'output');
+const PRICE_FIELDS = { flights: 'price', hotels: 'pricePerNight' };
+const DROPPED_STATUSES = ['stale', 'gone'];
+
+/**
+ * Search target for re-checking a deal, or null when its route isn't known
+ */
+function buildVerifyTarget(type, deal, routes) {
+  if (type === 'flights') {
+    if (!deal.departDate || !deal.returnDate) return null;
+    return {
+      origin: routes.flights.origins.find(o => o.code === deal.origin) || { code: deal.origin, name: deal.originName },
+      destination: { code: deal.destination, name: deal.destinationName, country: deal.destinationCountry }
+    };
+  }
+
+  const destination = routes.hotels.destinations.find(d => d.name === deal.location);
+  return destination ? { destination } : null;
+}
+
+/**
+ * Record the outcome of a check on a deal
+ *
+ * @param {Object} check - { status: 'checked', price: { amount, currency } | null } or { status: 'unverifiable' | 'failed' }
+ * @returns {Object} the deal with verificationStatus, verifiedAt, verifiedPrice, priceDelta, priceDeltaPercent
+ */
+function applyVerification(type, deal, check, now = new Date()) {
+  const unchecked = { verifiedAt: null, verifiedPrice: null, priceDelta: null, priceDeltaPercent: null };
+
+  if (check.status !== 'checked') {
+    return { ...deal, ...unchecked, verificationStatus: check.status };
+  }
+  if (!check.price) {
+    return { ...deal, ...unchecked, verificationStatus: 'gone', verifiedAt: now.toISOString() };
+  }
+
+  const savedPrice = deal[PRICE_FIELDS[type]];
+  const currentPrice = Math.round(convertAmount(check.price.amount, check.price.currency, deal.currency));
+  const priceDelta = currentPrice - savedPrice;
+  const priceDeltaPercent = Math.round((priceDelta / savedPrice) * 1000) / 10;
+
+  return {
+    ...deal,
+    verificationStatus: priceDeltaPercent > VERIFY_CONFIG.tolerancePercent ? 'stale' : 'verified',
+    verifiedAt: now.toISOString(),
+    verifiedPrice: currentPrice,
+    priceDelta,
+    priceDeltaPercent
+  };
+}
+
+/**
+ * True when a deal may be called "verified": re-checked and within tolerance recently
+ */
+function isVerified(deal, now = new Date()) {
+  if (deal.verificationStatus !== 'verified' || !deal.verifiedAt) return false;
+  return now - new Date(deal.verifiedAt) <= VERIFY_CONFIG.maxAgeHours * 60 * 60 * 1000;
+}
+
+function describeDeal(type, deal) {
+  return type === 'flights' ? `${deal.origin} → ${deal.destination}` : `${deal.hotelName} (${deal.location})`;
+}
+
+/**
+ * Re-check every deal of one type, opening the shared browser session on first use
+ *
+ * @param {Object} state - { session, routes, market, pageMode }, shared between types
+ * @returns {Promise<Array>} the deals with their verification fields
+ */
+async function verifyDeals(type, deals, state) {
+  const results = [];
+
+  for (const deal of deals) {
+    const source = getSources(type).find(s => s.name === deal.source);
+    const target = buildVerifyTarget(type, deal, state.routes);
+    let check = { status: 'unverifiable' };
+
+    if (source && source.verify && target) {
+      if (source.needsBrowser && !state.session) state.session = await launchBrowser();
+
+      const page = source.needsBrowser ? state.session.page : null;
+      const { price, error } = await verifyWithSource(source, { page, pageMode: state.pageMode, market: state.market }, target, deal);
+      if (error) {
+        console.error(`  Check of ${describeDeal(type, deal)} (${describeTarget(target)}) failed:`, error.message);
+        check = { status: 'failed' };
+      } else if (price === undefined) {
+        check = { status: 'unverifiable' };
+      } else {
+        check = { status: 'checked', price };
+      }
+    }
+
+    const verified = applyVerification(type, deal, check);
+    const delta = verified.verifiedPrice !== null
+      ? ` now ${formatMoney(verified.verifiedPrice, deal.currency)} (${verified.priceDelta >= 0 ? '+' : ''}${verified.priceDeltaPercent}%)`
+      : '';
+    console.log(`  ${describeDeal(type, deal)} ${formatMoney(deal[PRICE_FIELDS[type]], deal.currency)}: ${verified.verificationStatus}${delta}`);
+    results.push(verified);
+  }
+
+  return results;
+}
+
+/**
+ * Verify output/flights.json and output/hotels.json in place
+ * Stale and gone deals are removed from the files and quarantined
+ *
+ * @param {Object} options - from parseCliOptions() ({ pageMode, market })
+ * @returns {Promise<Object>} deal count per status
+ */
+async function runVerification(options = {}) {
+  const state = { session: null, routes: loadRouteConfig(), market: getMarket(options.market), pageMode: options.pageMode };
+  const summary = {};
+
+  try {
+    for (const type of ['flights', 'hotels']) {
+      const filePath = path.join(OUTPUT_DIR, `${type}.json`);
+      if (!fs.existsSync(filePath)) {
+        console.log(`No ${type} deals to verify`);
+        continue;
+      }
+
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      console.log(`\nVerifying ${(data.deals || []).length} ${type} deal(s)...`);
+      const verified = await verifyDeals(type, data.deals || [], state);
+
+      const kept = verified.filter(deal => !DROPPED_STATUSES.includes(deal.verificationStatus));
+      const dropped = verified.filter(deal => DROPPED_STATUSES.includes(deal.verificationStatus));
+      quarantineDeals(type, dropped.map(deal => ({
+        deal,
+        rule: deal.verificationStatus,
+        reason: deal.verificationStatus === 'gone'
+          ? 'No longer listed on its source'
+          : `Price rose ${deal.priceDeltaPercent}% since it was found (tolerance ${VERIFY_CONFIG.tolerancePercent}%)`
+      })));
+
+      fs.writeFileSync(filePath, JSON.stringify({ ...data, verified: new Date().toISOString(), count: kept.length, deals: kept }, null, 2));
+
+      for (const deal of verified) {
+        summary[deal.verificationStatus] = (summary[deal.verificationStatus] || 0) + 1;
+      }
+    }
+  } finally {
+    if (state.session) await state.session.browser.close();
+  }
+
+  return summary;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+  Promise.resolve()
+    .then(() => runVerification(parseCliOptions()))
+    .then(summary => {
+      const counts = Object.entries(summary).map(([status, count]) => `${count} ${status}`);
+      console.log(`\nVerification complete: ${counts.join(', ') || 'no deals'}`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('Verification failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { VERIFY_CONFIG, runVerification, verifyDeals, applyVerification, isVerified };
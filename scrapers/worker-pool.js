@@ -0,0 +1,42 @@
+/**
+ * Worker Pool for the scrapers
+ * Runs a handler over a list of items with a fixed number of workers;
+ * each worker keeps its own index so it can own a browser page
+ *
+ * An item whose handler throws doesn't stop the pool: the worker moves on to
+ * the next item and the failed item's result is whatever onError returns.
+ */
+
+/**
+ * @param {Array} items
+ * @param {number} concurrency - number of workers
+ * @param {function(item, workerIndex): Promise<*>} handler
+ * @param {Object} options - { onError(error, item): result for a failed item (default: logs it, undefined) }
+ * @returns {Promise<Array>} handler results, in item order
+ */
+async function runPool(items, concurrency, handler, options = {}) {
+  const onError = options.onError || ((error, item) => {
+    console.error(`Pool item ${items.indexOf(item) + 1} of ${items.length} failed:`, error.message);
+    return undefined;
+  });
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker(workerIndex) {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await handler(items[index], workerIndex);
+      } catch (error) {
+        results[index] = onError(error, items[index]);
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, (_, i) => worker(i)));
+
+  return results;
+}
+
+module.exports = { runPool };
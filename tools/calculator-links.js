@@ -0,0 +1,82 @@
+/**
+ * Calculator Affiliate Links
+ * The calculator pages are static HTML, so their "Search Flights / Search Hotels"
+ * buttons can't call scrapers/affiliates.js when they run. This writes the links
+ * into each page's ETL_LINKS constant instead.
+ *
+ * Usage:
+ *   npm run calculator:links                 (after changing affiliate IDs or config/affiliates.json)
+ *   MARKET=UK npm run calculator:links
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildLandingLink } = require('../scrapers/affiliates');
+const { getMarket } = require('../scrapers/markets');
+
+const CALCULATOR_FILES = [
+  path.join(__dirname, '..', 'calculator', 'slim-calculator.html'),
+  path.join(__dirname, '..', 'calculator', 'wordpress-embed.html')
+];
+
+const LINKS_LINE = /const ETL_LINKS = (\{.*\}); \/\/ Generated by npm run calculator:links/;
+
+/**
+ * Landing page links for the calculator buttons
+ */
+function buildCalculatorLinks(market = getMarket()) {
+  return {
+    flights: buildLandingLink({ lob: 'flights' }, { market }).url,
+    hotels: buildLandingLink({ lob: 'hotels' }, { market }).url
+  };
+}
+
+/**
+ * The ETL_LINKS currently written in a calculator page
+ */
+function readCalculatorLinks(filePath) {
+  const match = fs.readFileSync(filePath, 'utf8').match(LINKS_LINE);
+  if (!match) {
+    throw new Error(`${path.basename(filePath)} has no "const ETL_LINKS = ...; // Generated by npm run calculator:links" line`);
+  }
+  return JSON.parse(match[1]);
+}
+
+/**
+ * Write the links into every calculator page
+ *
+ * @returns {Array<string>} the files that changed
+ */
+function writeCalculatorLinks(links, files = CALCULATOR_FILES) {
+  const changed = [];
+  for (const filePath of files) {
+    readCalculatorLinks(filePath);
+    const html = fs.readFileSync(filePath, 'utf8');
+    const updated = html.replace(LINKS_LINE, `const ETL_LINKS = ${JSON.stringify(links)}; // Generated by npm run calculator:links`);
+    if (updated !== html) {
+      fs.writeFileSync(filePath, updated);
+      changed.push(filePath);
+    }
+  }
+  return changed;
+}
+
+// Run if called directly
+if (require.main === module) {
+  require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+  try {
+    const links = buildCalculatorLinks();
+    const changed = writeCalculatorLinks(links);
+    console.log(`Flights: ${links.flights}`);
+    console.log(`Hotels:  ${links.hotels}`);
+    console.log(changed.length
+      ? `Updated ${changed.map(file => path.relative(process.cwd(), file)).join(', ')}`
+      : 'Calculator links already up to date');
+  } catch (err) {
+    console.error('Updating calculator links failed:', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { CALCULATOR_FILES, buildCalculatorLinks, readCalculatorLinks, writeCalculatorLinks };
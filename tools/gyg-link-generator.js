@@ -7,6 +7,7 @@
  *   node tools/gyg-link-generator.js "tokyo"
  *   node tools/gyg-link-generator.js "barcelona tours"
  *   node tools/gyg-link-generator.js --list "paris,rome,london"
+ *   PAGE_MODE=replay node tools/gyg-link-generator.js "tokyo"   (saved page, see scrapers/page-fixtures.js)
  *
  * This tool:
  * 1. Searches GetYourGuide for your destination/activity
@@ -17,16 +18,33 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { createArtifactStore } = require('../scrapers/debug-artifacts');
+const { createPageLoader } = require('../scrapers/page-fixtures');
+const { parsePrice, formatMoney } = require('../scrapers/markets');
+const { buildActivityLink } = require('../scrapers/affiliates');
+const { cleanText, escapeHtml, escapeAttribute, escapeMarkdown, safeUrl } = require('../scrapers/sanitize');
 
-// Your GetYourGuide partner base URL
-// Note: GYG uses query parameter 'partner_id' or path-based tracking
-// Update this with your actual partner tracking format
+// Search pages are loaded from here; activity links get GYG_PARTNER_ID via scrapers/affiliates.js
 const GYG_BASE = 'https://www.getyourguide.com';
 
+const SELECTORS = {
+  cards: '[data-activity-id], .activity-card, [data-testid="activity-card"]',
+  link: 'a[href*="/activity/"]',
+  title: 'h3, h2, [data-testid="activity-card-title"]',
+  price: '[data-testid="activity-card-price"], .activity-card-price',
+  rating: '[data-testid="activity-card-rating"], .activity-rating'
+};
+
+function getSearchUrl(searchQuery) {
+  return `${GYG_BASE}/s/?q=${encodeURIComponent(searchQuery)}&searchSource=3`;
+}
+
 /**
  * Search GetYourGuide and return top activities
+ *
+ * @param {Object} options - { pageMode: 'live' | 'record' | 'replay' } (default: PAGE_MODE)
  */
-async function searchGetYourGuide(searchQuery, limit = 10) {
+async function searchGetYourGuide(searchQuery, limit = 10, options = {}) {
   console.log(`\n🔍 Searching GetYourGuide for: "${searchQuery}"`);
 
   const browser = await chromium.launch({
@@ -41,42 +59,44 @@ async function searchGetYourGuide(searchQuery, limit = 10) {
 
   const page = await context.newPage();
   const activities = [];
+  let failure = null;
 
   try {
     // Search URL
-    const searchUrl = `${GYG_BASE}/s/?q=${encodeURIComponent(searchQuery)}&searchSource=3`;
-    await page.goto(searchUrl, { waitUntil: 'networkidle', timeout: 30000 });
-    await page.waitForTimeout(3000);
+    const searchUrl = getSearchUrl(searchQuery);
+    const loadPage = createPageLoader(page, { source: 'GetYourGuide', route: searchQuery, mode: options.pageMode });
+    await loadPage(searchUrl, { waitUntil: 'networkidle', timeout: 30000, settleMs: 3000 });
 
     // Find activity cards
-    const cards = await page.$$('[data-activity-id], .activity-card, [data-testid="activity-card"]');
+    const cards = await page.$$(SELECTORS.cards);
 
     console.log(`Found ${cards.length} activities`);
 
     for (const card of cards.slice(0, limit)) {
       try {
         // Get activity link
-        const linkElement = await card.$('a[href*="/activity/"]');
+        const linkElement = await card.$(SELECTORS.link);
         if (!linkElement) continue;
 
         const href = await linkElement.getAttribute('href');
         const fullUrl = href.startsWith('http') ? href : `${GYG_BASE}${href}`;
 
         // Get activity title
-        const titleElement = await card.$('h3, h2, [data-testid="activity-card-title"]');
-        const title = titleElement ? (await titleElement.textContent()).trim() : 'Activity';
+        const titleElement = await card.$(SELECTORS.title);
+        const title = (titleElement && cleanText(await titleElement.textContent())) || 'Activity';
 
         // Get price
-        const priceElement = await card.$('[data-testid="activity-card-price"], .activity-card-price');
+        const priceElement = await card.$(SELECTORS.price);
         let price = null;
+        let currency = null;
         if (priceElement) {
-          const priceText = await priceElement.textContent();
-          const priceMatch = priceText.match(/\$(\d+)/);
-          price = priceMatch ? parseInt(priceMatch[1]) : null;
+          const parsed = parsePrice(await priceElement.textContent());
+          price = parsed ? parsed.amount : null;
+          currency = parsed ? parsed.currency : null;
         }
 
         // Get rating
-        const ratingElement = await card.$('[data-testid="activity-card-rating"], .activity-rating');
+        const ratingElement = await card.$(SELECTORS.rating);
         let rating = null;
         let reviewCount = null;
         if (ratingElement) {
@@ -93,11 +113,12 @@ async function searchGetYourGuide(searchQuery, limit = 10) {
 
         activities.push({
           title,
-          url: fullUrl,
+          url: buildActivityLink({ url: fullUrl }).url,
           price,
+          currency,
           rating,
           reviewCount,
-          imageUrl,
+          imageUrl: safeUrl(imageUrl),
           searchQuery
         });
       } catch (e) {
@@ -106,23 +127,56 @@ async function searchGetYourGuide(searchQuery, limit = 10) {
     }
   } catch (error) {
     console.error('Search failed:', error.message);
+    failure = error;
+  }
+
+  // Save the page when nothing was extracted, so a selector break can be diagnosed
+  if (failure || activities.length === 0) {
+    const dir = await createArtifactStore().capture(page, {
+      route: `gyg ${searchQuery}`,
+      source: 'GetYourGuide',
+      selectors: Object.values(SELECTORS),
+      error: failure
+    });
+    if (dir) console.log(`Debug artifacts saved to ${dir}`);
   }
 
   await browser.close();
   return activities;
 }
 
+/**
+ * Activities as they may be published: cleaned text, and only GetYourGuide links and images
+ * (see scrapers/sanitize.js) - activities without a safe link are left out
+ */
+function toSafeActivities(activities) {
+  return activities.flatMap(act => {
+    const url = safeUrl(act.url);
+    if (!url) return [];
+    return [{
+      ...act,
+      title: cleanText(act.title) || 'Activity',
+      url,
+      imageUrl: safeUrl(act.imageUrl),
+      rating: Number.isFinite(act.rating) ? act.rating : null,
+      reviewCount: cleanText(act.reviewCount) || null
+    }];
+  });
+}
+
 /**
  * Format activities for different outputs
  */
-function formatOutput(activities, format = 'markdown') {
+function formatOutput(allActivities, format = 'markdown') {
+  const activities = toSafeActivities(allActivities);
+
   if (format === 'markdown') {
     let output = `## Top Activities\n\n`;
     activities.forEach((act, i) => {
-      output += `### ${i + 1}. ${act.title}\n`;
-      if (act.rating) output += `⭐ ${act.rating}${act.reviewCount ? ` (${act.reviewCount} reviews)` : ''}\n`;
-      if (act.price) output += `💰 From $${act.price}\n`;
-      output += `🔗 [Book Now](${act.url})\n\n`;
+      output += `### ${i + 1}. ${escapeMarkdown(act.title)}\n`;
+      if (act.rating) output += `⭐ ${act.rating}${act.reviewCount ? ` (${escapeMarkdown(act.reviewCount)} reviews)` : ''}\n`;
+      if (act.price) output += `💰 From ${formatMoney(act.price, act.currency || 'USD')}\n`;
+      output += `🔗 [Book Now](${act.url.replace(/[()]/g, encodeURIComponent)})\n\n`;
     });
     return output;
   }
@@ -131,11 +185,11 @@ function formatOutput(activities, format = 'markdown') {
     let output = `<div class="gyg-activities">\n`;
     activities.forEach((act) => {
       output += `  <div class="activity">\n`;
-      if (act.imageUrl) output += `    <img src="${act.imageUrl}" alt="${act.title}" />\n`;
-      output += `    <h3>${act.title}</h3>\n`;
+      if (act.imageUrl) output += `    <img src="${escapeHtml(act.imageUrl)}" alt="${escapeAttribute(act.title)}" />\n`;
+      output += `    <h3>${escapeHtml(act.title)}</h3>\n`;
       if (act.rating) output += `    <span class="rating">⭐ ${act.rating}</span>\n`;
-      if (act.price) output += `    <span class="price">From $${act.price}</span>\n`;
-      output += `    <a href="${act.url}" class="btn" target="_blank" rel="nofollow sponsored">Book Now</a>\n`;
+      if (act.price) output += `    <span class="price">From ${formatMoney(act.price, act.currency || 'USD')}</span>\n`;
+      output += `    <a href="${escapeHtml(act.url)}" class="btn" target="_blank" rel="nofollow sponsored">Book Now</a>\n`;
       output += `  </div>\n`;
     });
     output += `</div>`;
@@ -271,4 +325,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { searchGetYourGuide, formatOutput, generateDestinationLinks };
+module.exports = { searchGetYourGuide, formatOutput, generateDestinationLinks, getSearchUrl, SELECTORS };
@@ -0,0 +1,166 @@
+/**
+ * Featured Images for eTravelogs posts
+ * Each post gets a deal card image for its top deal (route or hotel, price, percent off, date),
+ * rendered from wordpress/templates/<version>/featured-image.html with headless Chromium and
+ * uploaded to the WordPress media library:
+ *
+ *   post.featuredImage     - the card's text and alt text (generateFlightDealsPost / generateHotelDealsPost)
+ *   renderFeaturedImages() - PNG per post, from one browser
+ *   uploadFeaturedImage()  - POST /wp-json/wp/v2/media, then its alt text; returns the media ID.
+ *                            Filenames carry a hash of the image, so re-publishing the same
+ *                            card reuses the earlier upload instead of adding another
+ *
+ * Images are optional: without Chromium or when the upload fails, posts go out without one.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { launchBrowser } = require('../scrapers/browser');
+const { renderTemplate, listTemplateVersions, TEMPLATES_DIR } = require('./templates');
+
+const FEATURED_IMAGE_CONFIG = {
+  // Open Graph size, so shared links show the whole card
+  width: 1200,
+  height: 630,
+  requestTimeoutMs: 30000
+};
+
+/**
+ * The card page for a post's featuredImage, as HTML
+ *
+ * @param {Object} card - post.featuredImage
+ * @param {Object} options - { version: template version (default v1), dir }
+ */
+function buildFeaturedImageHtml(card, { version = 'v1', dir = TEMPLATES_DIR } = {}) {
+  const templatePath = path.join(dir, version, 'featured-image.html');
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`No featured image template for version "${version}" (have ${listTemplateVersions(dir).join(', ') || 'none'})`);
+  }
+  return renderTemplate(fs.readFileSync(templatePath, 'utf8'), {
+    ...card,
+    width: FEATURED_IMAGE_CONFIG.width,
+    height: FEATURED_IMAGE_CONFIG.height
+  });
+}
+
+/**
+ * Screenshot a card as PNG on an open page
+ */
+async function renderCard(page, card, options) {
+  await page.setViewportSize({ width: FEATURED_IMAGE_CONFIG.width, height: FEATURED_IMAGE_CONFIG.height });
+  await page.setContent(buildFeaturedImageHtml(card, options), { waitUntil: 'load' });
+  return page.screenshot({ type: 'png' });
+}
+
+/**
+ * Render one post's featured image
+ *
+ * @param {Object} card - post.featuredImage
+ * @param {Object} options - { version, page: open Playwright page to reuse }
+ * @returns {Promise<Buffer>} PNG
+ */
+async function renderFeaturedImage(card, options = {}) {
+  if (options.page) return renderCard(options.page, card, options);
+
+  const { browser, page } = await launchBrowser();
+  try {
+    return await renderCard(page, card, options);
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Render the featured images for several posts with one browser
+ * Never throws - posts whose image can't be rendered are logged and left out
+ *
+ * @param {Array<Object>} posts - generated posts (with featuredImage and templateVersion)
+ * @returns {Promise<Map<string, Buffer>>} PNG by post slug
+ */
+async function renderFeaturedImages(posts) {
+  const images = new Map();
+  const cards = posts.filter(post => post && post.featuredImage);
+  if (cards.length === 0) return images;
+
+  let browser;
+  try {
+    let page;
+    ({ browser, page } = await launchBrowser());
+    for (const post of cards) {
+      try {
+        images.set(post.slug, await renderCard(page, post.featuredImage, { version: post.templateVersion }));
+      } catch (err) {
+        console.error(`Featured image for ${post.slug} failed:`, err.message);
+      }
+    }
+  } catch (err) {
+    console.error('Featured images skipped - browser failed to start:', err.message);
+  } finally {
+    if (browser) await browser.close();
+  }
+  return images;
+}
+
+/**
+ * Media slug for a post's image: "<post slug>-featured-<hash of the PNG>"
+ * WordPress names the attachment after the uploaded file, so the slug finds an earlier upload
+ */
+function getMediaSlug(postSlug, image) {
+  return `${postSlug}-featured-${crypto.createHash('sha256').update(image).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Upload a featured image to the WordPress media library and set its alt text,
+ * or reuse the earlier upload of the same image for this post
+ *
+ * @param {Buffer} image - PNG from renderFeaturedImage
+ * @param {Object} options - { url: site URL, headers: auth headers, postSlug, alt }
+ * @returns {Promise<number>} media ID
+ */
+async function uploadFeaturedImage(image, { url, headers = {}, postSlug, alt }) {
+  const mediaUrl = `${url.replace(/\/$/, '')}/wp-json/wp/v2/media`;
+  const slug = getMediaSlug(postSlug, image);
+  const filename = `${slug}.png`;
+
+  const existing = await fetch(`${mediaUrl}?slug=${slug}&_fields=id,slug`, {
+    headers,
+    signal: AbortSignal.timeout(FEATURED_IMAGE_CONFIG.requestTimeoutMs)
+  });
+  const [uploaded] = existing.ok ? await existing.json() : [];
+  if (uploaded) {
+    console.log(`Featured image unchanged: ${filename} (ID: ${uploaded.id})`);
+    return uploaded.id;
+  }
+
+  const response = await fetch(mediaUrl, {
+    method: 'POST',
+    headers: {
+      ...headers,
+      'Content-Type': 'image/png',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    },
+    body: image,
+    signal: AbortSignal.timeout(FEATURED_IMAGE_CONFIG.requestTimeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Media upload returned ${response.status}: ${await response.text()}`);
+  }
+  const media = await response.json();
+
+  // The upload itself only carries the file; alt text is set on the new media item
+  const altResponse = await fetch(`${mediaUrl}/${media.id}`, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ alt_text: alt }),
+    signal: AbortSignal.timeout(FEATURED_IMAGE_CONFIG.requestTimeoutMs)
+  });
+  if (!altResponse.ok) {
+    console.error(`Alt text for media ${media.id} failed:`, `${altResponse.status} ${await altResponse.text()}`);
+  }
+
+  console.log(`Uploaded featured image: ${filename} (ID: ${media.id})`);
+  return media.id;
+}
+
+module.exports = { FEATURED_IMAGE_CONFIG, getMediaSlug, buildFeaturedImageHtml, renderFeaturedImage, renderFeaturedImages, uploadFeaturedImage };
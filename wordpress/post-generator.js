@@ -6,13 +6,32 @@
  * - WORDPRESS_URL: e.g., https://etravelogs.com
  * - WORDPRESS_USERNAME: WordPress username
  * - WORDPRESS_APP_PASSWORD: Application password (generate in WP Admin → Users → Profile)
- * - WORDPRESS_FLIGHT_CATEGORY_ID: Category ID for flight deals (e.g., 39)
- * - WORDPRESS_HOTEL_CATEGORY_ID: Category ID for hotel deals
+ *
+ * Optional:
+ * - WORDPRESS_FLIGHT_CATEGORY_ID / WORDPRESS_HOTEL_CATEGORY_ID: extra category ID for flight /
+ *   hotel posts (default 39 / 40; their category and tag names are resolved to IDs by wordpress/taxonomy.js)
+ * - WORDPRESS_POST_FORMAT: classic (plain HTML, default) or gutenberg (block markup)
+ * - WORDPRESS_TEMPLATE_VERSION: post template version in wordpress/templates (default v1)
+ *
+ * Post layouts and wording are templates (see wordpress/templates.js); this file only
+ * turns deals into the values they show. Each post's featured image is a card for its top
+ * deal (see wordpress/featured-image.js). Scraped text is cleaned and links are checked
+ * against the partner allow-list here (scrapers/sanitize.js); the templates escape it.
  */
 
 const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
 const { format } = require('date-fns');
+const { validateRecords, printValidationReport } = require('../scrapers/deal-schema');
+const { formatMoney } = require('../scrapers/markets');
+const { isVerified, VERIFY_CONFIG } = require('../scrapers/verify-deals');
+const { compareByScore } = require('../scrapers/deal-scoring');
+const { collectLinks, auditLinks, printAuditReport } = require('../scrapers/link-audit');
+const { loadTemplates, renderPost } = require('./templates');
+const { createTaxonomyResolver } = require('./taxonomy');
+const { renderFeaturedImages, uploadFeaturedImage } = require('./featured-image');
+const { cleanText, escapeHtml, safeUrl } = require('../scrapers/sanitize');
 
 // WordPress configuration from environment
 const WP_CONFIG = {
@@ -20,140 +39,230 @@ const WP_CONFIG = {
   username: process.env.WORDPRESS_USERNAME,
   appPassword: process.env.WORDPRESS_APP_PASSWORD,
   flightCategoryId: parseInt(process.env.WORDPRESS_FLIGHT_CATEGORY_ID) || 39,
-  hotelCategoryId: parseInt(process.env.WORDPRESS_HOTEL_CATEGORY_ID) || 40
+  hotelCategoryId: parseInt(process.env.WORDPRESS_HOTEL_CATEGORY_ID) || 40,
+  postFormat: process.env.WORDPRESS_POST_FORMAT || 'classic',
+  templateVersion: process.env.WORDPRESS_TEMPLATE_VERSION || 'v1'
 };
 
+/**
+ * Date shown in the "Price re-checked" line for deals that passed the verify step recently
+ */
+function getVerifiedOn(deal, date) {
+  return isVerified(deal, date) ? format(new Date(deal.verifiedAt), 'MMMM d') : null;
+}
+
+/**
+ * Deals whose link is safe to publish, paired with it; the rest are left out of the post
+ */
+function withSafeLinks(deals, getLink) {
+  return deals.flatMap(deal => {
+    const link = safeUrl(getLink(deal));
+    if (!link) {
+      console.log(`Left out of the post - link isn't an https partner link: ${cleanText(deal.hotelName || deal.destinationName || deal.location)}`);
+      return [];
+    }
+    return [{ deal, link }];
+  });
+}
+
+/**
+ * Template set for a post; options override WORDPRESS_POST_FORMAT / WORDPRESS_TEMPLATE_VERSION
+ */
+function getTemplates(options) {
+  return loadTemplates({ format: options.format || WP_CONFIG.postFormat, version: options.version || WP_CONFIG.templateVersion });
+}
+
 /**
  * Generate a flight deals blog post
- * Uses simple HTML format (no Gutenberg blocks) for better compatibility
+ *
+ * @param {Object} options - { format: 'classic' | 'gutenberg', version: template version }
  */
-function generateFlightDealsPost(deals, date = new Date()) {
+function generateFlightDealsPost(deals, date = new Date(), options = {}) {
+  const templates = getTemplates(options);
   const dateStr = format(date, 'MMMM d, yyyy');
 
   const title = `Today's Best Flight Deals – ${dateStr}`;
   const slug = `todays-best-flight-deals-${format(date, 'yyyy-MM-dd')}`;
 
-  let content = `<p>Looking for unbeatable flight deals today? Here are the top offers verified as of ${dateStr}:</p>\n\n`;
-
-  if (deals.length === 0) {
-    content += `<p>Check back later - we're still searching for today's best deals!</p>`;
-  } else {
-    deals.forEach((deal, index) => {
-      const emoji = index === 0 ? '🏆' : '✈️';
-      const discount = deal.percentOff > 0 ? ` (${deal.percentOff}% off typical $${deal.typicalPrice})` : '';
-
-      content += `<p><strong>${emoji} ${deal.originName} → ${deal.destinationName}, ${deal.destinationCountry} – $${deal.price}</strong>${discount}</p>\n`;
-      content += `<p>- Date: ${deal.departDate} to ${deal.returnDate} (${deal.tripLength})</p>\n`;
-      content += `<p>- Deal: $${deal.price} flight on ${deal.departDate}</p>\n`;
-      content += `<p><a href="${deal.expediaLink}" target="_blank" rel="nofollow sponsored" style="color: #e53e3e; font-weight: bold;">Book Now</a></p>\n\n`;
-    });
-  }
-
-  content += `<h2>💡 Tips to Get These Prices</h2>\n`;
-  content += `<ul>\n`;
-  content += `<li>Prices change frequently - book quickly when you see a deal</li>\n`;
-  content += `<li>Use incognito mode to avoid price tracking</li>\n`;
-  content += `<li>Be flexible with dates (±3 days can save hundreds)</li>\n`;
-  content += `<li>Check our <a href="https://etravelogs.com/miles-points-vs-cash-calculator/">Miles vs Cash Calculator</a> to see if points are better</li>\n`;
-  content += `</ul>\n\n`;
-
-  content += `<h2>🧮 Should You Use Miles Instead?</h2>\n`;
-  content += `<p>Before booking with cash, check if your miles offer better value:</p>\n`;
-  content += `[miles_calculator]\n\n`;
-
-  content += `<p>Subscribe to our newsletter to get deals like these delivered to your inbox!</p>\n`;
-  content += `<p><em>Deals found on ${dateStr}. Prices subject to change. Some links are affiliate links.</em></p>`;
+  // Only say "verified" when every deal passed the verify step (npm run verify)
+  const allVerified = deals.length > 0 && deals.every(deal => isVerified(deal, date));
+
+  // Best score first (see scrapers/deal-scoring.js)
+  const cards = withSafeLinks([...deals].sort(compareByScore), deal => deal.affiliateLink || deal.expediaLink).map(({ deal, link }, index) => ({
+    emoji: index === 0 ? '🏆' : '✈️',
+    originName: cleanText(deal.originName),
+    destinationName: cleanText(deal.destinationName),
+    destinationCountry: cleanText(deal.destinationCountry),
+    price: formatMoney(deal.price, deal.currency),
+    localPrice: deal.localCurrency ? formatMoney(deal.localPrice, deal.localCurrency) : null,
+    percentOff: deal.percentOff > 0 ? deal.percentOff : null,
+    typicalPrice: deal.typicalPrice ? formatMoney(deal.typicalPrice, deal.currency) : null,
+    departDate: cleanText(deal.departDate),
+    returnDate: cleanText(deal.returnDate),
+    tripLength: cleanText(deal.tripLength),
+    verifiedOn: getVerifiedOn(deal, date),
+    link
+  }));
+
+  const top = cards[0];
+  const content = renderPost('flight-post', {
+    date: dateStr,
+    status: allVerified ? 'verified' : 'found',
+    deals: cards,
+    tips: templates.tips.flights
+  }, templates);
 
   return {
     title,
     slug,
     content,
-    excerpt: `Today's verified flight deals from ${deals.length} routes. Best deal: ${deals[0]?.originName || 'Check inside'} to ${deals[0]?.destinationName || 'various'} for $${deals[0]?.price || 'TBD'}.`,
+    // Excerpt and tags use the same deals, in the same order, as the cards
+    excerpt: `Today's ${allVerified ? 'verified ' : ''}flight deals from ${cards.length} routes. Best deal: ${escapeHtml(top?.originName) || 'Check inside'} to ${escapeHtml(top?.destinationName) || 'various'} for ${top ? top.price : 'TBD'}.`,
     categories: ['Flight Deals', 'Daily Deals'],
-    tags: deals.map(d => d.destinationName).filter((v, i, a) => a.indexOf(v) === i).slice(0, 5)
+    tags: cards.map(card => card.destinationName).filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).slice(0, 5),
+    // Card for the top deal (see featured-image.js); alt text is plain text
+    featuredImage: top ? {
+      label: 'Flight Deal',
+      heading: `${top.originName} → ${top.destinationName}`,
+      subheading: [top.destinationCountry, top.tripLength].filter(Boolean).join(' · '),
+      price: top.price,
+      priceNote: '',
+      percentOff: top.percentOff,
+      date: dateStr,
+      alt: `Flight deal: ${top.originName} to ${top.destinationName} for ${top.price}${top.percentOff ? ` (${top.percentOff}% off)` : ''} – ${dateStr}`
+    } : null,
+    format: templates.format,
+    templateVersion: templates.version
   };
 }
 
+/**
+ * Whether pricePerNight includes taxes: it's the base rate unless the source only
+ * showed a price with taxes
+ */
+function nightlyIncludesTaxes(deal) {
+  return deal.baseRatePerNight == null && Boolean(deal.taxesIncluded);
+}
+
+/**
+ * Stay total for a hotel deal: the tax-inclusive total when the source gave one,
+ * otherwise the nightly price x nights, labelled like the nightly price
+ */
+function describeStayTotal(deal) {
+  const nights = deal.nights || 1;
+  const nightsText = `${nights} night${nights === 1 ? '' : 's'}`;
+
+  if (deal.taxesIncluded && deal.totalPrice) {
+    return `${formatMoney(deal.totalPrice, deal.currency)} for ${nightsText} (taxes and fees included)`;
+  }
+  const stay = formatMoney(deal.pricePerNight * nights, deal.currency);
+  return nightlyIncludesTaxes(deal)
+    ? `${stay} for ${nightsText} (taxes and fees included)`
+    : `${stay} for ${nightsText}, before taxes and fees`;
+}
+
 /**
  * Generate a hotel deals blog post
- * Uses simple HTML format (no Gutenberg blocks) for better compatibility
+ *
+ * @param {Object} options - { format: 'classic' | 'gutenberg', version: template version }
  */
-function generateHotelDealsPost(deals, date = new Date()) {
+function generateHotelDealsPost(deals, date = new Date(), options = {}) {
+  const templates = getTemplates(options);
   const dateStr = format(date, 'MMMM d, yyyy');
 
   const title = `Today's Best Hotel Deals – ${dateStr}`;
   const slug = `todays-best-hotel-deals-${format(date, 'yyyy-MM-dd')}`;
 
-  let content = `<p>Looking for unbeatable hotel deals today? Here are the top properties with at least 25% off, verified as of ${dateStr}:</p>\n\n`;
-
-  if (deals.length === 0) {
-    content += `<p>Check back later - we're still searching for today's best deals!</p>`;
-  } else {
-    deals.forEach((deal, index) => {
-      const emoji = index === 0 ? '🏆' : '🏨';
-      const stars = deal.rating ? '⭐'.repeat(Math.min(Math.floor(deal.rating), 5)) : '';
-      const discount = deal.percentOff > 0 ? ` (${deal.percentOff}% off)` : '';
-
-      content += `<p><strong>${emoji} ${deal.hotelName}</strong> – ${deal.location}, ${deal.country} ${stars}</p>\n`;
-      content += `<p><strong>Nightly Rate:</strong> $${deal.pricePerNight}/night${discount}</p>\n`;
-      content += `<p><strong>Total:</strong> for ${deal.nights || 1} night(s) (all taxes and fees included)</p>\n`;
-      if (deal.rating) {
-        content += `<p><strong>Reviews:</strong> ${deal.rating}/10</p>\n`;
-      }
-      content += `<p><a href="${deal.expediaSearchLink}" target="_blank" rel="nofollow sponsored" style="color: #2b6cb0; font-weight: bold;">Click Here to Book Now!</a></p>\n\n`;
-    });
-  }
-
-  content += `<h2>💡 Hotel Booking Tips</h2>\n`;
-  content += `<ul>\n`;
-  content += `<li>Book directly sometimes offers perks (breakfast, upgrades)</li>\n`;
-  content += `<li>Check if your credit card offers hotel status matches</li>\n`;
-  content += `<li>Use our <a href="https://etravelogs.com/miles-points-vs-cash-calculator/">Calculator</a> to value hotel points</li>\n`;
-  content += `<li>Look for "member prices" - often requires free signup</li>\n`;
-  content += `</ul>\n\n`;
-
-  content += `<p>Subscribe to our newsletter for weekly hotel deals!</p>\n`;
-  content += `<p><em>Deals found on ${dateStr}. Prices subject to change. Some links are affiliate links.</em></p>`;
+  const allVerified = deals.length > 0 && deals.every(deal => isVerified(deal, date));
+
+  // Only hotels resolved to an Expedia property are named; the rest link to a destination search
+  const isSpecific = deal => Boolean(deal.specificHotel && deal.expediaDirectLink);
+  const getLink = deal => deal.affiliateLink || (isSpecific(deal) ? deal.expediaDirectLink : deal.expediaSearchLink);
+
+  // Best score first (see scrapers/deal-scoring.js)
+  const cards = withSafeLinks([...deals].sort(compareByScore), getLink).map(({ deal, link }, index) => ({
+    emoji: index === 0 ? '🏆' : '🏨',
+    specific: isSpecific(deal),
+    hotelName: cleanText(deal.hotelName),
+    location: cleanText(deal.location),
+    country: cleanText(deal.country),
+    stars: deal.rating ? '⭐'.repeat(Math.min(Math.floor(deal.rating), 5)) : '',
+    price: formatMoney(deal.pricePerNight, deal.currency),
+    nightlyNote: nightlyIncludesTaxes(deal) ? 'incl. taxes and fees' : 'before taxes',
+    percentOff: deal.percentOff > 0 ? deal.percentOff : null,
+    stayTotal: describeStayTotal(deal),
+    rating: deal.rating || null,
+    verifiedOn: getVerifiedOn(deal, date),
+    link
+  }));
+
+  const top = cards[0];
+  const hotelTitle = top && (top.specific ? top.hotelName : `Hotels in ${top.location}`);
+  const content = renderPost('hotel-post', {
+    date: dateStr,
+    status: allVerified ? 'verified' : 'found',
+    deals: cards,
+    tips: templates.tips.hotels
+  }, templates);
 
   return {
     title,
     slug,
     content,
-    excerpt: `Today's verified hotel deals in ${deals.length} destinations. Best deal: ${deals[0]?.hotelName || 'Various'} for $${deals[0]?.pricePerNight || 'TBD'}/night.`,
+    excerpt: `Today's ${allVerified ? 'verified ' : ''}hotel deals in ${cards.length} destinations. Best deal: ${escapeHtml(top && (top.specific ? top.hotelName : `hotels in ${top.location}`)) || 'Various'} for ${top ? top.price : 'TBD'}/night.`,
     categories: ['Hotel Deals', 'Daily Deals'],
-    tags: deals.map(d => d.location).filter((v, i, a) => a.indexOf(v) === i).slice(0, 5)
+    tags: cards.map(card => card.location).filter(Boolean).filter((v, i, a) => a.indexOf(v) === i).slice(0, 5),
+    featuredImage: top ? {
+      label: 'Hotel Deal',
+      heading: hotelTitle,
+      subheading: [top.specific ? top.location : null, top.country].filter(Boolean).join(', '),
+      price: top.price,
+      priceNote: '/night',
+      percentOff: top.percentOff,
+      date: dateStr,
+      alt: `Hotel deal: ${hotelTitle}${top.specific ? `, ${top.location}` : ''} for ${top.price}/night${top.percentOff ? ` (${top.percentOff}% off)` : ''} – ${dateStr}`
+    } : null,
+    format: templates.format,
+    templateVersion: templates.version
   };
 }
 
 /**
- * Generate both posts and save to output folder
+ * Load deals from output/flights.json or output/hotels.json
+ * Records that don't match the deal schema are repaired where possible, otherwise left out
  */
-async function generatePosts() {
-  const outputDir = path.join(__dirname, '..', 'output');
-
-  // Load deals
-  let flightDeals = [];
-  let hotelDeals = [];
+function loadDeals(type) {
+  const filePath = path.join(__dirname, '..', 'output', `${type}.json`);
 
+  let deals;
   try {
-    const flightData = JSON.parse(fs.readFileSync(path.join(outputDir, 'flights.json'), 'utf8'));
-    flightDeals = flightData.deals || [];
+    deals = JSON.parse(fs.readFileSync(filePath, 'utf8')).deals || [];
   } catch (e) {
-    console.log('No flight deals found');
+    console.log(`No ${type === 'flights' ? 'flight' : 'hotel'} deals found`);
+    return [];
   }
 
-  try {
-    const hotelData = JSON.parse(fs.readFileSync(path.join(outputDir, 'hotels.json'), 'utf8'));
-    hotelDeals = hotelData.deals || [];
-  } catch (e) {
-    console.log('No hotel deals found');
-  }
+  const result = validateRecords(type, deals, { repair: true });
+  printValidationReport(type, result, `loaded from ${path.basename(filePath)}`);
+  return result.valid;
+}
+
+/**
+ * Generate both posts and save to output folder
+ *
+ * @param {Object} options - { format, version } (see generateFlightDealsPost)
+ */
+async function generatePosts(options = {}) {
+  const outputDir = path.join(__dirname, '..', 'output');
+
+  const flightDeals = loadDeals('flights');
+  const hotelDeals = loadDeals('hotels');
 
   const today = new Date();
 
   // Generate posts
-  const flightPost = generateFlightDealsPost(flightDeals, today);
-  const hotelPost = generateHotelDealsPost(hotelDeals, today);
+  const flightPost = generateFlightDealsPost(flightDeals, today, options);
+  const hotelPost = generateHotelDealsPost(hotelDeals, today, options);
 
   // Save to output folder
   const postsDir = path.join(outputDir, 'posts');
@@ -182,7 +291,12 @@ async function generatePosts() {
     hotelPost.content
   );
 
-  console.log('Generated WordPress posts:');
+  // Featured image previews (skipped without Chromium)
+  const images = await renderFeaturedImages([flightPost, hotelPost]);
+  if (images.has(flightPost.slug)) fs.writeFileSync(path.join(postsDir, 'flight-deals-featured.png'), images.get(flightPost.slug));
+  if (images.has(hotelPost.slug)) fs.writeFileSync(path.join(postsDir, 'hotel-deals-featured.png'), images.get(hotelPost.slug));
+
+  console.log(`Generated WordPress posts (${flightPost.format}, templates ${flightPost.templateVersion}):`);
   console.log(`  - Flight deals: ${flightPost.title}`);
   console.log(`  - Hotel deals: ${hotelPost.title}`);
   console.log(`\nOutput saved to: ${postsDir}`);
@@ -190,22 +304,55 @@ async function generatePosts() {
   return { flightPost, hotelPost };
 }
 
+function getAuthHeaders(config) {
+  return { 'Authorization': `Basic ${Buffer.from(`${config.username}:${config.appPassword}`).toString('base64')}` };
+}
+
 /**
  * Publish a post to WordPress via REST API
+ * The post's category and tag names are attached as term IDs, created when missing
+ * (see taxonomy.js), on both new and updated posts. With options.image, it's set as the
+ * featured image - uploaded once, then reused while the image is unchanged; if the upload
+ * fails the post goes out without it.
+ *
+ * @param {number|null} categoryId - extra category for the post (WORDPRESS_*_CATEGORY_ID)
+ * @param {Object} options - { config: WordPress settings (default WP_CONFIG), taxonomy: resolver shared by several posts,
+ *   image: featured image PNG (see featured-image.js) }
  */
-async function publishToWordPress(post, categoryId, postType = 'flight') {
-  if (!WP_CONFIG.username || !WP_CONFIG.appPassword) {
+async function publishToWordPress(post, categoryId, postType = 'flight', options = {}) {
+  const config = options.config || WP_CONFIG;
+  if (!config.username || !config.appPassword) {
     console.log(`Skipping WordPress publish - credentials not configured`);
     return null;
   }
 
-  const apiUrl = `${WP_CONFIG.url}/wp-json/wp/v2/posts`;
-  const auth = Buffer.from(`${WP_CONFIG.username}:${WP_CONFIG.appPassword}`).toString('base64');
+  const apiUrl = `${config.url}/wp-json/wp/v2/posts`;
+  const headers = getAuthHeaders(config);
+
+  const taxonomy = options.taxonomy || createTaxonomyResolver({ url: config.url, headers });
+  const categoryIds = await taxonomy.resolve('categories', post.categories || []);
+  // Sent on both create and update
+  const fields = {
+    categories: [...new Set([categoryId, ...categoryIds].filter(Boolean))],
+    tags: await taxonomy.resolve('tags', post.tags || [])
+  };
+  if (!options.taxonomy) taxonomy.save();
+
+  if (options.image && post.featuredImage) {
+    try {
+      fields.featured_media = await uploadFeaturedImage(options.image, {
+        url: config.url,
+        headers,
+        postSlug: post.slug,
+        alt: post.featuredImage.alt
+      });
+    } catch (err) {
+      console.error(`Featured image for ${post.slug} not uploaded:`, err.message);
+    }
+  }
 
   // First, check if a post with this slug already exists today
-  const existingCheck = await fetch(`${apiUrl}?slug=${post.slug}&status=any`, {
-    headers: { 'Authorization': `Basic ${auth}` }
-  });
+  const existingCheck = await fetch(`${apiUrl}?slug=${post.slug}&status=any`, { headers });
   const existingPosts = await existingCheck.json();
 
   if (existingPosts.length > 0) {
@@ -215,12 +362,13 @@ async function publishToWordPress(post, categoryId, postType = 'flight') {
     const updateResponse = await fetch(updateUrl, {
       method: 'PUT',
       headers: {
-        'Authorization': `Basic ${auth}`,
+        ...headers,
         'Content-Type': 'application/json'
       },
       body: JSON.stringify({
         content: post.content,
-        excerpt: post.excerpt
+        excerpt: post.excerpt,
+        ...fields
       })
     });
 
@@ -241,14 +389,13 @@ async function publishToWordPress(post, categoryId, postType = 'flight') {
     content: post.content,
     excerpt: post.excerpt,
     status: 'publish',
-    categories: [categoryId],
-    tags: [] // Tags would need to be created/looked up first
+    ...fields
   };
 
   const response = await fetch(apiUrl, {
     method: 'POST',
     headers: {
-      'Authorization': `Basic ${auth}`,
+      ...headers,
       'Content-Type': 'application/json'
     },
     body: JSON.stringify(postData)
@@ -266,55 +413,63 @@ async function publishToWordPress(post, categoryId, postType = 'flight') {
 
 /**
  * Generate posts and publish to WordPress
+ *
+ * @param {Object} options - { format, version } (see generateFlightDealsPost)
  */
-async function generateAndPublish() {
-  const outputDir = path.join(__dirname, '..', 'output');
-
-  // Load deals
-  let flightDeals = [];
-  let hotelDeals = [];
-
-  try {
-    const flightData = JSON.parse(fs.readFileSync(path.join(outputDir, 'flights.json'), 'utf8'));
-    flightDeals = flightData.deals || [];
-    console.log(`Loaded ${flightDeals.length} flight deals`);
-  } catch (e) {
-    console.log('No flight deals found');
-  }
-
-  try {
-    const hotelData = JSON.parse(fs.readFileSync(path.join(outputDir, 'hotels.json'), 'utf8'));
-    hotelDeals = hotelData.deals || [];
-    console.log(`Loaded ${hotelDeals.length} hotel deals`);
-  } catch (e) {
-    console.log('No hotel deals found');
+async function generateAndPublish(options = {}) {
+  const flightDeals = loadDeals('flights');
+  const hotelDeals = loadDeals('hotels');
+  console.log(`Loaded ${flightDeals.length} flight deals`);
+  console.log(`Loaded ${hotelDeals.length} hotel deals`);
+
+  const unverified = flightDeals.concat(hotelDeals).filter(deal => !isVerified(deal)).length;
+  if (unverified > 0) {
+    console.log(`${unverified} deal(s) not re-verified in the last ${VERIFY_CONFIG.maxAgeHours}h - run \`npm run verify\` first; posts won't call them verified`);
   }
 
   const today = new Date();
   const results = { flights: null, hotels: null };
+  const flightPost = flightDeals.length > 0 ? generateFlightDealsPost(flightDeals, today, options) : null;
+  const hotelPost = hotelDeals.length > 0 ? generateHotelDealsPost(hotelDeals, today, options) : null;
+
+  // Never publish a broken affiliate link (see scrapers/link-audit.js)
+  const audit = await auditLinks(collectLinks({
+    flights: flightDeals,
+    hotels: hotelDeals,
+    posts: { flights: flightPost ? flightPost.content : '', hotels: hotelPost ? hotelPost.content : '' }
+  }));
+  if (audit.failed > 0) {
+    printAuditReport(audit);
+    throw new Error(`Link audit found ${audit.failed} broken link(s) - nothing was published`);
+  }
+  console.log(`Link audit: ${audit.checked} link(s) OK`);
+
+  // One taxonomy lookup per name across both posts
+  const taxonomy = createTaxonomyResolver({ url: WP_CONFIG.url, headers: getAuthHeaders(WP_CONFIG) });
+  const images = await renderFeaturedImages([flightPost, hotelPost]);
 
-  // Generate and publish flight deals post (if we have deals)
-  if (flightDeals.length > 0) {
-    const flightPost = generateFlightDealsPost(flightDeals, today);
+  // Publish flight deals post (if we have deals)
+  if (flightPost) {
     console.log(`\nPublishing: ${flightPost.title}`);
     try {
-      results.flights = await publishToWordPress(flightPost, WP_CONFIG.flightCategoryId, 'flight');
+      results.flights = await publishToWordPress(flightPost, WP_CONFIG.flightCategoryId, 'flight', { taxonomy, image: images.get(flightPost.slug) });
     } catch (err) {
       console.error('Failed to publish flight deals:', err.message);
     }
   }
 
-  // Generate and publish hotel deals post (if we have deals)
-  if (hotelDeals.length > 0) {
-    const hotelPost = generateHotelDealsPost(hotelDeals, today);
+  // Publish hotel deals post (if we have deals)
+  if (hotelPost) {
     console.log(`\nPublishing: ${hotelPost.title}`);
     try {
-      results.hotels = await publishToWordPress(hotelPost, WP_CONFIG.hotelCategoryId, 'hotel');
+      results.hotels = await publishToWordPress(hotelPost, WP_CONFIG.hotelCategoryId, 'hotel', { taxonomy, image: images.get(hotelPost.slug) });
     } catch (err) {
       console.error('Failed to publish hotel deals:', err.message);
     }
   }
 
+  taxonomy.save();
+
   console.log('\n=== Publishing Complete ===');
   if (results.flights) console.log(`Flight deals: ${results.flights.link}`);
   if (results.hotels) console.log(`Hotel deals: ${results.hotels.link}`);
@@ -323,12 +478,22 @@ async function generateAndPublish() {
 }
 
 // Run if called directly
+//   --publish                    publish to WordPress instead of only writing output/posts
+//   --format gutenberg           classic or gutenberg (default WORDPRESS_POST_FORMAT or classic)
+//   --template-version v2        post templates to use (default WORDPRESS_TEMPLATE_VERSION or v1)
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const { values } = parseArgs({
+    options: {
+      publish: { type: 'boolean', default: false },
+      format: { type: 'string' },
+      'template-version': { type: 'string' }
+    }
+  });
+  const options = { format: values.format, version: values['template-version'] };
 
-  if (args.includes('--publish')) {
+  if (values.publish) {
     // Generate and publish to WordPress
-    generateAndPublish()
+    generateAndPublish(options)
       .then(() => process.exit(0))
       .catch(err => {
         console.error('Error:', err);
@@ -336,7 +501,7 @@ if (require.main === module) {
       });
   } else {
     // Just generate local files (original behavior)
-    generatePosts()
+    generatePosts(options)
       .then(() => process.exit(0))
       .catch(err => {
         console.error('Error:', err);
@@ -0,0 +1,143 @@
+/**
+ * WordPress Categories and Tags for eTravelogs
+ * Posts carry category and tag names (generateFlightDealsPost: "Flight Deals", "Lisbon", ...);
+ * the REST API wants term IDs. Each name is resolved by its slug:
+ *
+ *   1. Local cache in data/wp-taxonomy.json (per site, so staging IDs never reach production)
+ *   2. GET /wp-json/wp/v2/<categories|tags>?slug=<slug>
+ *   3. POST /wp-json/wp/v2/<categories|tags> to create it
+ *
+ * Creating categories needs an account that can manage categories (Editor or above);
+ * without it, names that don't exist yet are logged and left off the post.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TAXONOMY_CONFIG = {
+  cachePath: path.join(__dirname, '..', 'data', 'wp-taxonomy.json'),
+  requestTimeoutMs: 10000
+};
+
+const TAXONOMIES = ['categories', 'tags'];
+
+/**
+ * WordPress slug for a term name ("São Paulo" -> "sao-paulo"), like sanitize_title()
+ */
+function slugify(name) {
+  const slug = String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&[a-z0-9#]+;/g, '')
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-|-$/g, '');
+  // WordPress keeps non-Latin letters, percent-encoded and lowercased
+  return /[^a-z0-9-]/.test(slug) ? encodeURIComponent(slug).toLowerCase() : slug;
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Create a resolver for one publish run
+ *
+ * @param {Object} options - { url: site URL, headers: auth headers for the REST API, cachePath }
+ * @returns {{ resolve: Function, save: Function, stats: Object }}
+ */
+function createTaxonomyResolver({ url, headers = {}, cachePath = TAXONOMY_CONFIG.cachePath }) {
+  const apiUrl = `${url.replace(/\/$/, '')}/wp-json/wp/v2`;
+  const cache = readJson(cachePath, {});
+  const site = cache[url] || (cache[url] = {});
+  const stats = { cache: 0, lookup: 0, created: 0, failed: 0 };
+  let dirty = false;
+
+  async function request(endpoint, init = {}) {
+    const response = await fetch(`${apiUrl}/${endpoint}`, {
+      ...init,
+      headers: { ...headers, ...(init.body ? { 'Content-Type': 'application/json' } : {}) },
+      signal: AbortSignal.timeout(TAXONOMY_CONFIG.requestTimeoutMs)
+    });
+    const body = await response.json().catch(() => null);
+    return { ok: response.ok, status: response.status, body };
+  }
+
+  async function findOrCreate(taxonomy, name, slug) {
+    const found = await request(`${taxonomy}?slug=${encodeURIComponent(slug)}&_fields=id,slug`);
+    if (!found.ok) throw new Error(`lookup returned ${found.status}`);
+    if (found.body.length > 0) {
+      stats.lookup++;
+      return found.body[0].id;
+    }
+
+    const created = await request(taxonomy, { method: 'POST', body: JSON.stringify({ name, slug }) });
+    // Created by someone else since the lookup - WordPress says which term it is
+    if (created.body && created.body.code === 'term_exists') {
+      stats.lookup++;
+      return created.body.data.term_id;
+    }
+    if (!created.ok) throw new Error(`create returned ${created.status}${created.body && created.body.message ? `: ${created.body.message}` : ''}`);
+    stats.created++;
+    console.log(`Created WordPress ${taxonomy === 'tags' ? 'tag' : 'category'} "${name}" (ID: ${created.body.id})`);
+    return created.body.id;
+  }
+
+  return {
+    stats,
+
+    /**
+     * Term IDs for a list of names, looking up or creating each one once
+     * Never throws - names that can't be resolved are logged and left out
+     *
+     * @param {string} taxonomy - 'categories' or 'tags'
+     * @returns {Promise<Array<number>>}
+     */
+    async resolve(taxonomy, names) {
+      if (!TAXONOMIES.includes(taxonomy)) {
+        throw new Error(`Unknown taxonomy "${taxonomy}" (expected ${TAXONOMIES.join(' or ')})`);
+      }
+      const terms = site[taxonomy] || (site[taxonomy] = {});
+      const ids = [];
+
+      for (const name of names) {
+        const slug = slugify(name);
+        if (!slug) continue;
+
+        if (terms[slug]) {
+          stats.cache++;
+        } else {
+          try {
+            terms[slug] = await findOrCreate(taxonomy, name, slug);
+            dirty = true;
+          } catch (err) {
+            stats.failed++;
+            console.error(`WordPress ${taxonomy} "${name}" couldn't be resolved:`, err.message);
+            continue;
+          }
+        }
+        if (!ids.includes(terms[slug])) ids.push(terms[slug]);
+      }
+
+      return ids;
+    },
+
+    /**
+     * Write new term IDs back to the cache file
+     */
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+      dirty = false;
+    }
+  };
+}
+
+module.exports = { TAXONOMY_CONFIG, TAXONOMIES, slugify, createTaxonomyResolver };
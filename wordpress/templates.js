@@ -0,0 +1,180 @@
+/**
+ * Post Templates for eTravelogs
+ * Post layouts live in wordpress/templates/<version>/<format>/ so wording and markup can
+ * change without touching post-generator.js. Versions are directories (v1, v2, ...):
+ * copy the current one, edit it, then point WORDPRESS_TEMPLATE_VERSION at the copy.
+ *
+ *   <version>/tips.json                  tips lists shown under each post, per post type
+ *   <version>/featured-image.html        featured image card (rendered by featured-image.js)
+ *   <version>/<format>/flight-post.html  post layouts
+ *   <version>/<format>/hotel-post.html
+ *   <version>/<format>/partials/*.html   deal cards, tips, disclosure, calculator embed
+ *
+ * Formats: classic (plain HTML) and gutenberg (native block markup).
+ *
+ * Templates use a logic-less Mustache subset:
+ *   {{name}} / {{deal.price}}   value, HTML-escaped (safe in text and quoted attributes)
+ *   {{{name}}}                  value, unescaped (for HTML kept in tips.json)
+ *   {{#name}}...{{/name}}       repeated for each item of a list, shown once for any
+ *                               other truthy value (with its fields in scope)
+ *   {{^name}}...{{/name}}       shown when the value is missing, false or an empty list
+ *   {{> name}}                  partials/name.html
+ *   {{! note}}                  comment
+ * A section, partial or comment tag alone on its line doesn't leave a blank line.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../scrapers/sanitize');
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const POST_FORMATS = ['classic', 'gutenberg'];
+
+const TAG = /\{\{(\{?)\s*([#^/!>]?)\s*([^}]*?)\s*\}?\}\}/g;
+
+// Standalone section/partial/comment tags take their line with them
+const STANDALONE_TAG = /^[ \t]*(\{\{\s*[#^/!>][^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Parse a template into a tree of text, value, section and partial nodes
+ */
+function parseTemplate(template, name = 'template') {
+  const source = template.replace(STANDALONE_TAG, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, raw, kind, key] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.children.push({ type: 'text', text: source.slice(last, match.index) });
+    last = match.index + tag.length;
+
+    if (kind === '!') continue;
+    if (kind === '#' || kind === '^') {
+      const section = { type: 'section', key, inverted: kind === '^', children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (stack.length === 1 || current.key !== key) {
+        throw new Error(`${name}: {{/${key}}} doesn't close ${stack.length === 1 ? 'any section' : `{{#${current.key}}}`}`);
+      }
+      stack.pop();
+    } else if (kind === '>') {
+      current.children.push({ type: 'partial', key });
+    } else {
+      current.children.push({ type: 'value', key, escape: !raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`${name}: {{#${stack[stack.length - 1].key}}} is never closed`);
+  }
+  if (last < source.length) root.children.push({ type: 'text', text: source.slice(last) });
+  return root;
+}
+
+/**
+ * Look a (dotted) name up through the context stack, innermost first
+ */
+function lookup(contexts, key) {
+  if (key === '.') return contexts[contexts.length - 1];
+  const [first, ...rest] = key.split('.');
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context != null && typeof context === 'object' && first in context) {
+      return rest.reduce((value, part) => (value == null ? undefined : value[part]), context[first]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, partials, depth) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'value') {
+      const value = lookup(contexts, node.key);
+      if (value != null) output += node.escape ? escapeHtml(value) : String(value);
+    } else if (node.type === 'partial') {
+      if (!(node.key in partials)) throw new Error(`Unknown partial "${node.key}"`);
+      if (depth > 10) throw new Error(`Partial "${node.key}" nests too deep`);
+      output += renderNodes(parseTemplate(partials[node.key], node.key).children, contexts, partials, depth + 1);
+    } else {
+      const value = lookup(contexts, node.key);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        if (empty) output += renderNodes(node.children, contexts, partials, depth);
+      } else if (Array.isArray(value)) {
+        for (const item of value) output += renderNodes(node.children, [...contexts, item], partials, depth);
+      } else if (!empty) {
+        output += renderNodes(node.children, [...contexts, value], partials, depth);
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Render a template string
+ *
+ * @param {string} template - Mustache-subset template (see the top of this file)
+ * @param {Object} view - values the template's tags read
+ * @param {Object} partials - partial templates by name
+ */
+function renderTemplate(template, view, partials = {}) {
+  return renderNodes(parseTemplate(template).children, [view], partials, 0);
+}
+
+/**
+ * Template versions available, oldest first
+ */
+function listTemplateVersions(dir = TEMPLATES_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && /^v\d+$/.test(entry.name))
+    .map(entry => entry.name)
+    .sort((a, b) => parseInt(a.slice(1)) - parseInt(b.slice(1)));
+}
+
+/**
+ * Load one version's templates for an output format
+ *
+ * @returns {{ version, format, templates: Object, partials: Object, tips: Object }}
+ */
+function loadTemplates({ version = 'v1', format = 'classic', dir = TEMPLATES_DIR } = {}) {
+  if (!POST_FORMATS.includes(format)) {
+    throw new Error(`Unknown post format "${format}" (expected ${POST_FORMATS.join(' or ')})`);
+  }
+  const versions = listTemplateVersions(dir);
+  if (!versions.includes(version)) {
+    throw new Error(`No post templates for version "${version}" (have ${versions.join(', ') || 'none'})`);
+  }
+
+  const formatDir = path.join(dir, version, format);
+  const readHtml = folder => Object.fromEntries(fs.readdirSync(folder)
+    .filter(file => file.endsWith('.html'))
+    .map(file => [path.basename(file, '.html'), fs.readFileSync(path.join(folder, file), 'utf8')]));
+
+  return {
+    version,
+    format,
+    templates: readHtml(formatDir),
+    partials: fs.existsSync(path.join(formatDir, 'partials')) ? readHtml(path.join(formatDir, 'partials')) : {},
+    tips: JSON.parse(fs.readFileSync(path.join(dir, version, 'tips.json'), 'utf8'))
+  };
+}
+
+/**
+ * Render a post layout (e.g. "flight-post") from a loaded template set
+ */
+function renderPost(name, view, templateSet) {
+  const template = templateSet.templates[name];
+  if (template === undefined) {
+    throw new Error(`Post templates ${templateSet.version}/${templateSet.format} have no ${name}.html`);
+  }
+  return renderTemplate(template, view, templateSet.partials).trim();
+}
+
+module.exports = { TEMPLATES_DIR, POST_FORMATS, renderTemplate, listTemplateVersions, loadTemplates, renderPost };